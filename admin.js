@@ -0,0 +1,142 @@
+/**
+ * Divine Wrath Admin API
+ *
+ * Operator endpoints under /api/admin (routes in index.js). They take
+ * ADMIN_API_TOKEN as a bearer token and are off when it isn't set.
+ *
+ * Every admin action that changes a room is appended to the audit log, kept
+ * apart from the rooms so it outlives them. Audit stores share one interface:
+ *   append(entry)
+ *   recent(limit) -> entry[], newest first
+ *
+ * Entries: { at, action, roomCode, playerId?, reason, ok, error, ip }
+ */
+
+import { createHash, timingSafeEqual } from 'crypto';
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'admin' });
+
+// Entries kept by the memory store before the oldest are dropped
+const MAX_MEMORY_ENTRIES = 1000;
+
+// Longest reason kept with an action
+export const MAX_REASON_LENGTH = 200;
+
+// Hashing both sides first lets the comparison take the same time whatever their lengths
+const digest = (value) => createHash('sha256').update(value).digest();
+
+/**
+ * Express middleware letting through requests that carry the admin token
+ * (Authorization: Bearer <token>)
+ *
+ * @param {string|null} token - ADMIN_API_TOKEN; without one every request gets 404
+ */
+export function requireAdmin(token) {
+  return (req, res, next) => {
+    if (!token) {
+      res.status(404).json({ error: 'Admin API not configured' });
+      return;
+    }
+
+    const [scheme, given] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !given || !timingSafeEqual(digest(given), digest(token))) {
+      res.status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * One line of the room list: where the game is and who is in it
+ */
+export function summarizeRoom(room) {
+  const humans = room.players.filter(p => !p.isBot);
+  return {
+    code: room.code,
+    phase: room.phase,
+    playerCount: room.players.length,
+    humanCount: humans.length,
+    connectedCount: humans.filter(p => p.connected).length,
+    spectatorCount: room.spectators.length,
+    currentRound: room.currentRound,
+    totalRounds: room.totalRounds,
+    zkEnabled: room.zkEnabled,
+    blockchainStatus: room.blockchainRegistration?.status ?? null,
+    gameId: room.gameId,
+    phaseDeadline: room.phaseDeadline,
+    createdAt: room.createdAt,
+  };
+}
+
+/**
+ * A room as admins see it: every position and proof, but not the session
+ * tokens, which would let the reader take over a seat
+ */
+export function adminRoomView(room) {
+  return {
+    ...room,
+    players: room.players.map(({ sessionToken, ...p }) => p),
+  };
+}
+
+/**
+ * In-memory audit log. Keeps the most recent entries only and loses them on restart.
+ */
+export function createMemoryAuditLog() {
+  const entries = [];
+
+  return {
+    append: (entry) => {
+      entries.push(entry);
+      if (entries.length > MAX_MEMORY_ENTRIES) entries.shift();
+    },
+    recent: (limit) => entries.slice(-limit).reverse(),
+  };
+}
+
+/**
+ * JSON Lines audit log: one entry per line, never rewritten
+ *
+ * @param {string} filePath - Where to keep the log
+ */
+export function createFileAuditLog(filePath) {
+  mkdirSync(dirname(filePath), { recursive: true });
+
+  return {
+    append: (entry) => {
+      appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+    },
+    recent: (limit) => {
+      if (!existsSync(filePath)) return [];
+
+      return readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .map(line => JSON.parse(line))
+        .reverse();
+    },
+  };
+}
+
+/**
+ * Creates the audit log selected by AUDIT_LOG_STORE ('memory' or 'file')
+ */
+export function createAuditLog() {
+  const type = process.env.AUDIT_LOG_STORE || 'memory';
+
+  if (type === 'file') {
+    const filePath = process.env.AUDIT_LOG_PATH || './data/audit.jsonl';
+    log.info('audit_log_store_selected', { store: 'file', path: filePath });
+    return createFileAuditLog(filePath);
+  }
+
+  if (type !== 'memory') {
+    log.warn('audit_log_store_unknown', { store: type, fallback: 'memory' });
+  }
+  return createMemoryAuditLog();
+}
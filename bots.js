@@ -0,0 +1,188 @@
+/**
+ * Divine Wrath Bots
+ *
+ * Decision-making for server-side bot players. Every function here only
+ * picks a move; index.js applies it as the same engine action as a human
+ * player's socket event.
+ *
+ * Bots only use public information about other players (claims, verified
+ * results, attacks), never their hidden positions.
+ */
+
+import { CLAIM_TYPES, CLAIM_TYPE_CONFIG } from './shared/constants.js';
+import { gridCells, cellRow, cellColumn, claimValues } from './grid.js';
+import { canGodStay } from './engine.js';
+
+export const BOT_DIFFICULTIES = ['easy', 'normal', 'hard'];
+
+const BOT_NAMES = ['Ares', 'Hermes', 'Athena', 'Apollo', 'Artemis', 'Hades', 'Hera', 'Nyx'];
+
+// Per difficulty: how often a mortal bluffs, and how the God reasons
+const DIFFICULTY = {
+  easy: { bluffRate: 0.5, verifications: 1, useClaims: false },
+  normal: { bluffRate: 0.3, verifications: 2, useClaims: true },
+  hard: { bluffRate: 0.2, verifications: Infinity, useClaims: true },
+};
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Creates a bot player seat
+ *
+ * @param {string[]} takenNames - Names already used in the room
+ * @param {string} difficulty - 'easy' | 'normal' | 'hard'
+ */
+export function createBotPlayer(takenNames, difficulty) {
+  const free = BOT_NAMES.filter(n => !takenNames.includes(`${n} (bot)`));
+  const name = `${randomItem(free.length > 0 ? free : BOT_NAMES)} (bot)`;
+
+  return {
+    id: `bot-${Math.random().toString(36).slice(2, 10)}`,
+    name,
+    role: null,
+    position: null,
+    isHost: false,
+    isReady: true,
+    avatar: null,
+    connected: true,
+    isBot: true,
+    botDifficulty: difficulty,
+  };
+}
+
+// ============================================================================
+// Mortal
+// ============================================================================
+
+/**
+ * Picks a free cell during setup
+ */
+export function chooseBotPosition(room) {
+  const free = gridCells(room.gridSize).filter(cell => !room.players.some(p => p.position === cell));
+  return randomItem(free);
+}
+
+/**
+ * Picks a claim for a bot mortal: usually about itself, true or a bluff.
+ * Returns { claimType, claimValue, targetPlayerId } or null if nothing is left to claim.
+ */
+export function chooseBotClaim(room, bot) {
+  const { bluffRate } = DIFFICULTY[bot.botDifficulty] || DIFFICULTY.normal;
+  const bluff = Math.random() < bluffRate;
+
+  const isNew = (targetPlayerId, claimType, claimValue) => !room.claims.some(
+    c => c.targetPlayerId === targetPlayerId && c.claimType === claimType && c.claimValue === claimValue
+  );
+
+  // Self claims: row or column, truthful or bluffing
+  const selfClaims = [CLAIM_TYPES.ROW, CLAIM_TYPES.COLUMN].flatMap(claimType => {
+    const actual = claimType === CLAIM_TYPES.ROW ? cellRow(bot.position, room.gridSize) : cellColumn(bot.position, room.gridSize);
+    return claimValues(claimType, room.gridSize)
+      .filter(value => (value === actual) !== bluff)
+      .map(claimValue => ({ claimType, claimValue, targetPlayerId: bot.id }));
+  }).filter(c => isNew(c.targetPlayerId, c.claimType, c.claimValue));
+
+  if (selfClaims.length > 0) {
+    return randomItem(selfClaims);
+  }
+
+  // Nothing new to say about itself: make a guess about another alive mortal
+  const others = room.players.filter(p => p.role === 'mortal' && p.position !== null && p.id !== bot.id);
+  const otherClaims = others.flatMap(target =>
+    Object.values(CLAIM_TYPE_CONFIG).flatMap(config => (config.needsValue ? claimValues(config.id, room.gridSize) : [true])
+      .map(claimValue => ({ claimType: config.id, claimValue, targetPlayerId: target.id })))
+  ).filter(c => isNew(c.targetPlayerId, c.claimType, c.claimValue));
+
+  return otherClaims.length > 0 ? randomItem(otherClaims) : null;
+}
+
+// ============================================================================
+// God
+// ============================================================================
+
+// Whether a cell agrees with a verified row/column claim
+function cellMatchesClaim(cell, claim, gridSize) {
+  if (claim.claimType === CLAIM_TYPES.ROW) return (cellRow(cell, gridSize) === claim.claimValue) === claim.isTrue;
+  if (claim.claimType === CLAIM_TYPES.COLUMN) return (cellColumn(cell, gridSize) === claim.claimValue) === claim.isTrue;
+  return true; // Adjacency depends on the claimer's hidden cell
+}
+
+/**
+ * Cells each alive mortal could still be on, given attacks this round
+ * and the verified claims about them
+ */
+function candidateCells(room) {
+  const attacked = room.attacks.map(a => a.cell);
+  const open = gridCells(room.gridSize).filter(cell => !attacked.includes(cell));
+
+  return room.players
+    .filter(p => p.role === 'mortal' && p.position !== null)
+    .map(mortal => {
+      const verified = room.claims.filter(c => c.targetPlayerId === mortal.id && c.verified);
+      return open.filter(cell => verified.every(c => cellMatchesClaim(cell, c, room.gridSize)));
+    });
+}
+
+/**
+ * Picks the next claim to verify, or null to stop verifying this turn
+ */
+export function chooseBotVerification(room, bot) {
+  const { verifications } = DIFFICULTY[bot.botDifficulty] || DIFFICULTY.normal;
+  const usedThisTurn = room.claims.filter(c => c.verified && c.turn === room.turn).length;
+  if (room.verificationsRemaining <= 0 || usedThisTurn >= verifications) return null;
+
+  const pending = room.claims.filter(c => !c.verified);
+  if (pending.length === 0) return null;
+
+  if (bot.botDifficulty === 'easy') {
+    return randomItem(pending).id;
+  }
+
+  // Row/column claims about alive mortals narrow the search the most
+  const alive = room.players.filter(p => p.role === 'mortal' && p.position !== null).map(p => p.id);
+  const useful = pending.filter(c => alive.includes(c.targetPlayerId) && c.claimType !== CLAIM_TYPES.ADJACENT);
+  return randomItem(useful.length > 0 ? useful : pending).id;
+}
+
+/**
+ * Picks the cell to attack
+ */
+export function chooseBotAttack(room, bot) {
+  const { useClaims } = DIFFICULTY[bot.botDifficulty] || DIFFICULTY.normal;
+  const attacked = room.attacks.map(a => a.cell);
+  const open = gridCells(room.gridSize).filter(cell => !attacked.includes(cell));
+  if (open.length === 0) return randomItem(gridCells(room.gridSize));
+
+  if (!useClaims) return randomItem(open);
+
+  // Weight each cell by the chance a mortal stands on it
+  const weights = new Map(open.map(cell => [cell, 0]));
+  candidateCells(room).forEach(cells => {
+    cells.forEach(cell => weights.set(cell, weights.get(cell) + 1 / cells.length));
+  });
+
+  // Hard bots also lean on unverified self claims, which are more often true than not
+  if (bot.botDifficulty === 'hard') {
+    room.claims
+      .filter(c => !c.verified && c.isSelfClaim && c.claimType !== CLAIM_TYPES.ADJACENT)
+      .forEach(c => {
+        open.filter(cell => cellMatchesClaim(cell, { ...c, isTrue: true }, room.gridSize))
+          .forEach(cell => weights.set(cell, weights.get(cell) + 0.25));
+      });
+  }
+
+  const best = Math.max(...weights.values());
+  return randomItem(open.filter(cell => weights.get(cell) === best));
+}
+
+/**
+ * Bot God after winning a round: 'stay' or 'cede'
+ */
+export function chooseBotGodChoice(room, bot) {
+  if (!canGodStay(room)) return 'cede';
+
+  const stayRate = bot.botDifficulty === 'hard' ? 0.7 : 0.4;
+  return Math.random() < stayRate ? 'stay' : 'cede';
+}
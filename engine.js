@@ -0,0 +1,750 @@
+/**
+ * Divine Wrath Engine
+ *
+ * The game rules, free of sockets, timers and storage:
+ *
+ *   applyAction(state, action) -> { state, events, errors }
+ *
+ * `state` is the room (see shared/types.ts) and is never mutated: a valid
+ * action returns a new state plus the events it produced, in order; an
+ * invalid one returns the same state, no events and the reason in `errors`.
+ * Fields the engine doesn't know about (sessions, timers, spectators, chain
+ * data) are carried over untouched.
+ *
+ * Actions ({ type, playerId, ...fields }):
+ *   start_game            Host deals roles and starts round 1
+ *   select_position       { position, commitment?, salt? }   Mortal picks a cell during setup
+ *   submit_claim          { claimType, claimValue, targetPlayerId, zkProof? }
+ *   verify_claim          { claimId, onChain?: { isTrue, hash, ledger }, blockchainError? }
+ *   select_cell           { cell }       God highlights a cell (null to clear)
+ *   attack                { cell }
+ *   god_choice            { choice }     'stay' | 'cede' after the God wins a round
+ *   ready_for_next_round
+ *   phase_timeout         (no player)    Act for everyone who ran out of time
+ *
+ * Events are { type, round, turn, ...data }; they are also what the game log
+ * records (see replay.js for their fields).
+ *
+ * Randomness (role deal, new God, timeout moves) comes from `options.random`,
+ * so tests can replay a game exactly.
+ */
+
+import {
+  CLAIM_TYPES,
+  CLAIM_TYPE_CONFIG,
+  POINTS,
+  PLAYER_COUNT,
+  ZK_LAYOUT,
+  MAX_CONSECUTIVE_GOD_ROUNDS,
+} from './shared/constants.js';
+import { poseidon2 } from 'poseidon-lite';
+import { gridCells, isValidCell, claimValues, turnsPerRound, verifyClaim } from './grid.js';
+
+// The God earns this many verifications per turn (unused ones carry over)
+export const VERIFICATIONS_PER_TURN = 2;
+
+const HANDLERS = {
+  start_game: startGame,
+  select_position: selectPosition,
+  submit_claim: submitClaim,
+  verify_claim: verifyClaimAction,
+  select_cell: selectCell,
+  attack: attack,
+  god_choice: godChoice,
+  ready_for_next_round: readyForNextRound,
+  phase_timeout: phaseTimeout,
+};
+
+/**
+ * Applies one action to a game state
+ *
+ * @param {object} state - Room state (not modified)
+ * @param {object} action - { type, playerId, ...fields }
+ * @param {object} [options]
+ * @param {function} [options.random] - Returns a number in [0, 1), defaults to Math.random
+ * @returns {{ state: object, events: object[], errors: string[] }}
+ */
+export function applyAction(state, action, { random = Math.random } = {}) {
+  const handler = HANDLERS[action?.type];
+  if (!handler) {
+    return { state, events: [], errors: [`Unknown action: ${action?.type}`] };
+  }
+
+  const ctx = { state: structuredClone(state), events: [], random };
+  const error = handler(ctx, action);
+  if (error) {
+    return { state, events: [], errors: [error] };
+  }
+  return { state: ctx.state, events: ctx.events, errors: [] };
+}
+
+/**
+ * Whether the God who just won a round may stay for another one.
+ * Staying is refused once they are at the consecutive limit and missed an attack.
+ */
+export function canGodStay(state) {
+  return !(
+    state.godHistory.consecutiveRounds >= (MAX_CONSECUTIVE_GOD_ROUNDS - 1) &&
+    state.godHistory.missedAttacks > 0
+  );
+}
+
+/**
+ * Whether every ALIVE mortal has claimed (or passed) this turn
+ */
+export function allMortalsClaimed(state) {
+  const aliveMortals = state.players.filter(p => p.role === 'mortal' && p.position !== null);
+  const claimsThisTurn = state.claims.filter(c => c.turn === state.turn);
+  const passesThisTurn = state.passes.filter(p => p.turn === state.turn);
+
+  return claimsThisTurn.length + passesThisTurn.length >= aliveMortals.length;
+}
+
+/**
+ * The commitment to a cell: Poseidon(position, salt) as a decimal string,
+ * the same value the claim circuit exposes as its last public signal
+ */
+export function commitPosition(position, salt) {
+  return poseidon2([BigInt(position), BigInt(salt)]).toString();
+}
+
+/**
+ * Cells no mortal is standing on
+ */
+export function freeCells(state) {
+  return gridCells(state.gridSize).filter(cell => !state.players.some(p => p.position === cell));
+}
+
+// ============================================================================
+// Helpers (all work on ctx.state, the engine's private copy)
+// ============================================================================
+
+function emit(ctx, type, data = {}) {
+  ctx.events.push({ type, round: ctx.state.currentRound, turn: ctx.state.turn, ...data });
+}
+
+function setPhase(ctx, phase) {
+  ctx.state.phase = phase;
+  emit(ctx, 'phase_changed', { phase });
+}
+
+function addScore(ctx, playerId, action, points) {
+  const { state } = ctx;
+  if (!state.scores[playerId]) return;
+
+  state.scores[playerId].total += points;
+  state.scores[playerId].breakdown.push({
+    round: state.currentRound,
+    turn: state.turn,
+    action,
+    points,
+  });
+  emit(ctx, 'score', { playerId, action, points });
+}
+
+function pick(ctx, items) {
+  return items[Math.floor(ctx.random() * items.length)];
+}
+
+function findPlayer(state, playerId) {
+  return state.players.find(p => p.id === playerId);
+}
+
+function ranking(state) {
+  return Object.values(state.scores).sort((a, b) => b.total - a.total);
+}
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+// Deal roles (1 God, the rest mortals) and start round 1
+function startGame(ctx, { playerId }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'lobby' && state.phase !== 'ended') {
+    return 'Game already started';
+  }
+
+  if (!findPlayer(state, playerId)?.isHost) {
+    return 'Only host can start the game';
+  }
+
+  if (state.players.length < PLAYER_COUNT.MIN) {
+    return `Need at least ${PLAYER_COUNT.MIN} players to start`;
+  }
+
+  // The circuit is built for exactly 3 mortals
+  if (state.zkEnabled && state.players.length !== ZK_LAYOUT.players) {
+    return `ZK mode needs exactly ${ZK_LAYOUT.players} players`;
+  }
+
+  const godIndex = Math.floor(ctx.random() * state.players.length);
+  state.players.forEach((p, i) => {
+    p.role = i === godIndex ? 'god' : 'mortal';
+    p.position = null;
+    p.positionCommitment = null;
+  });
+  const god = state.players[godIndex];
+
+  // Initialize scores for all players
+  state.scores = {};
+  state.players.forEach(p => {
+    state.scores[p.id] = {
+      playerId: p.id,
+      playerName: p.name,
+      total: 0,
+      breakdown: [],
+    };
+  });
+
+  // Initialize god history
+  state.godHistory = {
+    playerId: god.id,
+    consecutiveRounds: 1,
+    hasPenalty: false,
+    missedAttacks: 0,
+  };
+
+  // A restart after a finished game begins from a clean board
+  state.claims = [];
+  state.passes = [];
+  state.attacks = [];
+  state.readyForNextRound = [];
+  state.godChoice = null;
+  state.godSelectedCell = null;
+  state.roundWinner = null;
+  state.verificationsRemaining = VERIFICATIONS_PER_TURN;
+
+  state.turnsPerRound = turnsPerRound(state.gridSize);
+  state.turn = 1;
+  state.currentRound = 1;
+
+  emit(ctx, 'game_started', {
+    roomCode: state.code,
+    gridSize: state.gridSize,
+    totalRounds: state.totalRounds,
+    turnsPerRound: state.turnsPerRound,
+    zkEnabled: state.zkEnabled,
+    players: state.players.map(p => ({ id: p.id, name: p.name, role: p.role, isBot: !!p.isBot })),
+  });
+  setPhase(ctx, 'setup'); // Mortals choose positions
+  return null;
+}
+
+// Mortal picks a cell during setup (they may change it until everyone has picked).
+// In ZK games they also commit to it: their claim proofs must match the commitment,
+// and the salt shows the commitment really is to this cell
+function selectPosition(ctx, { playerId, position, commitment = null, salt = null }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'setup') {
+    return 'Positions can only be chosen during setup';
+  }
+
+  const player = findPlayer(state, playerId);
+  if (!player || player.role !== 'mortal') {
+    return 'Only mortals choose a position';
+  }
+
+  if (!isValidCell(state.gridSize, position)) {
+    return 'Invalid position';
+  }
+
+  // Check position not taken
+  if (state.players.some(p => p.position === position)) {
+    return 'Position already taken';
+  }
+
+  // Bots never prove claims, so only humans commit
+  if (state.zkEnabled && !player.isBot && !commitment) {
+    return 'ZK games need a commitment to your position';
+  }
+  if (commitment && (salt === null || commitPosition(position, salt) !== commitment)) {
+    return 'Commitment does not match your position';
+  }
+
+  placeMortal(ctx, player, position, commitment);
+  return null;
+}
+
+// Put a mortal on a cell, moving on to claiming once every mortal is placed
+function placeMortal(ctx, player, position, commitment = null) {
+  const { state } = ctx;
+
+  player.position = position;
+  player.positionCommitment = commitment;
+  emit(ctx, 'position_selected', { playerId: player.id, position, ...(commitment && { commitment }) });
+
+  const mortals = state.players.filter(p => p.role === 'mortal');
+  if (mortals.every(m => m.position !== null)) {
+    state.currentPlayerIndex = state.players.findIndex(p => p.role === 'mortal');
+    setPhase(ctx, 'claiming');
+  }
+}
+
+// Store a mortal's claim. zkProof must already be verified (see zk.js)
+function submitClaim(ctx, { playerId, claimType, claimValue, targetPlayerId, zkProof = null }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'claiming') {
+    return 'Claims can only be made during the claiming phase';
+  }
+
+  const player = findPlayer(state, playerId);
+  if (!player || player.role !== 'mortal') {
+    return 'Only mortals can make claims';
+  }
+
+  // Check if player is alive (has position)
+  if (player.position === null) {
+    return 'Dead players cannot make claims';
+  }
+
+  // Check if player already made a claim this turn
+  if (state.claims.some(c => c.playerId === player.id && c.turn === state.turn)) {
+    return 'You already made a claim this turn';
+  }
+
+  // Find target player for the claim
+  const targetPlayer = findPlayer(state, targetPlayerId);
+  if (!targetPlayer || targetPlayer.role !== 'mortal') {
+    return 'Invalid target player';
+  }
+
+  // Row/column values must exist on this board
+  const { needsValue } = CLAIM_TYPE_CONFIG[claimType] || {};
+  if (needsValue === undefined) {
+    return 'Invalid claim type';
+  }
+  if (needsValue && !claimValues(claimType, state.gridSize).includes(claimValue)) {
+    return 'Invalid claim value';
+  }
+
+  // Prevent claiming adjacent to yourself
+  if (claimType === CLAIM_TYPES.ADJACENT && targetPlayerId === player.id) {
+    return 'Cannot claim to be adjacent to yourself';
+  }
+
+  // Check if this exact claim was already made by anyone
+  const duplicateClaim = state.claims.some(
+    c => c.targetPlayerId === targetPlayerId &&
+         c.claimType === claimType &&
+         c.claimValue === claimValue
+  );
+  if (duplicateClaim) {
+    return 'This claim was already made';
+  }
+
+  // If the mortal made a claim about themselves, they may include a ZK proof
+  const isSelfClaim = targetPlayerId === player.id;
+
+  // A proof is about the prover's own position
+  if (zkProof && !isSelfClaim) {
+    return 'Claim rejected: ZK proofs can only back claims about yourself';
+  }
+
+  const claim = {
+    id: `${state.code}-${state.currentRound}-${state.turn}-${player.id}`,  // Unique within the game
+    playerId: player.id,
+    playerName: player.name,
+    targetPlayerId,
+    targetPlayerName: targetPlayer.name,
+    claimType,
+    claimValue,
+    verified: false,  // God must verify manually
+    isTrue: null,     // Unknown until verified
+    turn: state.turn,
+    // ZK proof data (stored for later verification by God)
+    isSelfClaim,
+    zkProof,
+    verifiedOnChain: false,
+  };
+
+  state.claims.push(claim);
+  emit(ctx, 'claim_submitted', {
+    claimId: claim.id,
+    playerId: player.id,
+    targetPlayerId,
+    claimType,
+    claimValue,
+    hasZkProof: !!zkProof,
+  });
+
+  // Move to deduction once every alive mortal has spoken
+  if (allMortalsClaimed(state)) {
+    setPhase(ctx, 'deduction');
+  }
+  return null;
+}
+
+// God reveals whether a claim is true. The socket layer settles ZK claims on
+// chain first and passes the outcome as `onChain: { isTrue, hash, ledger }`, or
+// the reason it failed as `blockchainError`; everything else is checked against positions
+function verifyClaimAction(ctx, { playerId, claimId, onChain = null, blockchainError = null }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'deduction') {
+    return 'Claims can only be verified during deduction';
+  }
+
+  if (findPlayer(state, playerId)?.role !== 'god') {
+    return 'Only God can verify claims';
+  }
+
+  if (state.verificationsRemaining <= 0) {
+    return 'No verifications remaining this turn';
+  }
+
+  const claim = state.claims.find(c => c.id === claimId);
+  if (!claim) {
+    return 'Claim not found';
+  }
+
+  if (claim.verified) {
+    return 'Claim already verified';
+  }
+
+  if (onChain) {
+    claim.isTrue = onChain.isTrue;
+    claim.verifiedOnChain = true;
+    claim.transactionHash = onChain.hash ?? null;
+    claim.ledger = onChain.ledger ?? null;
+  } else {
+    const claimer = findPlayer(state, claim.playerId);
+    const target = findPlayer(state, claim.targetPlayerId);
+
+    claim.isTrue = verifyClaim(
+      claimer?.position,
+      target?.position,
+      claim.claimType,
+      claim.claimValue,
+      state.gridSize
+    );
+    claim.verifiedOnChain = false;
+    if (blockchainError) {
+      claim.blockchainError = blockchainError;
+    }
+  }
+  claim.verified = true;
+  state.verificationsRemaining--;
+
+  emit(ctx, 'claim_verified', {
+    claimId,
+    isTrue: claim.isTrue,
+    verifiedOnChain: claim.verifiedOnChain,
+    ...(onChain && { transactionHash: claim.transactionHash, ledger: claim.ledger }),
+    ...(blockchainError && { blockchainError }),
+  });
+
+  // Award points for true self-claim
+  if (claim.isTrue && claim.isSelfClaim) {
+    addScore(ctx, claim.playerId, 'true_self_claim', POINTS.TRUE_SELF_CLAIM);
+  }
+  return null;
+}
+
+// God highlights the cell they are considering (visible to all)
+function selectCell(ctx, { playerId, cell }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'deduction' || findPlayer(state, playerId)?.role !== 'god') {
+    return 'Only God can select a cell during deduction';
+  }
+
+  if (cell !== null && !isValidCell(state.gridSize, cell)) {
+    return 'Invalid cell';
+  }
+
+  state.godSelectedCell = cell;
+  emit(ctx, 'cell_selected', { cell });
+  return null;
+}
+
+function attack(ctx, { playerId, cell }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'deduction' || findPlayer(state, playerId)?.role !== 'god') {
+    return 'Only God can attack during deduction';
+  }
+
+  if (!isValidCell(state.gridSize, cell)) {
+    return 'Invalid cell';
+  }
+
+  performAttack(ctx, cell);
+  return null;
+}
+
+// Resolve a God attack on a cell: scoring, then next turn or end of round
+function performAttack(ctx, cell) {
+  const { state } = ctx;
+  const hitPlayer = state.players.find(p => p.position === cell);
+  const god = state.players.find(p => p.role === 'god');
+
+  // Clear god selection after attack
+  state.godSelectedCell = null;
+
+  state.attacks.push({
+    cell,
+    turn: state.turn,
+    round: state.currentRound,
+    hit: !!hitPlayer,
+    victimName: hitPlayer?.name || null
+  });
+  emit(ctx, 'attack', {
+    playerId: god.id,
+    cell,
+    hit: !!hitPlayer,
+    victimId: hitPlayer?.id ?? null,
+    victimName: hitPlayer?.name ?? null,
+  });
+
+  // === CALCULATE GOD'S POINTS ===
+  if (hitPlayer) {
+    hitPlayer.position = null; // Dead
+
+    let godPoints = POINTS.GOD_FINDS_MORTAL; // +40
+
+    if (state.godHistory.hasPenalty) {
+      godPoints += POINTS.GOD_PENALTY_HIT_BONUS; // +15 additional = 55
+    }
+
+    addScore(ctx, god.id, 'god_find', godPoints);
+  } else {
+    // Miss
+    state.godHistory.missedAttacks++;
+
+    if (state.godHistory.hasPenalty) {
+      addScore(ctx, god.id, 'god_penalty_miss', POINTS.GOD_PENALTY_MISS);
+    }
+  }
+
+  // === SURVIVAL POINTS (mortals alive at end of turn) ===
+  const aliveMortals = state.players.filter(p => p.role === 'mortal' && p.position !== null);
+  aliveMortals.forEach(mortal => {
+    addScore(ctx, mortal.id, 'survive_turn', POINTS.MORTAL_SURVIVES_TURN);
+  });
+
+  // === CHECK END OF ROUND ===
+  if (aliveMortals.length === 0) {
+    // God killed everyone
+    state.roundWinner = 'god';
+    endRound(ctx, 'god');
+  } else if (state.turn >= state.turnsPerRound) {
+    // Mortals survived all turns
+    state.roundWinner = 'mortals';
+    endRound(ctx, 'mortals');
+  } else {
+    // Continue to next turn
+    state.turn++;
+    state.verificationsRemaining += VERIFICATIONS_PER_TURN;  // Accumulate
+    setPhase(ctx, 'claiming');
+  }
+}
+
+// End of round: the game ends after the last one, otherwise wait for the transition
+function endRound(ctx, winner) {
+  const { state } = ctx;
+  const isFinalRound = state.currentRound >= state.totalRounds;
+
+  if (winner === 'mortals' || isFinalRound) {
+    emit(ctx, 'round_ended', { winner, needsGodChoice: false, isFinalRound });
+  } else {
+    // God killed everyone and must choose to stay or cede
+    emit(ctx, 'round_ended', {
+      winner,
+      needsGodChoice: true,
+      canStay: canGodStay(state),
+      godPlayerId: state.players.find(p => p.role === 'god').id,
+      isFinalRound,
+    });
+  }
+
+  if (isFinalRound) {
+    // GAME OVER
+    setPhase(ctx, 'ended');
+
+    const finalRanking = ranking(state);
+    emit(ctx, 'game_ended', {
+      winner: finalRanking[0]?.playerId || null,
+      ranking: finalRanking,
+    });
+    return;
+  }
+
+  // More rounds to play - go to transition
+  state.roundWinner = winner;
+  state.godChoice = null;  // Set by god_choice when the God won
+  setPhase(ctx, 'round_transition');
+}
+
+// God decides to stay (with penalty) or cede after winning a round
+function godChoice(ctx, { playerId, choice }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'round_transition') {
+    return 'No round to choose for';
+  }
+
+  const player = findPlayer(state, playerId);
+  if (!player || player.role !== 'god') {
+    return 'Only God can make this choice';
+  }
+
+  if (state.roundWinner !== 'god') {
+    return 'Only a God who won the round can choose';
+  }
+
+  if (choice === 'stay') {
+    if (!canGodStay(state)) {
+      return 'Cannot stay as God for 3 consecutive rounds after missing';
+    }
+
+    // Stay with penalty - applied when the round starts
+    state.godChoice = { type: 'stay', keepGodId: player.id };
+    state.godHistory.hasPenalty = true;
+    state.godHistory.consecutiveRounds++;
+    state.godHistory.missedAttacks = 0;
+
+  } else if (choice === 'cede') {
+    state.godChoice = { type: 'cede', keepGodId: null };
+
+  } else {
+    return 'Choose stay or cede';
+  }
+
+  emit(ctx, 'god_choice', { playerId: player.id, choice });
+
+  // God's choice counts as their ready
+  markReady(ctx, player);
+  return null;
+}
+
+function readyForNextRound(ctx, { playerId }) {
+  const { state } = ctx;
+
+  if (state.phase !== 'round_transition') {
+    return 'No round to get ready for';
+  }
+
+  const player = findPlayer(state, playerId);
+  if (!player) {
+    return 'Not a player in this room';
+  }
+
+  // God must use god_choice instead (when needsGodChoice)
+  if (player.role === 'god' && state.roundWinner === 'god') {
+    return 'God must choose stay or cede first';
+  }
+
+  markReady(ctx, player);
+  return null;
+}
+
+// Mark a player ready; the next round starts once everyone is
+function markReady(ctx, player) {
+  const { state } = ctx;
+  if (state.readyForNextRound.includes(player.id)) return;
+
+  state.readyForNextRound.push(player.id);
+  emit(ctx, 'player_ready', { playerId: player.id });
+
+  if (state.players.every(p => state.readyForNextRound.includes(p.id))) {
+    startNextRound(ctx, state.godChoice?.keepGodId ?? null);
+  }
+}
+
+function startNextRound(ctx, keepGodId) {
+  const { state } = ctx;
+
+  state.currentRound++;
+  state.turn = 1;
+  state.roundWinner = null;
+  state.verificationsRemaining = VERIFICATIONS_PER_TURN;
+
+  // Clear transition state
+  state.readyForNextRound = [];
+  state.godChoice = null;
+
+  // Clear claims, passes, attacks and god selection from previous round
+  state.claims = [];
+  state.passes = [];
+  state.attacks = [];
+  state.godSelectedCell = null;
+
+  // A God who chose to stay but is no longer in the room is replaced like one who ceded
+  if (!keepGodId || !findPlayer(state, keepGodId)) {
+    // Change god: a survivor takes over, or anyone else if nobody survived
+    const currentGod = state.players.find(p => p.role === 'god');
+    const aliveMortals = state.players.filter(p => p.role === 'mortal' && p.position !== null);
+    const candidates = aliveMortals.length > 0
+      ? aliveMortals
+      : state.players.filter(p => p !== currentGod);
+
+    const newGod = pick(ctx, candidates);
+    if (currentGod) currentGod.role = 'mortal';
+    newGod.role = 'god';
+
+    state.godHistory = {
+      playerId: newGod.id,
+      consecutiveRounds: 1,
+      hasPenalty: false,
+      missedAttacks: 0,
+    };
+  }
+  // A God who stays already had their history updated by god_choice
+
+  // Everyone picks a new cell (the God has none)
+  state.players.forEach(p => {
+    p.position = null;
+    p.positionCommitment = null;
+  });
+
+  emit(ctx, 'round_started', { godId: state.players.find(p => p.role === 'god').id });
+  setPhase(ctx, 'setup');
+}
+
+// The current phase ran out of time: act for the players who didn't
+function phaseTimeout(ctx) {
+  const { state } = ctx;
+  const { phase } = state;
+
+  if (phase === 'setup') {
+    // Place every mortal who hasn't chosen on a random free cell
+    const unplaced = state.players.filter(p => p.role === 'mortal' && p.position === null);
+    emit(ctx, 'phase_timeout', { phase, playerIds: unplaced.map(p => p.id) });
+    unplaced.forEach(p => placeMortal(ctx, p, pick(ctx, freeCells(state))));
+
+  } else if (phase === 'claiming') {
+    // Record a "no claim" pass (with penalty) for every mortal who didn't claim
+    const silent = state.players.filter(p =>
+      p.role === 'mortal' &&
+      p.position !== null &&
+      !state.claims.some(c => c.playerId === p.id && c.turn === state.turn) &&
+      !state.passes.some(c => c.playerId === p.id && c.turn === state.turn)
+    );
+    emit(ctx, 'phase_timeout', { phase, playerIds: silent.map(p => p.id) });
+    silent.forEach(p => {
+      state.passes.push({ playerId: p.id, playerName: p.name, turn: state.turn, round: state.currentRound });
+      emit(ctx, 'claim_passed', { playerId: p.id });
+      addScore(ctx, p.id, 'timeout_penalty', POINTS.TIMEOUT_PENALTY);
+    });
+    setPhase(ctx, 'deduction');
+
+  } else if (phase === 'deduction') {
+    // God didn't attack: strike a random cell not yet attacked this round (with penalty)
+    const god = state.players.find(p => p.role === 'god');
+    if (!god) return 'No God in this round';
+    const unattacked = gridCells(state.gridSize).filter(cell => !state.attacks.some(a => a.cell === cell));
+    const cell = pick(ctx, unattacked.length > 0 ? unattacked : gridCells(state.gridSize));
+
+    emit(ctx, 'phase_timeout', { phase, playerIds: [god.id], cell });
+    addScore(ctx, god.id, 'timeout_penalty', POINTS.TIMEOUT_PENALTY);
+    performAttack(ctx, cell);
+
+  } else {
+    return `The ${phase} phase has no time limit`;
+  }
+  return null;
+}
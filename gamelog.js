@@ -0,0 +1,99 @@
+/**
+ * Divine Wrath Game Log
+ *
+ * Append-only record of every accepted action of a game, kept apart from the
+ * room so it outlives it. Each game (one start_game) gets its own log, keyed
+ * by room.gameId.
+ *
+ * Log stores share one interface:
+ *   append(gameId, event)
+ *   get(gameId) -> event[] | undefined
+ *
+ * Events are plain objects: { seq, type, at, round, turn, ...data }.
+ * See replay.js for the event types and how they rebuild a game.
+ */
+
+import { readFileSync, appendFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'gamelog' });
+
+// Event types that close a log; only closed logs are exported
+export const FINAL_EVENTS = ['game_ended', 'game_abandoned'];
+
+// Games kept by the memory store before the oldest are dropped
+const MAX_MEMORY_GAMES = 500;
+
+/**
+ * In-memory store. Keeps the most recent games only and loses them on restart.
+ */
+export function createMemoryLogStore() {
+  const logs = new Map();
+
+  return {
+    append: (gameId, event) => {
+      if (!logs.has(gameId)) {
+        logs.set(gameId, []);
+        if (logs.size > MAX_MEMORY_GAMES) {
+          logs.delete(logs.keys().next().value);
+        }
+      }
+      logs.get(gameId).push(event);
+    },
+    get: (gameId) => logs.get(gameId),
+  };
+}
+
+/**
+ * JSON Lines store: one file per game, one event per line.
+ * Appending never rewrites earlier events.
+ *
+ * @param {string} dir - Directory for the log files
+ */
+export function createFileLogStore(dir) {
+  mkdirSync(dir, { recursive: true });
+
+  // Game IDs come from the server, but never let one escape the directory
+  const fileFor = (gameId) => join(dir, `${String(gameId).replace(/[^A-Za-z0-9_-]/g, '')}.jsonl`);
+
+  return {
+    append: (gameId, event) => {
+      appendFileSync(fileFor(gameId), `${JSON.stringify(event)}\n`);
+    },
+    get: (gameId) => {
+      const filePath = fileFor(gameId);
+      if (!existsSync(filePath)) return undefined;
+
+      return readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    },
+  };
+}
+
+/**
+ * Creates the store selected by GAME_LOG_STORE ('memory' or 'file')
+ */
+export function createGameLogStore() {
+  const type = process.env.GAME_LOG_STORE || 'memory';
+
+  if (type === 'file') {
+    const dir = process.env.GAME_LOG_DIR || './data/games';
+    log.info('game_log_store_selected', { store: 'file', path: dir });
+    return createFileLogStore(dir);
+  }
+
+  if (type !== 'memory') {
+    log.warn('game_log_store_unknown', { store: type, fallback: 'memory' });
+  }
+  return createMemoryLogStore();
+}
+
+/**
+ * Whether a log belongs to a game that is over (finished or abandoned)
+ */
+export function isLogClosed(events) {
+  return events.some(e => FINAL_EVENTS.includes(e.type));
+}
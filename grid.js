@@ -0,0 +1,73 @@
+/**
+ * Divine Wrath Grid
+ *
+ * Cell geometry and claim truth shared by the game handlers and the bots.
+ * A board of size N has cells 1..N*N numbered left to right, top to bottom;
+ * rows and columns are numbered 1..N.
+ */
+
+import { CLAIM_TYPES } from './shared/constants.js';
+
+// Every cell of the grid
+export function gridCells(gridSize) {
+  return Array.from({ length: gridSize * gridSize }, (_, i) => i + 1);
+}
+
+// Whether a value is a cell of the grid
+export function isValidCell(gridSize, cell) {
+  return Number.isInteger(cell) && cell >= 1 && cell <= gridSize * gridSize;
+}
+
+// Row of a cell (1..N)
+export function cellRow(cell, gridSize) {
+  return Math.ceil(cell / gridSize);
+}
+
+// Column of a cell (1..N)
+export function cellColumn(cell, gridSize) {
+  return ((cell - 1) % gridSize) + 1;
+}
+
+// Orthogonal neighbours of a cell (same as ADJACENCY_MAP on the 3x3 board)
+export function adjacentCells(cell, gridSize) {
+  const row = cellRow(cell, gridSize);
+  const col = cellColumn(cell, gridSize);
+  const neighbours = [];
+
+  if (row > 1) neighbours.push(cell - gridSize);
+  if (col > 1) neighbours.push(cell - 1);
+  if (col < gridSize) neighbours.push(cell + 1);
+  if (row < gridSize) neighbours.push(cell + gridSize);
+
+  return neighbours;
+}
+
+// Values a claim type can take on this board (adjacent claims take no value)
+export function claimValues(claimType, gridSize) {
+  if (claimType === CLAIM_TYPES.ROW || claimType === CLAIM_TYPES.COLUMN) {
+    return Array.from({ length: gridSize }, (_, i) => i + 1);
+  }
+  return [];
+}
+
+// Turns in a round: one per row of the board (3 on the classic 3x3)
+export function turnsPerRound(gridSize) {
+  return gridSize;
+}
+
+// Verify claim locally (placeholder for ZK)
+export function verifyClaim(claimerPosition, targetPosition, claimType, claimValue, gridSize) {
+  if (targetPosition === null) return false;
+
+  switch (claimType) {
+    case CLAIM_TYPES.ROW:
+      return cellRow(targetPosition, gridSize) === claimValue;
+    case CLAIM_TYPES.COLUMN:
+      return cellColumn(targetPosition, gridSize) === claimValue;
+    case CLAIM_TYPES.ADJACENT:
+      if (claimerPosition === null || claimerPosition === undefined) return false;
+      return adjacentCells(claimerPosition, gridSize).includes(targetPosition);
+    default:
+      return false;
+  }
+}
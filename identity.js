@@ -0,0 +1,242 @@
+/**
+ * Divine Wrath Identity
+ *
+ * Stable player IDs, independent of socket IDs. Every socket presents a
+ * signed identity token in its handshake (auth: { token }); sockets without a
+ * valid one are given a new guest identity. The server answers every
+ * connection with 'identity' { playerId, kind, name, token }, a fresh token
+ * the client keeps for its next connection.
+ *
+ * Tokens are `<payload>.<signature>`, both base64url: the payload is
+ * { sub, kind, name, exp } and the signature its HMAC-SHA256 under
+ * IDENTITY_SECRET. Guests (kind 'guest') can claim a name and password and
+ * become an account (kind 'account') under the same playerId.
+ *
+ * Account stores share one interface:
+ *   get(playerId) -> account | undefined
+ *   findByName(name) -> account | undefined   (case-insensitive)
+ *   save(account)
+ */
+
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { logger } from './logger.js';
+import { createMemoryKeyedStore, createFileKeyedStore, selectStore } from './storage.js';
+
+const log = logger.child({ module: 'identity' });
+
+const scryptAsync = promisify(scrypt);
+
+export const IDENTITY_KINDS = {
+  GUEST: 'guest',
+  ACCOUNT: 'account',
+};
+
+// How long a token is valid. Every connection renews it
+export const TOKEN_TTL_MS = parseInt(process.env.IDENTITY_TOKEN_TTL_MS || String(30 * 24 * 60 * 60 * 1000), 10);
+
+export const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9_-]{3,24}$/;
+export const PASSWORD_LENGTH = { min: 8, max: 128 };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Secret tokens are signed with. Without IDENTITY_SECRET a random one is used,
+ * so identities don't survive a restart
+ */
+export function identitySecret() {
+  if (process.env.IDENTITY_SECRET) return process.env.IDENTITY_SECRET;
+
+  log.warn('identity_secret_missing', { effect: 'identities reset on restart' });
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * A new guest identity
+ */
+export function createGuest() {
+  return { playerId: `g_${randomBytes(12).toString('base64url')}`, kind: IDENTITY_KINDS.GUEST, name: null };
+}
+
+/**
+ * Signs a token for an identity
+ *
+ * @param {object} identity - { playerId, kind, name }
+ * @param {string} secret - See identitySecret
+ */
+export function issueToken({ playerId, kind, name = null }, secret, now = Date.now()) {
+  const payload = base64url(JSON.stringify({ sub: playerId, kind, name, exp: now + TOKEN_TTL_MS }));
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Reads a token. Returns its identity, or null if it is malformed, forged or expired
+ */
+export function verifyToken(token, secret, now = Date.now()) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (typeof claims?.sub !== 'string' || !Object.values(IDENTITY_KINDS).includes(claims.kind)) return null;
+  if (!(claims.exp > now)) return null;
+
+  return { playerId: claims.sub, kind: claims.kind, name: claims.name ?? null };
+}
+
+/**
+ * socket.io middleware putting the socket's identity in socket.data.identity
+ * (and its ID in socket.data.playerId). Sockets without a valid token get a
+ * new guest identity. So does a guest token whose player has since
+ * registered: the account is only reached by signing in
+ *
+ * @param {string} secret - See identitySecret
+ * @param {object} accounts - Account store
+ */
+export function authenticateSocket(secret, accounts) {
+  return (socket, next) => {
+    const token = verifyToken(socket.handshake.auth?.token, secret);
+    const account = token && accounts.get(token.playerId);
+    let identity = token ?? createGuest();
+    if (account && token.kind === IDENTITY_KINDS.GUEST) {
+      log.info('guest_token_refused', { socketId: socket.id, playerId: token.playerId, reason: 'account_registered' });
+      identity = createGuest();
+    } else if (account) {
+      identity = accountIdentity(account);
+    }
+    socket.data.identity = identity;
+    socket.data.playerId = identity.playerId;
+    next();
+  };
+}
+
+// ─── Accounts ─────────────────────────────────────────────────────────────────
+
+/**
+ * Checks a name and password for an account. Returns an error message or null
+ */
+export function validateCredentials({ name, password } = {}) {
+  if (typeof name !== 'string' || !ACCOUNT_NAME_PATTERN.test(name)) {
+    return 'name must be 3-24 letters, digits, _ or -';
+  }
+  if (typeof password !== 'string' || password.length < PASSWORD_LENGTH.min || password.length > PASSWORD_LENGTH.max) {
+    return `password must be ${PASSWORD_LENGTH.min}-${PASSWORD_LENGTH.max} characters`;
+  }
+  return null;
+}
+
+/**
+ * Hashes a password as `<salt>:<scrypt hash>`, both hex
+ */
+export async function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  const hash = await scryptAsync(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+export async function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const given = await scryptAsync(password, salt, expected.length);
+  return timingSafeEqual(given, expected);
+}
+
+/**
+ * Turns an identity into a named account. A guest keeps its playerId, so
+ * its history follows it; anyone else gets a new one.
+ * Returns { account } or { error, status }
+ *
+ * @param {object} accounts - Account store
+ * @param {object} credentials - { name, password }
+ * @param {object|null} identity - Identity of the caller's token, if any
+ */
+export async function registerAccount(accounts, { name, password }, identity = null, now = Date.now()) {
+  const invalid = validateCredentials({ name, password });
+  if (invalid) return { status: 400, error: invalid };
+
+  const taken = registrationConflict(accounts, name, identity);
+  if (taken) return taken;
+
+  const passwordHash = await hashPassword(password);
+  // Another registration may have got there while the password was hashing
+  const raced = registrationConflict(accounts, name, identity);
+  if (raced) return raced;
+
+  const account = {
+    playerId: identity?.playerId ?? createGuest().playerId,
+    name,
+    passwordHash,
+    createdAt: now,
+  };
+  accounts.save(account);
+  return { account };
+}
+
+// Why an identity can't register a name right now, or null if it can
+function registrationConflict(accounts, name, identity) {
+  if (accounts.findByName(name)) return { status: 409, error: 'Name already taken' };
+  // Also catches a guest token issued before its player registered
+  if (identity && accounts.get(identity.playerId)) return { status: 409, error: 'Already signed in to an account' };
+  return null;
+}
+
+/**
+ * Finds the account a name and password belong to, or null
+ */
+export async function authenticateAccount(accounts, { name, password } = {}) {
+  if (typeof name !== 'string' || typeof password !== 'string') return null;
+
+  const account = accounts.findByName(name);
+  if (!account || !(await checkPassword(password, account.passwordHash))) return null;
+  return account;
+}
+
+/**
+ * The identity an account signs in as
+ */
+export const accountIdentity = (account) => ({ playerId: account.playerId, kind: IDENTITY_KINDS.ACCOUNT, name: account.name });
+
+const nameKey = (name) => String(name).toLowerCase();
+
+// Accounts kept by playerId in a keyed store (see storage.js)
+function accountStore(records) {
+  return {
+    get: records.get,
+    findByName: (name) => records.list().find(a => nameKey(a.name) === nameKey(name)),
+    save: records.set,
+  };
+}
+
+/**
+ * In-memory account store. Everything is lost on restart.
+ */
+export function createMemoryAccountStore() {
+  return accountStore(createMemoryKeyedStore(a => a.playerId));
+}
+
+/**
+ * JSON file account store (see createFileKeyedStore)
+ *
+ * @param {string} filePath - Where to keep the accounts
+ */
+export function createFileAccountStore(filePath) {
+  return accountStore(createFileKeyedStore(filePath, a => a.playerId, 'account'));
+}
+
+/**
+ * Creates the account store selected by ACCOUNT_STORE ('memory' or 'file')
+ */
+export function createAccountStore() {
+  return selectStore('account', './data/accounts.json', { memory: createMemoryAccountStore, file: createFileAccountStore });
+}
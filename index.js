@@ -3,23 +3,87 @@ import express from 'express';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
-import { CLAIM_TYPES, ADJACENCY_MAP, POINTS, DEFAULT_ROUNDS, TURNS_PER_ROUND, MAX_CONSECUTIVE_GOD_ROUNDS } from './shared/constants.js';
+import {
+  DEFAULT_ROUNDS,
+  GRID_SIZE_OPTIONS,
+  DEFAULT_GRID_SIZE,
+  PLAYER_COUNT,
+  DEFAULT_MAX_PLAYERS,
+  ZK_LAYOUT,
+  TIMED_PHASES,
+  DEFAULT_PHASE_TIMERS,
+  PHASE_TIMER_LIMITS,
+  SPECTATOR_DELAY_LIMITS,
+  MAX_SPECTATORS,
+} from './shared/constants.js';
 import {
   submitClaimRelayed,
   startGameRelayed,
   isRelayerConfigured,
   getRelayerAddress,
+  getNetworkInfo,
+  getRelayerQueueStatus,
+  recordAttackRelayed,
+  recordRoundRelayed,
+  onRelayerJobUpdate,
   claimTypeToNumber,
-  roomCodeToSessionId,
-  generatePlayerAddressSync,
+  allocateSessionId,
+  reserveSessionId,
+  releaseGameSessions,
+  derivePlayerAddress,
+  isSessionTakenError,
+  settleGameRelayed,
 } from './relayer.js';
+import { buildRoomView, emitToRoom, clearSpectatorTimers } from './views.js';
+import { RECONNECT_GRACE_MS, generateSessionToken, findSession, rebindPlayerId } from './sessions.js';
+import { isVerifierConfigured, verifyClaimProof, claimValueForCircuit, placeholderCommitment } from './zk.js';
+import { createRoomStore } from './storage.js';
+import { createGameLogStore, isLogClosed } from './gamelog.js';
+import { replayGame } from './replay.js';
+import { turnsPerRound } from './grid.js';
+import { applyAction } from './engine.js';
+import { validatePackets } from './schemas.js';
+import { REGISTRATION_STATUS, startRegistration, transition, retryDelay } from './registration.js';
+import { createSettlementStore, createSettlement, markSettled, markFailed } from './settlement.js';
+import { requireAdmin, summarizeRoom, adminRoomView, createAuditLog, MAX_REASON_LENGTH } from './admin.js';
+import { createMetrics } from './metrics.js';
+import { createStatsStore, recordGame, playerProfile, rankPlayers } from './stats.js';
+import {
+  authenticateSocket,
+  issueToken,
+  verifyToken,
+  identitySecret,
+  registerAccount,
+  authenticateAccount,
+  accountIdentity,
+  createAccountStore,
+} from './identity.js';
+import { logger } from './logger.js';
+import {
+  BOT_DIFFICULTIES,
+  createBotPlayer,
+  chooseBotPosition,
+  chooseBotClaim,
+  chooseBotVerification,
+  chooseBotAttack,
+  chooseBotGodChoice,
+} from './bots.js';
+
+const log = logger.child({ module: 'server' });
 
 // Relayer configuration (for ZK mode)
 const RELAYER_CONFIGURED = isRelayerConfigured();
-
-console.log(`[Config] RELAYER_CONFIGURED: ${RELAYER_CONFIGURED}`);
-if (RELAYER_CONFIGURED) {
-  console.log(`[Config] Relayer address: ${getRelayerAddress()}`);
+// Claim proofs are checked on the server, so ZK mode also needs the verification key
+const VERIFIER_CONFIGURED = isVerifierConfigured();
+
+log.info('config_loaded', {
+  relayerConfigured: RELAYER_CONFIGURED,
+  verifierConfigured: VERIFIER_CONFIGURED,
+  network: getNetworkInfo().network,
+  relayerAddress: RELAYER_CONFIGURED ? getRelayerAddress() : null,
+});
+if (process.env.DIVINE_WRATH_ADMIN_SECRET && getNetworkInfo().network && !getNetworkInfo().contractId) {
+  log.warn('contract_id_missing', { network: getNetworkInfo().network, relayerConfigured: false });
 }
 
 const app = express();
@@ -33,15 +97,257 @@ app.get('/', (req, res) => {
     port: process.env.PORT || 3001,
     zkSupport: {
       relayerConfigured: RELAYER_CONFIGURED,
+      verifierConfigured: VERIFIER_CONFIGURED,
       relayerAddress: RELAYER_CONFIGURED ? getRelayerAddress() : null,
-      contractId: process.env.DIVINE_WRATH_CONTRACT_ID || null,
+      network: getNetworkInfo().network,
+      contractId: getNetworkInfo().contractId,
     }
   });
 });
 
+// Prometheus scrape endpoint (see metrics.js)
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
 // Parse JSON body for API endpoints
 app.use(express.json());
 
+// Named accounts (see identity.js). Both answer { playerId, kind, name, token };
+// sockets sign in by reconnecting with the token
+app.post('/api/auth/register', async (req, res) => {
+  // A guest registering keeps its playerId
+  const caller = verifyToken(bearerToken(req), IDENTITY_SECRET);
+  const { account, status, error } = await registerAccount(accounts, req.body ?? {}, caller);
+  if (error) {
+    res.status(status).json({ error });
+    return;
+  }
+
+  log.info('account_registered', { playerId: account.playerId, name: account.name, fromGuest: !!caller });
+  res.status(201).json(signIn(account));
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const account = await authenticateAccount(accounts, req.body ?? {});
+  if (!account) {
+    res.status(401).json({ error: 'Invalid name or password' });
+    return;
+  }
+  res.json(signIn(account));
+});
+
+function signIn(account) {
+  const identity = accountIdentity(account);
+  return { ...identity, token: issueToken(identity, IDENTITY_SECRET) };
+}
+
+// Token of an Authorization: Bearer header, if any
+function bearerToken(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
+
+// Event log of a finished game (see gamelog.js). Logs of games still being
+// played are not served: they contain every hidden position
+app.get('/api/games/:gameId/log', (req, res) => {
+  const events = closedGameLog(req.params.gameId, res);
+  if (!events) return;
+
+  res.json({ gameId: req.params.gameId, events });
+});
+
+// Final state and scores of a finished game, rebuilt from its log alone
+app.get('/api/games/:gameId/replay', (req, res) => {
+  const events = closedGameLog(req.params.gameId, res);
+  if (!events) return;
+
+  try {
+    res.json(replayGame(events));
+  } catch (err) {
+    res.status(500).json({ error: `Could not replay game: ${err.message}` });
+  }
+});
+
+// Players by rating, a page at a time
+app.get('/api/leaderboard', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const ranked = rankPlayers(playerStats.list());
+
+  res.json({
+    total: ranked.length,
+    limit,
+    offset,
+    players: ranked.slice(offset, offset + limit).map((record, i) => ({
+      rank: offset + i + 1,
+      playerId: record.playerId,
+      name: displayName(record),
+      rating: record.rating,
+      gamesPlayed: record.gamesPlayed,
+      wins: record.wins,
+    })),
+  });
+});
+
+// One player's career: stats, rates and leaderboard rank
+app.get('/api/players/:playerId', (req, res) => {
+  const record = playerStats.get(req.params.playerId);
+  if (!record) {
+    res.status(404).json({ error: 'Player not found' });
+    return;
+  }
+
+  const rank = rankPlayers(playerStats.list()).findIndex(r => r.playerId === record.playerId) + 1;
+  res.json({ ...playerProfile(record), name: displayName(record), rank });
+});
+
+// Account name if the player registered one, otherwise the name of their last game
+function displayName(record) {
+  return accounts.get(record.playerId)?.name ?? record.name;
+}
+
+// Relayer transaction queue: how many transactions wait for a sequence number,
+// how many wait for the ledger, and the status of recent ones
+app.get('/api/relayer/queue', (req, res) => {
+  if (!RELAYER_CONFIGURED) {
+    res.status(404).json({ error: 'Relayer not configured' });
+    return;
+  }
+
+  res.json(getRelayerQueueStatus() ?? { depth: 0, pending: 0, succeeded: 0, failed: 0, jobs: [] });
+});
+
+// On-chain settlement of a ZK game (see settlement.js): the latest game of a
+// room, or one game by ID
+app.get('/api/rooms/:roomCode/settlement', (req, res) => {
+  sendSettlement(settlements.latestForRoom(req.params.roomCode.toUpperCase()), res);
+});
+
+app.get('/api/games/:gameId/settlement', (req, res) => {
+  sendSettlement(settlements.get(req.params.gameId), res);
+});
+
+function sendSettlement(record, res) {
+  if (!record) {
+    res.status(404).json({ error: 'Settlement not found' });
+    return;
+  }
+  res.json(record);
+}
+
+// Admin API (see admin.js): every route below needs ADMIN_API_TOKEN
+app.use('/api/admin', requireAdmin(process.env.ADMIN_API_TOKEN || null));
+
+app.get('/api/admin/rooms', (req, res) => {
+  res.json({ rooms: rooms.list().map(summarizeRoom) });
+});
+
+// Full room state, hidden positions and proofs included
+app.get('/api/admin/rooms/:roomCode', (req, res) => {
+  const room = rooms.get(req.params.roomCode.toUpperCase());
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return;
+  }
+  res.json(adminRoomView(room));
+});
+
+app.delete('/api/admin/rooms/:roomCode', (req, res) => {
+  adminAction(req, res, 'close_room', (room, reason) => {
+    emitToRoom(io, room, 'admin_action', { action: 'close_room', reason });
+    closeRoom(room, 'admin');
+    return null;
+  });
+});
+
+app.delete('/api/admin/rooms/:roomCode/players/:playerId', (req, res) => {
+  adminAction(req, res, 'kick_player', (room, reason) => {
+    const { playerId } = req.params;
+    const player = findPlayer(room, playerId);
+    if (!player) return { status: 404, error: 'Player not found' };
+
+    io.to(playerId).emit('kicked', { roomCode: room.code, reason });
+    io.in(playerId).socketsLeave(room.code);
+    log.info('admin_player_kicked', { roomCode: room.code, playerId, reason });
+
+    if (!removePlayer(room, playerId)) {
+      rooms.set(room);
+      emitToRoom(io, room, 'admin_action', { action: 'kick_player', playerId, reason });
+    }
+    return null;
+  });
+});
+
+// Ends the current phase as if its timer ran out
+app.post('/api/admin/rooms/:roomCode/advance', (req, res) => {
+  adminAction(req, res, 'advance_phase', (room, reason) => {
+    const { phase } = room;
+    const error = dispatch(room.code, { type: 'phase_timeout' });
+    if (error) return { status: 409, error };
+
+    const advanced = rooms.get(room.code);
+    emitToRoom(io, advanced, 'admin_action', { action: 'advance_phase', phase, reason });
+    log.info('admin_phase_advanced', { roomCode: room.code, gameId: room.gameId, phase, reason });
+    return null;
+  });
+});
+
+app.get('/api/admin/audit', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  res.json({ entries: auditLog.recent(limit) });
+});
+
+// Runs an admin action on a room, writes it to the audit log and answers the
+// request. run(room, reason) returns null or { status, error }
+function adminAction(req, res, action, run) {
+  const { playerId } = req.params;
+  const roomCode = req.params.roomCode.toUpperCase();
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.slice(0, MAX_REASON_LENGTH) : null;
+
+  // A run that throws is still audited, as a failure
+  let failure;
+  try {
+    const room = rooms.get(roomCode);
+    failure = room ? run(room, reason) : { status: 404, error: 'Room not found' };
+  } catch (err) {
+    log.error('admin_action_failed', { roomCode, action, playerId, error: err });
+    failure = { status: 500, error: 'Admin action failed' };
+  }
+
+  auditLog.append({
+    at: Date.now(),
+    action,
+    roomCode,
+    ...(playerId && { playerId }),
+    reason,
+    ok: !failure,
+    error: failure?.error ?? null,
+    ip: req.ip,
+  });
+
+  if (failure) {
+    res.status(failure.status).json({ error: failure.error });
+    return;
+  }
+  res.json({ ok: true });
+}
+
+// Looks up a game log for export, answering the request itself if it can't be served
+function closedGameLog(gameId, res) {
+  const events = gameLogs.get(gameId);
+  if (!events) {
+    res.status(404).json({ error: 'Game not found' });
+    return null;
+  }
+  if (!isLogClosed(events)) {
+    res.status(409).json({ error: 'Game is still in progress' });
+    return null;
+  }
+  return events;
+}
+
 const httpServer = createServer(app);
 // CORS origins: localhost for dev, FRONTEND_URL env var for production
 const corsOrigins = [
@@ -57,8 +363,47 @@ const io = new Server(httpServer, {
   }
 });
 
-// Game rooms storage
-const rooms = new Map();
+// Game rooms storage (memory or durable, see storage.js)
+// Lobby and seat handlers mutate rooms in place and call rooms.set(room) to persist the change;
+// game actions go through dispatch(), which stores the new state returned by the engine
+const rooms = createRoomStore();
+
+// Per-game event logs, kept after their room is gone
+const gameLogs = createGameLogStore();
+
+// Settlements of finished ZK games, kept after their room is gone
+const settlements = createSettlementStore();
+
+// Admin actions, kept after their room is gone (see admin.js)
+const auditLog = createAuditLog();
+
+// Career stats and ratings of players, kept across games (see stats.js)
+const playerStats = createStatsStore();
+
+// Named player accounts and the secret identity tokens are signed with (see identity.js)
+const accounts = createAccountStore();
+const IDENTITY_SECRET = identitySecret();
+
+const metrics = createMetrics({
+  listRooms: () => rooms.list(),
+  countSockets: () => io.of('/').sockets.size,
+});
+
+// Grace timers for disconnected players: `${roomCode}:${playerId}` -> timeout
+const disconnectTimers = new Map();
+
+// Phase deadline timers: roomCode -> timeout (the deadline itself lives on the room)
+const phaseTimers = new Map();
+
+// Pending bot moves: roomCode -> timeout
+const botTimers = new Map();
+// Delay before bots act, so their moves read like a player's
+const BOT_THINK_MS = parseInt(process.env.BOT_THINK_MS || '1200', 10);
+
+// On-chain registrations in flight: roomCode -> Promise of the final status
+const registrationRuns = new Map();
+// How long a ZK claim waits for its game's registration before it is refused
+const REGISTRATION_WAIT_MS = parseInt(process.env.REGISTRATION_WAIT_MS || '30000', 10);
 
 // Generate 6-character room code
 function generateRoomCode() {
@@ -70,16 +415,6 @@ function generateRoomCode() {
   return code;
 }
 
-// Convert room code to session ID (u32)
-// Simple hash: sum of char codes modulo 2^32
-function hashRoomCodeToSessionId(roomCode) {
-  let hash = 0;
-  for (let i = 0; i < roomCode.length; i++) {
-    hash = ((hash << 5) - hash + roomCode.charCodeAt(i)) >>> 0;
-  }
-  return hash;
-}
-
 // Create initial room state
 function createRoom(hostId, hostName, avatar = null, zkEnabled = false) {
   return {
@@ -91,15 +426,21 @@ function createRoom(hostId, hostName, avatar = null, zkEnabled = false) {
       position: null,  // 1-9 for mortals
       isHost: true,
       isReady: false,
-      avatar: avatar   // Avatar config { color, eyebrows }
+      avatar: avatar,  // Avatar config { color, eyebrows }
+      connected: true,
+      sessionToken: generateSessionToken()
     }],
     phase: 'lobby',    // lobby, setup, claiming, deduction, round_transition, ended
     turn: 0,
     currentRound: 1,
     totalRounds: DEFAULT_ROUNDS,
+    gridSize: DEFAULT_GRID_SIZE,        // Board is gridSize x gridSize
+    maxPlayers: DEFAULT_MAX_PLAYERS,    // 1 God + the rest mortals
+    turnsPerRound: turnsPerRound(DEFAULT_GRID_SIZE),
     zkEnabled,         // If true, claims require ZK proofs and blockchain verification
     currentPlayerIndex: 0,
     claims: [],
+    passes: [],        // Mortals who ran out of time to claim
     attacks: [],
     verificationsRemaining: 2,  // God can verify 2 claims per turn (accumulates)
     scores: {},        // playerId -> PlayerScore
@@ -107,49 +448,260 @@ function createRoom(hostId, hostName, avatar = null, zkEnabled = false) {
     roundWinner: null, // 'god' | 'mortals' | null
     readyForNextRound: [],  // playerIds ready to continue
     godSelectedCell: null,  // Cell God is considering (visible to all)
+    phaseTimers: { ...DEFAULT_PHASE_TIMERS },  // Seconds per phase, 0 = no limit
+    phaseDeadline: null,    // Absolute timestamp (ms) when the current phase times out
+    spectators: [],         // Sockets watching without a seat
+    spectatorDelay: 0,      // Seconds spectators lag behind, 0 = live
+    gameId: null,           // Event log of the current game, set by start_game
+    logSeq: 0,              // Next event number in that log
+    blockchainSessionId: null,     // Contract session ID of the current ZK round
+    blockchainAddresses: null,     // playerId -> Stellar address in the current ZK game
+    blockchainRegistration: null,  // On-chain registration of the current ZK round (see registration.js)
+    blockchainRoundResults: [],    // Round results of the current ZK game as recorded on-chain
     createdAt: Date.now()
   };
 }
 
-// Helper to add score entry
-function addScore(room, playerId, action, points, round, turn) {
-  if (!room.scores[playerId]) return;
-
-  room.scores[playerId].total += points;
-  room.scores[playerId].breakdown.push({
-    round,
-    turn,
-    action,
-    points,
+// Append an event to the current game's log (nothing is logged before the game starts)
+function logEvent(room, type, data = {}) {
+  if (!room.gameId) return;
+
+  gameLogs.append(room.gameId, {
+    seq: room.logSeq++,
+    type,
+    at: Date.now(),
+    round: room.currentRound,
+    turn: room.turn,
+    ...data,
   });
 }
 
+// Whether a game is being played (seat changes then matter to the log)
+function isMidGame(room) {
+  return !['lobby', 'ended'].includes(room.phase);
+}
+
+// Remove a player from a room, deleting the room if it becomes empty
+// Returns true if the room was deleted
+function removePlayer(room, playerId) {
+  const playerIndex = room.players.findIndex(p => p.id === playerId);
+  if (playerIndex === -1) return false;
+
+  clearDisconnectTimer(room.code, playerId);
+
+  // Mid-game the seat stays in play, so the round never loses its God or a mortal:
+  // a bot takes it over. Leaving (or being kicked) gives the seat up for good, so
+  // its session token goes too; a dropped connection keeps it (see holdSeat)
+  if (isMidGame(room)) {
+    const player = room.players[playerIndex];
+    delete player.sessionToken;
+    player.isHost = false;
+    replaceWithBot(room, player);
+  } else {
+    room.players.splice(playerIndex, 1);
+  }
+
+  // Bots don't keep a room alive on their own
+  if (!room.players.some(p => !p.isBot)) {
+    closeRoom(room, 'empty');
+    return true;
+  }
+
+  // Assign new host if needed
+  if (!room.players.some(p => p.isHost)) {
+    room.players.find(p => !p.isBot).isHost = true;
+  }
+  return false;
+}
+
+// A bot plays a human's seat from now on (same ID, score and position)
+function replaceWithBot(room, player) {
+  log.info('player_replaced_by_bot', { roomCode: room.code, gameId: room.gameId, playerId: player.id });
+  player.isBot = true;
+  player.botDifficulty = 'normal';
+  logEvent(room, 'player_replaced_by_bot', { playerId: player.id });
+  rooms.set(room);
+  emitToRoom(io, room, 'player_replaced_by_bot', { playerId: player.id });
+  scheduleBots(room);
+}
+
+// Delete a room and everything running for it. Whoever is still in it gets
+// 'room_closed' with the reason ('empty' or 'admin')
+function closeRoom(room, reason) {
+  log.info('room_closed', { roomCode: room.code, gameId: room.gameId, reason, midGame: isMidGame(room) });
+  if (isMidGame(room)) {
+    logEvent(room, 'game_abandoned');
+    metrics.recordGameAbandoned();
+  }
+  clearPhaseTimer(room.code);
+  clearTimeout(botTimers.get(room.code));
+  botTimers.delete(room.code);
+  room.players.forEach(p => clearDisconnectTimer(room.code, p.id));
+  clearSpectatorTimers(room.code);
+  if (room.gameId) releaseGameSessions(room.gameId);
+  rooms.delete(room.code);
+
+  [...room.players, ...room.spectators].forEach(({ id }) => io.to(id).emit('room_closed', { roomCode: room.code, reason }));
+  io.in(room.code).socketsLeave(room.code);
+}
+
+// Stop a socket spectating a room. Returns true if it was spectating
+function removeSpectator(room, socketId) {
+  const index = room.spectators.findIndex(s => s.id === socketId);
+  if (index === -1) return false;
+
+  room.spectators.splice(index, 1);
+  return true;
+}
+
+function clearDisconnectTimer(roomCode, playerId) {
+  const key = `${roomCode}:${playerId}`;
+  clearTimeout(disconnectTimers.get(key));
+  disconnectTimers.delete(key);
+}
+
+// Mark a player as disconnected. If they don't resume in time, a bot takes
+// over their seat mid-game; in the lobby or after the game they are removed
+function holdSeat(room, player) {
+  player.connected = false;
+  player.disconnectedAt = player.disconnectedAt ?? Date.now();
+
+  // The seat may be rebound to a new socket before the timer fires
+  const code = room.code;
+  const playerId = player.id;
+  const remainingMs = Math.max(0, player.disconnectedAt + RECONNECT_GRACE_MS - Date.now());
+
+  disconnectTimers.set(`${code}:${playerId}`, setTimeout(() => {
+    disconnectTimers.delete(`${code}:${playerId}`);
+
+    // Game actions replace the room object, so look the seat up again
+    const room = rooms.get(code);
+    const player = room?.players.find(p => p.id === playerId);
+    if (!player) return;
+
+    // Mid-game a bot stands in and the session token stays, so the player can
+    // still resume the seat. That holds when nobody else is connected either
+    // (e.g. a whole table dropped by a restart)
+    if (isMidGame(room)) {
+      replaceWithBot(room, player);
+      return;
+    }
+
+    log.info('player_timed_out', { roomCode: code, playerId });
+    if (!removePlayer(room, playerId)) {
+      rooms.set(room);
+      emitToRoom(io, room, 'player_left');
+    }
+  }, remainingMs));
+}
+
+// Arm the timer for the room's phase deadline, if it has one
+function armPhaseTimer(room) {
+  clearPhaseTimer(room.code);
+  if (!room.phaseDeadline) return;
+
+  const code = room.code;
+  phaseTimers.set(code, setTimeout(() => {
+    phaseTimers.delete(code);
+    handlePhaseTimeout(code);
+  }, Math.max(0, room.phaseDeadline - Date.now())));
+}
+
+function clearPhaseTimer(roomCode) {
+  clearTimeout(phaseTimers.get(roomCode));
+  phaseTimers.delete(roomCode);
+}
+
+// Give the room's bots a turn shortly after the state settles
+function scheduleBots(room) {
+  if (!room.players.some(p => p.isBot)) return;
+
+  const code = room.code;
+  clearTimeout(botTimers.get(code));
+  botTimers.set(code, setTimeout(() => {
+    botTimers.delete(code);
+    runBots(code).catch(err => log.error('bots_failed', { roomCode: code, error: err }));
+  }, BOT_THINK_MS));
+}
+
+// Relayed transactions report their progress to the room they belong to
+onRelayerJobUpdate((job) => {
+  metrics.recordRelayerJob(job);
+
+  const room = job.meta.roomCode && rooms.get(job.meta.roomCode);
+  if (!room) return;
+
+  emitToRoom(io, room, 'blockchain_tx_status', () => ({
+    jobId: job.id,
+    label: job.label,
+    status: job.status,
+    outcome: job.outcome,
+    ...(job.meta.claimId && { claimId: job.meta.claimId }),
+    ...(job.meta.round && { round: job.meta.round }),
+    ...(job.meta.turn && { turn: job.meta.turn }),
+    attempts: job.attempts,
+    transactionHash: job.hash,
+    ledger: job.ledger,
+    error: job.error,
+  }));
+});
+
+// Rooms loaded from storage have no live sockets: hold every seat for resume_session
+for (const room of rooms.list()) {
+  room.spectators = [];  // Their sockets did not survive the restart
+  if (room.blockchainSessionId) reserveSessionId(room.blockchainSessionId, room.gameId);
+  if (room.blockchainRegistration?.status === REGISTRATION_STATUS.PENDING) {
+    room.blockchainRegistration = transition(room.blockchainRegistration, { type: 'interrupted' });
+  }
+  armPhaseTimer(room);
+  room.players.filter(p => !p.isBot).forEach(p => holdSeat(room, p));
+  scheduleBots(room);
+  rooms.set(room);
+  log.info('room_restored', { roomCode: room.code, gameId: room.gameId, phase: room.phase, players: room.players.length });
+}
+
+// Every socket carries a stable player ID (see identity.js)
+io.use(authenticateSocket(IDENTITY_SECRET, accounts));
+
 io.on('connection', (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+  const { identity, playerId } = socket.data;
+  log.info('socket_connected', { socketId: socket.id, playerId, kind: identity.kind });
+
+  // Every socket of a player joins a channel named after it, which is where
+  // events for that player are sent (io.to(playerId))
+  socket.join(playerId);
+  socket.emit('identity', { ...identity, token: issueToken(identity, IDENTITY_SECRET) });
+
+  // Handlers below only see payloads that match their schema (see schemas.js)
+  socket.use(validatePackets(socket));
 
   // Create a new room
   socket.on('create_room', ({ playerName, avatar, zkEnabled = false }) => {
-    // zkEnabled requires relayer to be configured
-    const effectiveZkEnabled = zkEnabled && RELAYER_CONFIGURED;
+    // zkEnabled requires relayer and verification key to be configured
+    const effectiveZkEnabled = zkEnabled && RELAYER_CONFIGURED && VERIFIER_CONFIGURED;
 
-    const room = createRoom(socket.id, playerName, avatar, effectiveZkEnabled);
-    rooms.set(room.code, room);
+    const room = createRoom(playerId, playerName, avatar, effectiveZkEnabled);
+    rooms.set(room);
     socket.join(room.code);
 
-    console.log(`Room created: ${room.code} by ${playerName} (ZK: ${effectiveZkEnabled})`);
-    socket.emit('room_created', { roomCode: room.code, room });
+    log.info('room_created', { roomCode: room.code, socketId: socket.id, playerId, playerName, zkEnabled: effectiveZkEnabled });
+    socket.emit('room_created', {
+      roomCode: room.code,
+      room: buildRoomView(room, playerId),
+      sessionToken: room.players[0].sessionToken,
+    });
   });
 
   // Join existing room
   socket.on('join_room', ({ roomCode, playerName, avatar }) => {
-    const room = rooms.get(roomCode.toUpperCase());
+    const room = rooms.get(roomCode);
 
     if (!room) {
       socket.emit('error', { message: 'Room not found' });
       return;
     }
 
-    if (room.players.length >= 4) {
+    if (room.players.length >= room.maxPlayers) {
       socket.emit('error', { message: 'Room is full' });
       return;
     }
@@ -159,254 +711,378 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (room.players.some(p => p.id === playerId)) {
+      socket.emit('error', { message: 'Already playing in this room' });
+      return;
+    }
+
+    removeSpectator(room, playerId);
+
+    const sessionToken = generateSessionToken();
     room.players.push({
-      id: socket.id,
+      id: playerId,
       name: playerName,
       role: null,
       position: null,
       isHost: false,
       isReady: false,
-      avatar: avatar || null
+      avatar: avatar || null,
+      connected: true,
+      sessionToken
     });
+    rooms.set(room);
 
-    socket.join(roomCode.toUpperCase());
+    socket.join(room.code);
 
-    console.log(`${playerName} joined room ${roomCode}`);
-    io.to(roomCode.toUpperCase()).emit('room_updated', { room });
+    log.info('player_joined', { roomCode, socketId: socket.id, playerId, playerName });
+    socket.emit('room_joined', { roomCode: room.code, sessionToken });
+    emitToRoom(io, room, 'room_updated');
   });
 
-  // Player ready toggle
-  socket.on('toggle_ready', ({ roomCode }) => {
+  // Watch a room without taking a seat (any phase)
+  socket.on('spectate_room', ({ roomCode, name }) => {
     const room = rooms.get(roomCode);
-    if (!room) return;
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (player) {
-      player.isReady = !player.isReady;
-      io.to(roomCode).emit('room_updated', { room });
+    if (!room) {
+      socket.emit('error', { message: 'Room not found' });
+      return;
+    }
+
+    if (room.players.some(p => p.id === playerId)) {
+      socket.emit('error', { message: 'Already playing in this room' });
+      return;
     }
+
+    if (!room.spectators.some(s => s.id === playerId)) {
+      if (room.spectators.length >= MAX_SPECTATORS) {
+        socket.emit('error', { message: 'Too many spectators' });
+        return;
+      }
+      room.spectators.push({ id: playerId, name: name || 'Spectator', joinedAt: Date.now() });
+      rooms.set(room);
+      log.info('spectator_joined', { roomCode: room.code, socketId: socket.id, playerId });
+    }
+
+    // With a delay, the first snapshot arrives along with the rest of the stream
+    socket.emit('spectating', { roomCode: room.code, delaySeconds: room.spectatorDelay });
+    emitToRoom(io, room, 'room_updated');
   });
 
-  // Configure round count (host only, lobby phase)
-  socket.on('set_round_config', ({ roomCode, totalRounds }) => {
+  // Stop watching a room
+  socket.on('stop_spectating', ({ roomCode }) => {
     const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'lobby') return;
+    if (!room || !removeSpectator(room, playerId)) return;
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player?.isHost) {
-      socket.emit('error', { message: 'Only host can configure rounds' });
+    rooms.set(room);
+    socket.emit('spectating_stopped', { roomCode: room.code });
+    emitToRoom(io, room, 'room_updated');
+  });
+
+  // Resume a seat after a refresh or dropped connection
+  socket.on('resume_session', ({ sessionToken }) => {
+    const session = findSession(rooms, sessionToken);
+    if (!session) {
+      socket.emit('error', { message: 'Session not found or expired' });
       return;
     }
 
-    if (![3, 4, 5].includes(totalRounds)) {
-      socket.emit('error', { message: 'Invalid round count' });
+    const { room, player } = session;
+    const oldId = player.id;
+
+    // The token moves a seat to this player, who can't hold two
+    if (oldId !== playerId && room.players.some(p => p.id === playerId)) {
+      socket.emit('error', { message: 'Already playing in this room' });
       return;
     }
 
-    room.totalRounds = totalRounds;
-    io.to(roomCode).emit('room_updated', { room });
+    clearDisconnectTimer(room.code, oldId);
+
+    // A seat resumed under another identity: detach the sockets it was bound
+    // to. The player's own sockets (e.g. a second tab) keep following the room
+    if (oldId !== playerId) {
+      io.in(oldId).socketsLeave(room.code);
+      io.to(oldId).emit('session_replaced', { roomCode: room.code });
+
+      removeSpectator(room, playerId);
+      rebindPlayerId(room, oldId, playerId);
+      if (isMidGame(room)) {
+        logEvent(room, 'player_resumed', { oldId, newId: playerId });
+      }
+    }
+    player.connected = true;
+    delete player.disconnectedAt;
+    // Take the seat back from a bot that stood in
+    if (player.isBot) {
+      player.isBot = false;
+      delete player.botDifficulty;
+    }
+    rooms.set(room);
+    socket.join(room.code);
+
+    log.info('session_resumed', { roomCode: room.code, socketId: socket.id, playerId, previousPlayerId: oldId, gameId: room.gameId });
+
+    socket.emit('session_resumed', {
+      roomCode: room.code,
+      room: buildRoomView(room, playerId),
+      sessionToken,
+    });
+    emitToRoom(io, room, 'room_updated');
   });
 
-  // Start game (host only)
-  socket.on('start_game', async ({ roomCode }) => {
+  // Add a bot to fill an empty seat (host only, lobby phase)
+  socket.on('add_bot', ({ roomCode, difficulty = 'normal' }) => {
     const room = rooms.get(roomCode);
-    if (!room) return;
+    if (!room || room.phase !== 'lobby') return;
 
-    const player = room.players.find(p => p.id === socket.id);
+    const player = room.players.find(p => p.id === playerId);
     if (!player?.isHost) {
-      socket.emit('error', { message: 'Only host can start the game' });
+      socket.emit('error', { message: 'Only host can add bots' });
       return;
     }
 
-    if (room.players.length < 4) {
-      socket.emit('error', { message: 'Need 4 players to start' });
+    if (!BOT_DIFFICULTIES.includes(difficulty)) {
+      socket.emit('error', { message: 'Invalid bot difficulty' });
       return;
     }
 
-    // Assign roles: 1 god, 3 mortals
-    const shuffled = [...room.players].sort(() => Math.random() - 0.5);
-    shuffled[0].role = 'god';
-    shuffled[1].role = 'mortal';
-    shuffled[2].role = 'mortal';
-    shuffled[3].role = 'mortal';
-
-    const god = shuffled[0];
-
-    // Initialize scores for all players
-    room.scores = {};
-    room.players.forEach(p => {
-      room.scores[p.id] = {
-        playerId: p.id,
-        playerName: p.name,
-        total: 0,
-        breakdown: [],
-      };
-    });
+    if (room.players.length >= room.maxPlayers) {
+      socket.emit('error', { message: 'Room is full' });
+      return;
+    }
 
-    // Initialize god history
-    room.godHistory = {
-      playerId: god.id,
-      consecutiveRounds: 1,
-      hasPenalty: false,
-      missedAttacks: 0,
-    };
+    const bot = createBotPlayer(room.players.map(p => p.name), difficulty);
+    room.players.push(bot);
+    rooms.set(room);
 
-    room.phase = 'setup'; // Mortals choose positions
-    room.turn = 1;
-    room.currentRound = 1;
+    log.info('bot_added', { roomCode, playerId: bot.id, difficulty });
+    emitToRoom(io, room, 'room_updated');
+  });
+
+  // Remove a bot from the lobby (host only)
+  socket.on('remove_bot', ({ roomCode, botId }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'lobby') return;
 
-    // Generate blockchain session ID
-    const sessionId = roomCodeToSessionId(roomCode);
-    room.blockchainSessionId = sessionId;
+    const player = room.players.find(p => p.id === playerId);
+    if (!player?.isHost) {
+      socket.emit('error', { message: 'Only host can remove bots' });
+      return;
+    }
 
-    console.log(`Game started in room ${roomCode}`);
+    if (!room.players.some(p => p.id === botId && p.isBot)) {
+      socket.emit('error', { message: 'Bot not found' });
+      return;
+    }
 
-    // Start game on blockchain (async, don't block the game start) - only if ZK mode enabled
-    if (room.zkEnabled) {
-      const god = shuffled.find(p => p.role === 'god');
-      const mortals = shuffled.filter(p => p.role === 'mortal');
+    removePlayer(room, botId);
+    rooms.set(room);
+    emitToRoom(io, room, 'room_updated');
+  });
 
-      console.log(`[Blockchain] Starting game on-chain (ZK mode)...`);
-      console.log(`[Blockchain] Session ID: ${sessionId}`);
-      console.log(`[Blockchain] God: ${god.id}, Mortals: ${mortals.map(m => m.id).join(', ')}`);
+  // Player ready toggle
+  socket.on('toggle_ready', ({ roomCode }) => {
+    const room = rooms.get(roomCode);
+    if (!room) return;
 
-      // Don't await - let the game start while blockchain confirms
-      startGameRelayed(
-        sessionId,
-        roomCode,
-        god.id,
-        mortals.map(m => m.id)
-      )
-        .then(() => {
-          console.log(`[Blockchain] Game ${sessionId} registered on-chain`);
-          room.blockchainRegistered = true;
-        })
-        .catch(err => {
-          console.error(`[Blockchain] Failed to register game:`, err.message);
-          room.blockchainRegistered = false;
-        });
+    const player = room.players.find(p => p.id === playerId);
+    if (player) {
+      player.isReady = !player.isReady;
+      rooms.set(room);
+      emitToRoom(io, room, 'room_updated');
     }
-
-    io.to(roomCode).emit('game_started', { room });
   });
 
-  // Mortal selects position (setup phase)
-  socket.on('select_position', ({ roomCode, position }) => {
+  // Configure round count (host only, lobby phase)
+  socket.on('set_round_config', ({ roomCode, totalRounds }) => {
     const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'setup') return;
+    if (!room || room.phase !== 'lobby') return;
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player || player.role !== 'mortal') return;
+    const player = room.players.find(p => p.id === playerId);
+    if (!player?.isHost) {
+      socket.emit('error', { message: 'Only host can configure rounds' });
+      return;
+    }
 
-    // Check position not taken
-    const taken = room.players.some(p => p.position === position);
-    if (taken) {
-      socket.emit('error', { message: 'Position already taken' });
+    if (![3, 4, 5].includes(totalRounds)) {
+      socket.emit('error', { message: 'Invalid round count' });
       return;
     }
 
-    player.position = position;
+    room.totalRounds = totalRounds;
+    rooms.set(room);
+    emitToRoom(io, room, 'room_updated');
+  });
 
-    // Check if all mortals have positions
-    const mortals = room.players.filter(p => p.role === 'mortal');
-    const allReady = mortals.every(m => m.position !== null);
+  // Configure board size and seat count (host only, lobby phase)
+  socket.on('set_board_config', ({ roomCode, gridSize = null, maxPlayers = null }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'lobby') return;
 
-    if (allReady) {
-      room.phase = 'claiming';
-      room.currentPlayerIndex = room.players.findIndex(p => p.role === 'mortal');
+    const player = room.players.find(p => p.id === playerId);
+    if (!player?.isHost) {
+      socket.emit('error', { message: 'Only host can configure the board' });
+      return;
     }
 
-    io.to(roomCode).emit('room_updated', { room });
+    const nextGridSize = gridSize ?? room.gridSize;
+    const nextMaxPlayers = maxPlayers ?? room.maxPlayers;
 
-    if (allReady) {
-      io.to(roomCode).emit('phase_changed', { phase: 'claiming', room });
+    if (!GRID_SIZE_OPTIONS.includes(nextGridSize)) {
+      socket.emit('error', { message: 'Invalid grid size' });
+      return;
     }
-  });
 
-  // Submit claim (claiming phase)
-  socket.on('submit_claim', ({ roomCode, claimType, claimValue, targetPlayerId, zkProof }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'claiming') return;
+    if (!Number.isInteger(nextMaxPlayers) || nextMaxPlayers < PLAYER_COUNT.MIN || nextMaxPlayers > PLAYER_COUNT.MAX) {
+      socket.emit('error', { message: `Player count must be ${PLAYER_COUNT.MIN}-${PLAYER_COUNT.MAX}` });
+      return;
+    }
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player || player.role !== 'mortal') return;
+    if (nextMaxPlayers < room.players.length) {
+      socket.emit('error', { message: 'More players already in the room' });
+      return;
+    }
 
-    // Check if player is alive (has position)
-    if (player.position === null) {
-      socket.emit('error', { message: 'Dead players cannot make claims' });
+    // Everyone needs a cell, and the God must not be able to clear the board
+    if (nextMaxPlayers - 1 >= nextGridSize * nextGridSize) {
+      socket.emit('error', { message: 'Too many players for this board' });
       return;
     }
 
-    // Check if player already made a claim this turn
-    const alreadyClaimed = room.claims.some(c => c.playerId === socket.id && c.turn === room.turn);
-    if (alreadyClaimed) {
-      socket.emit('error', { message: 'You already made a claim this turn' });
+    if (room.zkEnabled && (nextGridSize !== ZK_LAYOUT.gridSize || nextMaxPlayers !== ZK_LAYOUT.players)) {
+      socket.emit('error', {
+        message: `ZK mode only supports a ${ZK_LAYOUT.gridSize}x${ZK_LAYOUT.gridSize} board with ${ZK_LAYOUT.players} players`,
+      });
       return;
     }
 
-    // Find target player for the claim
-    const targetPlayer = room.players.find(p => p.id === targetPlayerId);
-    if (!targetPlayer || targetPlayer.role !== 'mortal') {
-      socket.emit('error', { message: 'Invalid target player' });
+    room.gridSize = nextGridSize;
+    room.maxPlayers = nextMaxPlayers;
+    room.turnsPerRound = turnsPerRound(nextGridSize);
+    rooms.set(room);
+    emitToRoom(io, room, 'room_updated');
+  });
+
+  // Configure phase time limits in seconds (host only, lobby phase)
+  socket.on('set_timer_config', ({ roomCode, phaseTimers }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'lobby') return;
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player?.isHost) {
+      socket.emit('error', { message: 'Only host can configure timers' });
       return;
     }
 
-    // Prevent claiming adjacent to yourself
-    if (claimType === CLAIM_TYPES.ADJACENT && targetPlayerId === socket.id) {
-      socket.emit('error', { message: 'Cannot claim to be adjacent to yourself' });
+    const next = { ...room.phaseTimers };
+    for (const [phase, seconds] of Object.entries(phaseTimers || {})) {
+      const valid = TIMED_PHASES.includes(phase) && Number.isInteger(seconds) && (
+        seconds === 0 || (seconds >= PHASE_TIMER_LIMITS.MIN && seconds <= PHASE_TIMER_LIMITS.MAX)
+      );
+      if (!valid) {
+        socket.emit('error', {
+          message: `Invalid timer for ${phase}: use 0 or ${PHASE_TIMER_LIMITS.MIN}-${PHASE_TIMER_LIMITS.MAX} seconds`,
+        });
+        return;
+      }
+      next[phase] = seconds;
+    }
+
+    room.phaseTimers = next;
+    rooms.set(room);
+    emitToRoom(io, room, 'room_updated');
+  });
+
+  // Configure how far spectators lag behind the game (host only, lobby phase)
+  socket.on('set_spectator_config', ({ roomCode, delaySeconds }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'lobby') return;
+
+    const player = room.players.find(p => p.id === playerId);
+    if (!player?.isHost) {
+      socket.emit('error', { message: 'Only host can configure spectators' });
       return;
     }
 
-    // Check if this exact claim was already made by anyone
-    const duplicateClaim = room.claims.some(
-      c => c.targetPlayerId === targetPlayerId &&
-           c.claimType === claimType &&
-           c.claimValue === claimValue
+    const valid = Number.isInteger(delaySeconds) && (
+      delaySeconds === 0 || (delaySeconds >= SPECTATOR_DELAY_LIMITS.MIN && delaySeconds <= SPECTATOR_DELAY_LIMITS.MAX)
     );
-    if (duplicateClaim) {
-      socket.emit('error', { message: 'This claim was already made' });
+    if (!valid) {
+      socket.emit('error', {
+        message: `Invalid spectator delay: use 0 or ${SPECTATOR_DELAY_LIMITS.MIN}-${SPECTATOR_DELAY_LIMITS.MAX} seconds`,
+      });
       return;
     }
 
-    // Store claim WITHOUT verification - God must verify manually using ZK proofs
-    // If the mortal made a claim about themselves, they include a ZK proof
-    const isSelfClaim = targetPlayerId === socket.id;
-    const hasProof = zkProof && zkProof.proof && zkProof.publicSignals;
+    room.spectatorDelay = delaySeconds;
+    rooms.set(room);
+    emitToRoom(io, room, 'room_updated');
+  });
 
-    const claim = {
-      id: `${room.code}-${room.turn}-${socket.id}`,  // Unique claim ID
-      playerId: socket.id,
-      playerName: player.name,
-      targetPlayerId,
-      targetPlayerName: targetPlayer.name,
-      claimType,
-      claimValue,
-      verified: false,  // God must verify manually
-      isTrue: null,     // Unknown until verified
-      turn: room.turn,
-      // ZK proof data (stored for later verification by God)
-      isSelfClaim,
-      zkProof: hasProof ? zkProof : null,
-      verifiedOnChain: false,
-    };
+  // Start game (host only)
+  socket.on('start_game', async ({ roomCode }) => {
+    const room = rooms.get(roomCode);
+    if (!room) return;
 
-    if (hasProof) {
-      console.log(`[Claim] Claim with ZK proof stored: ${claim.id}`);
+    // Dry run first: a new game log is only opened for a start the engine accepts
+    const action = { type: 'start_game', playerId: playerId };
+    const { errors } = applyAction(room, action);
+    if (errors.length > 0) {
+      socket.emit('error', { message: errors[0] });
+      return;
     }
 
-    room.claims.push(claim);
+    // Every start opens a new game log
+    room.gameId = `${room.code}-${Date.now()}`;
+    room.logSeq = 0;
+
+    // ZK games get fresh player addresses. Each round is registered on-chain
+    // once its mortals have committed to their positions (see registerRound)
+    room.blockchainSessionId = null;
+    room.blockchainAddresses = room.zkEnabled
+      ? Object.fromEntries(room.players.map(p => [p.id, derivePlayerAddress(room.gameId, p.id)]))
+      : null;
+    room.blockchainRegistration = null;
+    room.blockchainRoundResults = [];
+
+    dispatch(roomCode, action);
+    log.info('game_started', { roomCode, gameId: room.gameId, zkEnabled: room.zkEnabled });
+  });
 
-    // Move to next mortal or deduction phase
-    // Only count ALIVE mortals (position !== null)
-    const aliveMortals = room.players.filter(p => p.role === 'mortal' && p.position !== null);
-    const claimsThisTurn = room.claims.filter(c => c.turn === room.turn);
+  // Mortal selects position (setup phase)
+  // ZK rooms: commitment is Poseidon(position, salt), which later claim proofs must match.
+  // The salt is checked against it and then dropped
+  socket.on('select_position', ({ roomCode, position, commitment, salt }) => {
+    dispatchFrom(socket, roomCode, { type: 'select_position', position, commitment, salt });
+  });
+
+  // Submit claim (claiming phase)
+  socket.on('submit_claim', async ({ roomCode, claimType, claimValue, targetPlayerId, zkProof }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'claiming') return;
+
+    // Verify the proof first so the engine checks the claim against the state after the await
+    const hasProof = !!(room.zkEnabled && zkProof && zkProof.proof && zkProof.publicSignals);
+    let verifiedProof = null;
+    if (hasProof) {
+      const commitment = room.players.find(p => p.id === playerId)?.positionCommitment ?? null;
+      const proofCheck = await verifyClaimProof(claimType, claimValue, zkProof, commitment);
+      if (!proofCheck.valid) {
+        log.warn('claim_proof_rejected', { roomCode, socketId: socket.id, playerId, gameId: room.gameId, error: proofCheck.error });
+        socket.emit('error', { message: `Claim rejected: ${proofCheck.error}` });
+        return;
+      }
 
-    if (claimsThisTurn.length >= aliveMortals.length) {
-      room.phase = 'deduction';
-      io.to(roomCode).emit('phase_changed', { phase: 'deduction', room });
+      // isTrue comes from the verified public output, never from the client
+      verifiedProof = { proof: zkProof.proof, publicSignals: zkProof.publicSignals, isTrue: proofCheck.isTrue };
     }
 
-    io.to(roomCode).emit('claim_submitted', { claim, room });
+    dispatchFrom(socket, roomCode, {
+      type: 'submit_claim',
+      claimType,
+      claimValue,
+      targetPlayerId,
+      zkProof: verifiedProof,
+    });
   });
 
   // Submit claim with ZK proof to blockchain
@@ -433,567 +1109,698 @@ io.on('connection', (socket) => {
       return;
     }
 
+    // Only the claimer holds the position and salt behind a proof of their claim
+    if (claim.playerId !== playerId) {
+      log.warn('claim_submit_refused', { roomCode, socketId: socket.id, playerId, gameId: room.gameId, claimId, reason: 'not_claimer' });
+      socket.emit('blockchain_result', { success: false, error: 'You can only submit your own claims', claimId });
+      return;
+    }
+
+    // Each submission is a paid transaction: one per claim, and none while one is in flight
+    if (claim.verifiedOnChain || claim.onChainPending) {
+      log.warn('claim_submit_refused', {
+        roomCode, socketId: socket.id, playerId, gameId: room.gameId, claimId,
+        reason: claim.verifiedOnChain ? 'already_verified' : 'in_flight',
+      });
+      socket.emit('blockchain_result', {
+        success: false,
+        error: claim.verifiedOnChain ? 'Claim already verified on-chain' : 'Claim is already being submitted',
+        claimId,
+      });
+      return;
+    }
+    claim.onChainPending = true;
+    rooms.set(room);
+
     try {
-      // Use the session ID stored when game was started
-      const sessionId = room.blockchainSessionId;
-      if (!sessionId) {
-        socket.emit('blockchain_result', {
-          success: false,
-          error: 'Game not registered on blockchain yet',
-          claimId,
-        });
+      const unregistered = await requireRegistration(roomCode);
+      if (unregistered) {
+        socket.emit('blockchain_result', { success: false, error: unregistered, claimId });
         return;
       }
 
-      // Generate the mortal's address (same as when game was started)
-      const mortalAddress = generatePlayerAddressSync(roomCode, claim.playerId);
+      // The round's session, as registered (it may have changed while registering)
+      const latestRoom = rooms.get(roomCode);
+      const sessionId = latestRoom.blockchainSessionId;
 
-      // Convert claim value to match circuit format:
-      // - row/column: UI uses 1-3, circuit uses 0-2
-      // - adjacent: UI and circuit both use cell number 1-9
-      let claimValueForCircuit = claim.claimValue;
-      if (claim.claimType === 'row' || claim.claimType === 'column') {
-        claimValueForCircuit = claim.claimValue - 1;
+      // Don't spend a transaction on a proof the contract would reject
+      const commitment = latestRoom.players.find(p => p.id === claim.playerId)?.positionCommitment ?? null;
+      const proofCheck = await verifyClaimProof(claim.claimType, claim.claimValue, { proof, publicSignals }, commitment);
+      if (!proofCheck.valid) {
+        socket.emit('blockchain_result', { success: false, error: proofCheck.error, claimId });
+        return;
       }
 
-      console.log(`[Blockchain] Submitting claim ${claimId} to contract...`);
-      console.log(`[Blockchain] Session: ${sessionId}, Type: ${claim.claimType}, Value: ${claim.claimValue} → ${claimValueForCircuit}`);
-      console.log(`[Blockchain] Mortal address: ${mortalAddress}`);
+      // The mortal's address, as registered for the round
+      const mortalAddress = latestRoom.blockchainAddresses[claim.playerId];
+      const circuitValue = claimValueForCircuit(claim.claimType, claim.claimValue);
 
-      const result = await submitClaimRelayed(
+      log.info('claim_submitting_onchain', {
+        roomCode, socketId: socket.id, playerId, gameId: latestRoom.gameId, sessionId, claimId,
+        claimType: claim.claimType, claimValue: claim.claimValue, circuitValue,
+      });
+
+      const { result, hash, ledger } = await submitClaimRelayed(
         sessionId,
         mortalAddress,
         claimTypeToNumber(claim.claimType),
-        claimValueForCircuit,
-        true, // expectedResult - for now always true
-        proof
+        circuitValue,
+        proofCheck.isTrue,
+        proof,
+        { roomCode, claimId }
       );
 
-      console.log(`[Blockchain] Claim ${claimId} submitted successfully:`, result);
-
-      // Mark claim as verified on-chain
-      claim.verifiedOnChain = true;
-      claim.blockchainResult = result;
+      log.info('claim_submitted_onchain', { roomCode, gameId: latestRoom.gameId, sessionId, txHash: hash, claimId, result, ledger });
+
+      // Mark claim as verified on-chain, on the latest state of the room
+      const latest = rooms.get(roomCode);
+      const stored = latest?.claims.find(c => c.id === claimId);
+      if (stored) {
+        delete stored.onChainPending;
+        stored.verifiedOnChain = true;
+        stored.blockchainResult = result;
+        stored.transactionHash = hash;
+        stored.ledger = ledger;
+        rooms.set(latest);
+      }
 
       socket.emit('blockchain_result', {
         success: true,
         claimId,
         result,
-        transactionHash: 'pending', // Would need to track this
+        transactionHash: hash,
+        ledger,
       });
 
-      io.to(roomCode).emit('claim_verified_onchain', { claim, room });
+      if (stored) {
+        emitToRoom(io, latest, 'claim_verified_onchain', view => ({
+          claim: view.claims.find(c => c.id === claimId),
+          room: view,
+        }));
+      }
 
     } catch (error) {
-      console.error(`[Blockchain] Error submitting claim ${claimId}:`, error);
+      log.error('claim_submit_failed', { roomCode, socketId: socket.id, playerId, gameId: room.gameId, txHash: error.hash, claimId, error });
       socket.emit('blockchain_result', {
         success: false,
         error: error.message,
+        outcome: error.outcome ?? 'FAILED',
+        transactionHash: error.hash ?? null,
         claimId,
       });
+    } finally {
+      // Refused or failed submissions may be retried
+      const latest = rooms.get(roomCode);
+      const stored = latest?.claims.find(c => c.id === claimId);
+      if (stored?.onChainPending) {
+        delete stored.onChainPending;
+        rooms.set(latest);
+      }
     }
   });
 
   // God verifies a claim using ZK proof
   socket.on('verify_claim', async ({ roomCode, claimId }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'deduction') return;
-
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player || player.role !== 'god') {
-      socket.emit('error', { message: 'Only God can verify claims' });
-      return;
-    }
-
-    if (room.verificationsRemaining <= 0) {
-      socket.emit('error', { message: 'No verifications remaining this turn' });
-      return;
-    }
-
-    const claim = room.claims.find(c => c.id === claimId);
-    if (!claim) {
-      socket.emit('error', { message: 'Claim not found' });
-      return;
+    const error = await verifyClaimAsGod(roomCode, playerId, claimId);
+    if (error) {
+      socket.emit('error', { message: error });
     }
+  });
 
-    if (claim.verified) {
-      socket.emit('error', { message: 'Claim already verified' });
-      return;
-    }
-
-    // Check if this claim has a ZK proof and room has ZK mode enabled
-    if (claim.zkProof && room.zkEnabled) {
-      // Verify on blockchain using ZK proof
-      console.log(`[Blockchain] God verifying claim ${claimId} with ZK proof...`);
-
-      try {
-        const sessionId = room.blockchainSessionId;
-        if (!sessionId) {
-          throw new Error('Game not registered on blockchain');
-        }
-
-        // Generate the TARGET mortal's address (proof is about target's position)
-        const mortalAddress = generatePlayerAddressSync(roomCode, claim.targetPlayerId);
-
-        // Convert claim value for circuit (row/column: 1-3 → 0-2)
-        let claimValueForCircuit = claim.claimValue;
-        if (claim.claimType === 'row' || claim.claimType === 'column') {
-          claimValueForCircuit = claim.claimValue - 1;
-        }
+  // God selects a cell (visible to all players)
+  socket.on('god_select_cell', ({ roomCode, cell }) => {
+    dispatchFrom(socket, roomCode, { type: 'select_cell', cell: cell ?? null });  // null to deselect
+  });
 
-        console.log(`[Blockchain] Session: ${sessionId}, Type: ${claim.claimType}, Value: ${claim.claimValue} → ${claimValueForCircuit}`);
-        console.log(`[Blockchain] Mortal address: ${mortalAddress}`);
+  // God attacks a cell
+  socket.on('attack_cell', ({ roomCode, cell }) => {
+    dispatchFrom(socket, roomCode, { type: 'attack', cell });
+  });
 
-        // Send to blockchain for verification
-        const result = await submitClaimRelayed(
-          sessionId,
-          mortalAddress,
-          claimTypeToNumber(claim.claimType),
-          claimValueForCircuit,
-          claim.zkProof.isTrue,
-          claim.zkProof.proof
-        );
+  // God makes choice during round transition
+  socket.on('god_choice', ({ roomCode, choice }) => {
+    dispatchFrom(socket, roomCode, { type: 'god_choice', choice });
+  });
 
-        console.log(`[Blockchain] Claim ${claimId} verified on-chain: ${result}`);
+  // Player ready for next round
+  socket.on('ready_for_next_round', ({ roomCode }) => {
+    dispatchFrom(socket, roomCode, { type: 'ready_for_next_round' });
+  });
 
-        claim.verified = true;
-        claim.isTrue = claim.zkProof.isTrue; // The proof already tells us the result
-        claim.verifiedOnChain = true;
+  // Leave room (clean exit)
+  socket.on('leave_room', ({ roomCode }) => {
+    const room = rooms.get(roomCode);
+    if (!room) return;
 
-        // Award points for true self-claim
-        if (claim.isTrue && claim.isSelfClaim) {
-          addScore(room, claim.playerId, 'true_self_claim', POINTS.TRUE_SELF_CLAIM, room.currentRound, room.turn);
-        }
+    const player = room.players.find(p => p.id === playerId);
+    if (!player) return;
 
-        room.verificationsRemaining--;
+    const deleted = removePlayer(room, playerId);
+    io.in(playerId).socketsLeave(roomCode);
 
-        io.to(roomCode).emit('claim_verified', {
-          claim,
-          verificationsRemaining: room.verificationsRemaining,
-          room,
-          verifiedOnChain: true,
-        });
+    log.info('player_left', { roomCode, socketId: socket.id, playerId });
 
-      } catch (err) {
-        console.error(`[Blockchain] Error verifying claim ${claimId}:`, err.message);
-
-        // Fallback to local verification if blockchain fails
-        console.log(`[Blockchain] Falling back to local verification...`);
-        const claimer = room.players.find(p => p.id === claim.playerId);
-        const target = room.players.find(p => p.id === claim.targetPlayerId);
-
-        const isTrue = verifyClaim(
-          claimer?.position,
-          target?.position,
-          claim.claimType,
-          claim.claimValue
-        );
-
-        claim.verified = true;
-        claim.isTrue = isTrue;
-        claim.verifiedOnChain = false;
-        claim.blockchainError = err.message;
-
-        // Award points for true self-claim
-        if (claim.isTrue && claim.isSelfClaim) {
-          addScore(room, claim.playerId, 'true_self_claim', POINTS.TRUE_SELF_CLAIM, room.currentRound, room.turn);
-        }
+    if (!deleted) {
+      rooms.set(room);
+      emitToRoom(io, room, 'room_updated');
+    }
 
-        room.verificationsRemaining--;
+    // Confirm to the player that left
+    socket.emit('room_left');
+  });
 
-        io.to(roomCode).emit('claim_verified', {
-          claim,
-          verificationsRemaining: room.verificationsRemaining,
-          room,
-          verifiedOnChain: false,
-          blockchainError: err.message,
-        });
-      }
-    } else {
-      // No ZK proof (claim about someone else) - use local verification
-      const claimer = room.players.find(p => p.id === claim.playerId);
-      const target = room.players.find(p => p.id === claim.targetPlayerId);
-
-      const isTrue = verifyClaim(
-        claimer?.position,
-        target?.position,
-        claim.claimType,
-        claim.claimValue
-      );
+  // Handle disconnect
+  socket.on('disconnect', () => {
+    log.info('socket_disconnected', { socketId: socket.id, playerId });
 
-      claim.verified = true;
-      claim.isTrue = isTrue;
+    // The player is still here through another socket
+    if (io.sockets.adapter.rooms.get(playerId)?.size) return;
 
-      // Award points for true self-claim
-      if (claim.isTrue && claim.isSelfClaim) {
-        addScore(room, claim.playerId, 'true_self_claim', POINTS.TRUE_SELF_CLAIM, room.currentRound, room.turn);
+    // Hold the seat for the grace period so the player can resume
+    for (const room of rooms.list()) {
+      if (removeSpectator(room, playerId)) {
+        rooms.set(room);
+        emitToRoom(io, room, 'room_updated');
+        continue;
       }
 
-      room.verificationsRemaining--;
-
-      console.log(`God verified claim ${claimId}: ${isTrue} (${room.verificationsRemaining} remaining)`);
+      const player = room.players.find(p => p.id === playerId);
+      if (!player) continue;
 
-      io.to(roomCode).emit('claim_verified', { claim, verificationsRemaining: room.verificationsRemaining, room });
+      holdSeat(room, player);
+      rooms.set(room);
+      emitToRoom(io, room, 'player_disconnected', { playerId: player.id, graceMs: RECONNECT_GRACE_MS });
     }
   });
+});
 
-  // God selects a cell (visible to all players)
-  socket.on('god_select_cell', ({ roomCode, cell }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'deduction') return;
+// Run a game action through the engine, then persist, log and broadcast its events.
+// The engine returns a new room object, so callers must look the room up again afterwards.
+// Returns an error message or null
+function dispatch(roomCode, action) {
+  const room = rooms.get(roomCode);
+  if (!room) return 'Room not found';
+
+  const { state, events, errors } = applyAction(room, action);
+  if (errors.length > 0) return errors[0];
+
+  // Restart the deadline when the phase moved on, if the room has one configured
+  const phaseChanged = events.some(e => e.type === 'phase_changed');
+  if (phaseChanged) {
+    const seconds = state.phaseTimers?.[state.phase] || 0;
+    state.phaseDeadline = seconds > 0 ? Date.now() + seconds * 1000 : null;
+  }
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player || player.role !== 'god') return;
+  events.forEach(({ type, ...data }) => logEvent(state, type, data));
+  metrics.recordGameEvents(state, events);
+  rooms.set(state);
+  publishEvents(state, events);
 
-    room.godSelectedCell = cell;  // null to deselect
-    io.to(roomCode).emit('room_updated', { room });
-  });
+  if (events.some(e => e.type === 'game_ended')) recordCareers(state);
 
-  // God attacks a cell
-  socket.on('attack_cell', ({ roomCode, cell }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'deduction') return;
+  if (phaseChanged) {
+    armPhaseTimer(state);
+    scheduleBots(state);
+  }
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player || player.role !== 'god') return;
+  // A ZK round goes on-chain once every mortal is placed, then its attacks and result
+  if (state.zkEnabled) {
+    if (room.phase === 'setup' && state.phase === 'claiming') registerRound(state);
+    for (const event of events) {
+      if (event.type === 'attack') recordAttackOnChain(state, event);
+      if (event.type === 'round_ended') recordRoundOnChain(state, event);
+    }
+  }
+  return null;
+}
 
-    const hitPlayer = room.players.find(p => p.position === cell);
-    const god = room.players.find(p => p.role === 'god');
+// Adds a finished game to its players' career stats and ratings (see stats.js)
+function recordCareers(room) {
+  const events = gameLogs.get(room.gameId);
+  if (!events) return;
 
-    // Clear god selection after attack
-    room.godSelectedCell = null;
+  try {
+    for (const record of recordGame(playerStats, room.gameId, events)) {
+      log.info('career_recorded', { roomCode: room.code, gameId: room.gameId, playerId: record.playerId, rating: record.rating });
+    }
+  } catch (err) {
+    log.error('career_record_failed', { roomCode: room.code, gameId: room.gameId, error: err });
+  }
+}
 
-    room.attacks.push({
-      cell,
-      turn: room.turn,
-      round: room.currentRound,
-      hit: !!hitPlayer,
-      victimName: hitPlayer?.name || null
-    });
+// Dispatch an action on behalf of a socket's player, reporting rule violations to that socket
+function dispatchFrom(socket, roomCode, action) {
+  const error = dispatch(roomCode, { ...action, playerId: socket.data.playerId });
+  if (error) {
+    socket.emit('error', { message: error });
+  }
+}
 
-    // === CALCULATE GOD'S POINTS ===
-    if (hitPlayer) {
-      hitPlayer.position = null; // Dead
+// Fan engine events out to the room as socket events
+function publishEvents(room, events) {
+  let lastEmitted = null;
+  const emit = (event, payload) => {
+    // Several state-only events in a row need a single refresh
+    if (event === 'room_updated' && lastEmitted === 'room_updated') return;
+    emitToRoom(io, room, event, payload);
+    lastEmitted = event;
+  };
 
-      let godPoints = POINTS.GOD_FINDS_MORTAL; // +40
+  for (const { type, round, turn, ...data } of events) {
+    switch (type) {
+      case 'game_started':
+        emit('game_started');
+        break;
 
-      if (room.godHistory.hasPenalty) {
-        godPoints += POINTS.GOD_PENALTY_HIT_BONUS; // +15 additional = 55
+      case 'phase_changed':
+        // Setup, transitions and the end have their own events
+        if (data.phase === 'claiming' || data.phase === 'deduction') {
+          emit('phase_changed', { phase: data.phase });
+        }
+        break;
+
+      case 'position_selected':
+      case 'cell_selected':
+      case 'god_choice':
+      case 'player_ready':
+        emit('room_updated');
+        break;
+
+      case 'claim_submitted':
+        emit('claim_submitted', view => ({
+          claim: view.claims.find(c => c.id === data.claimId),
+          room: view,
+        }));
+        break;
+
+      case 'claim_verified':
+        emit('claim_verified', view => ({
+          claim: view.claims.find(c => c.id === data.claimId),
+          verificationsRemaining: view.verificationsRemaining,
+          room: view,
+          verifiedOnChain: data.verifiedOnChain,
+          ...(data.transactionHash && { transactionHash: data.transactionHash, ledger: data.ledger }),
+          ...(data.blockchainError && { blockchainError: data.blockchainError }),
+        }));
+        break;
+
+      case 'attack':
+        emit('attack_result', { cell: data.cell, hit: data.hit, victimName: data.victimName ?? undefined });
+        break;
+
+      case 'round_ended': {
+        // The last round is announced by game_ended
+        const { isFinalRound, ...payload } = data;
+        if (!isFinalRound) emit('round_ended', payload);
+        break;
       }
 
-      addScore(room, god.id, 'god_find', godPoints, room.currentRound, room.turn);
-    } else {
-      // Miss
-      room.godHistory.missedAttacks++;
+      case 'round_started':
+        emit('round_started', { roundNumber: round });
+        break;
 
-      if (room.godHistory.hasPenalty) {
-        addScore(room, god.id, 'god_penalty_miss', POINTS.GOD_PENALTY_MISS, room.currentRound, room.turn);
+      case 'game_ended': {
+        log.info('game_ended', { roomCode: room.code, gameId: room.gameId, winner: data.winner });
+        // A ZK game ends straight away with its settlement pending; game_settled follows
+        const settlement = room.zkEnabled ? settleGame(room, data) : null;
+        emit('game_ended', { ...data, isFinalRound: true, gameId: room.gameId, ...(settlement && { settlement }) });
+        break;
       }
-    }
 
-    // === SURVIVAL POINTS (mortals alive at end of turn) ===
-    const aliveMortals = room.players.filter(p => p.role === 'mortal' && p.position !== null);
-    aliveMortals.forEach(mortal => {
-      addScore(room, mortal.id, 'survive_turn', POINTS.MORTAL_SURVIVES_TURN, room.currentRound, room.turn);
-    });
+      case 'phase_timeout':
+        emit('phase_timeout', data);
+        break;
 
-    // Emit attack result first
-    io.to(roomCode).emit('attack_result', {
-      cell,
-      hit: !!hitPlayer,
-      victimName: hitPlayer?.name,
-      room
-    });
-
-    // === CHECK END OF ROUND ===
-    if (aliveMortals.length === 0) {
-      // God killed everyone
-      room.roundWinner = 'god';
-      handleEndOfRound(room, roomCode, 'god', io);
-    } else if (room.turn >= TURNS_PER_ROUND) {
-      // Mortals survived all turns
-      room.roundWinner = 'mortals';
-      handleEndOfRound(room, roomCode, 'mortals', io);
-    } else {
-      // Continue to next turn
-      room.turn++;
-      room.phase = 'claiming';
-      room.verificationsRemaining += 2;  // Accumulate: +2 per turn
-      io.to(roomCode).emit('phase_changed', { phase: 'claiming', room });
+      default:
+        // score, claim_passed: only logged
+        break;
     }
-  });
-
-  // God makes choice during round transition
-  socket.on('god_choice', ({ roomCode, choice }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'round_transition') return;
+  }
+}
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player || player.role !== 'god') {
-      socket.emit('error', { message: 'Only God can make this choice' });
-      return;
-    }
+// God verifies a claim: on-chain for ZK proofs, locally otherwise.
+// Returns an error message or null
+async function verifyClaimAsGod(roomCode, playerId, claimId) {
+  const room = rooms.get(roomCode);
+  if (!room) return 'Room not found';
 
-    if (choice === 'stay') {
-      // Check if can stay (limit: 3 consecutive if missed attacks)
-      const canStay = !(
-        room.godHistory.consecutiveRounds >= (MAX_CONSECUTIVE_GOD_ROUNDS - 1) &&
-        room.godHistory.missedAttacks > 0
-      );
+  const action = { type: 'verify_claim', playerId, claimId };
 
-      if (!canStay) {
-        socket.emit('error', { message: 'Cannot stay as God for 3 consecutive rounds after missing' });
-        return;
-      }
+  // The engine is pure, so a dry run checks the claim can be verified
+  // before spending a transaction on it
+  const { errors } = applyAction(room, action);
+  if (errors.length > 0) return errors[0];
 
-      // Stay with penalty - save choice for when round starts
-      room.godChoice = { type: 'stay', keepGodId: player.id };
-      room.godHistory.hasPenalty = true;
-      room.godHistory.consecutiveRounds++;
-      room.godHistory.missedAttacks = 0;
+  const claim = room.claims.find(c => c.id === claimId);
 
-    } else if (choice === 'cede') {
-      // Cede god role - save choice
-      room.godChoice = { type: 'cede', keepGodId: null };
-    }
+  // Check if this claim has a ZK proof and room has ZK mode enabled
+  if (claim.zkProof && room.zkEnabled) {
+    // Never fall back to local checks for a round the contract doesn't know
+    const unregistered = await requireRegistration(roomCode);
+    if (unregistered) return unregistered;
 
-    // God's choice counts as their ready
-    if (!room.readyForNextRound.includes(socket.id)) {
-      room.readyForNextRound.push(socket.id);
-    }
+    try {
+      // Read after the wait: a taken session ID is replaced while registering
+      const sessionId = rooms.get(roomCode).blockchainSessionId;
 
-    io.to(roomCode).emit('room_updated', { room });
+      // The TARGET mortal's address (proof is about target's position)
+      const mortalAddress = room.blockchainAddresses[claim.targetPlayerId];
 
-    // Check if all players ready
-    checkAllReadyForNextRound(room, roomCode, io);
-  });
+      const circuitValue = claimValueForCircuit(claim.claimType, claim.claimValue);
 
-  // Player ready for next round
-  socket.on('ready_for_next_round', ({ roomCode }) => {
-    const room = rooms.get(roomCode);
-    if (!room || room.phase !== 'round_transition') return;
+      log.info('claim_verifying_onchain', {
+        roomCode, playerId, gameId: room.gameId, sessionId, claimId,
+        claimType: claim.claimType, claimValue: claim.claimValue, circuitValue,
+      });
 
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player) return;
+      // Send to blockchain for verification
+      // Bounded by the relayer's confirmation deadline, so the God's turn can't hang on it
+      const { result, hash, ledger } = await submitClaimRelayed(
+        sessionId,
+        mortalAddress,
+        claimTypeToNumber(claim.claimType),
+        circuitValue,
+        claim.zkProof.isTrue, // Derived from the proof verified at submission
+        claim.zkProof.proof,
+        { roomCode: room.code, claimId }
+      );
 
-    // God must use god_choice instead (when needsGodChoice)
-    if (player.role === 'god' && room.roundWinner === 'god') {
-      socket.emit('error', { message: 'God must choose stay or cede first' });
-      return;
-    }
+      log.info('claim_verified_onchain', { roomCode, gameId: room.gameId, sessionId, txHash: hash, claimId, result, ledger });
 
-    if (!room.readyForNextRound.includes(socket.id)) {
-      room.readyForNextRound.push(socket.id);
-      io.to(roomCode).emit('room_updated', { room });
+      // The verified proof already tells us the result
+      action.onChain = { isTrue: claim.zkProof.isTrue, hash, ledger };
 
-      checkAllReadyForNextRound(room, roomCode, io);
+    } catch (err) {
+      // Fallback to local verification if blockchain fails
+      log.error('claim_verification_failed', {
+        roomCode, gameId: room.gameId, txHash: err.hash, claimId,
+        outcome: err.outcome ?? 'FAILED', fallback: 'local', error: err,
+      });
+      action.blockchainError = err.message;
     }
-  });
-
-  // Leave room (clean exit)
-  socket.on('leave_room', ({ roomCode }) => {
-    const room = rooms.get(roomCode);
-    if (!room) return;
+  }
 
-    const playerIndex = room.players.findIndex(p => p.id === socket.id);
-    if (playerIndex === -1) return;
+  // The room may have moved on while the transaction was pending: the engine checks again
+  const error = dispatch(roomCode, action);
+  if (!error) {
+    const verified = rooms.get(roomCode).claims.find(c => c.id === claimId);
+    log.info('claim_verified', { roomCode, playerId, gameId: room.gameId, claimId, isTrue: verified.isTrue, verificationsRemaining: rooms.get(roomCode).verificationsRemaining });
+  }
+  return error;
+}
 
-    const playerName = room.players[playerIndex].name;
-    room.players.splice(playerIndex, 1);
-    socket.leave(roomCode);
+// Sends the room's registration record to everyone in it
+function emitBlockchainStatus(room) {
+  emitToRoom(io, room, 'blockchain_status', () => ({ roomCode: room.code, ...room.blockchainRegistration }));
+}
 
-    console.log(`${playerName} left room ${roomCode}`);
+// Registers the round that just left setup as a new contract session, with its
+// God, mortals and their position commitments. Runs in the background; clients
+// follow it through blockchain_status
+function registerRound(room) {
+  const god = room.players.find(p => p.role === 'god');
+  const mortals = room.players.filter(p => p.role === 'mortal');
+  const addresses = room.blockchainAddresses;
+  const players = {
+    god: addresses[god.id],
+    mortals: mortals.map(m => addresses[m.id]),
+    // Bots and mortals placed by a timeout have nothing to prove with
+    commitments: mortals.map(m => m.positionCommitment ?? placeholderCommitment()),
+  };
 
-    if (room.players.length === 0) {
-      rooms.delete(roomCode);
-      console.log(`Room ${roomCode} deleted (empty)`);
-    } else {
-      // Assign new host if needed
-      if (!room.players.some(p => p.isHost)) {
-        room.players[0].isHost = true;
-      }
-      io.to(roomCode).emit('room_updated', { room });
-    }
+  const sessionId = allocateSessionId(room.gameId);
+  room.blockchainSessionId = sessionId;
+  room.blockchainRegistration = startRegistration(room.gameId, room.currentRound, sessionId);
+  rooms.set(room);
 
-    // Confirm to the player that left
-    socket.emit('room_left');
+  log.info('round_registering', {
+    roomCode: room.code, gameId: room.gameId, sessionId, round: room.currentRound,
+    god: god.id, mortals: mortals.map(m => m.id),
   });
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log(`Player disconnected: ${socket.id}`);
-
-    // Find and clean up rooms
-    for (const [code, room] of rooms.entries()) {
-      const playerIndex = room.players.findIndex(p => p.id === socket.id);
-      if (playerIndex !== -1) {
-        room.players.splice(playerIndex, 1);
-
-        if (room.players.length === 0) {
-          rooms.delete(code);
-          console.log(`Room ${code} deleted (empty)`);
-        } else {
-          // Assign new host if needed
-          if (!room.players.some(p => p.isHost)) {
-            room.players[0].isHost = true;
-          }
-          io.to(code).emit('player_left', { room });
-        }
-      }
-    }
+  emitBlockchainStatus(room);
+  const run = registerOnChain(room.code, room.gameId, room.currentRound, players);
+  registrationRuns.set(room.code, run);
+  run.finally(() => {
+    if (registrationRuns.get(room.code) === run) registrationRuns.delete(room.code);
   });
-});
+}
+
+// Applies a registration event to the round it belongs to and broadcasts the new record.
+// Returns the record, or null if the room has since moved on to another round (or is gone)
+function updateRegistration(roomCode, gameId, round, event) {
+  const room = rooms.get(roomCode);
+  if (!room || room.gameId !== gameId || room.blockchainRegistration?.round !== round) return null;
+
+  room.blockchainRegistration = transition(room.blockchainRegistration, event);
+  room.blockchainSessionId = room.blockchainRegistration.sessionId;
+  rooms.set(room);
+  emitBlockchainStatus(room);
+  return room.blockchainRegistration;
+}
+
+// Registers a round with the contract, retrying failed attempts with backoff.
+// Resolves to the final status (null if the round went away first)
+async function registerOnChain(roomCode, gameId, round, { god, mortals, commitments }) {
+  for (;;) {
+    const room = rooms.get(roomCode);
+    if (room?.gameId !== gameId || room.blockchainRegistration?.round !== round) return null;
+    const { sessionId, attempt, maxAttempts } = room.blockchainRegistration;
 
-// Check if all players are ready for next round
-function checkAllReadyForNextRound(room, roomCode, io) {
-  if (room.readyForNextRound.length >= room.players.length) {
-    const keepGodId = room.godChoice?.keepGodId ?? null;
-    startNextRound(room, roomCode, keepGodId, io);
+    try {
+      const { hash, ledger } = await startGameRelayed(sessionId, god, mortals, commitments, { roomCode });
+      log.info('round_registered', { roomCode, gameId, sessionId, txHash: hash, round, ledger });
+      return updateRegistration(roomCode, gameId, round, { type: 'succeeded', hash, ledger })?.status ?? null;
+    } catch (err) {
+      log.error('round_registration_failed', { roomCode, gameId, sessionId, txHash: err.hash, round, attempt, maxAttempts, error: err });
+      // Another server registered this session ID first: try again under a new one
+      const event = isSessionTakenError(err)
+        ? { type: 'session_taken', error: err.message, sessionId: allocateSessionId(gameId) }
+        : { type: 'attempt_failed', error: err.message };
+      const next = updateRegistration(roomCode, gameId, round, event);
+      if (next?.status !== REGISTRATION_STATUS.PENDING) return next?.status ?? null;
+
+      await new Promise(resolve => setTimeout(resolve, retryDelay(next)));
+    }
   }
 }
 
-// Handle end of round - check if game ends or transition
-function handleEndOfRound(room, roomCode, winner, io) {
-  // Check if this is the last round
-  if (room.currentRound >= room.totalRounds) {
-    // GAME OVER
-    room.phase = 'ended';
+// Waits for the registration of a round and returns its session ID.
+// Throws if the round can't take records (not registered, or no longer current)
+async function registeredSession(roomCode, gameId, round) {
+  const unregistered = await requireRegistration(roomCode);
+  const registration = rooms.get(roomCode)?.blockchainRegistration;
+  if (registration?.gameId !== gameId || registration.round !== round) {
+    throw new Error(`Round ${round} is no longer the current one`);
+  }
+  if (unregistered) throw new Error(unregistered);
+  return registration.sessionId;
+}
 
-    // Calculate final ranking
-    const ranking = Object.values(room.scores)
-      .sort((a, b) => b.total - a.total);
+// Outcome of a relayed record, as stored on the room: { status, transactionHash, ledger, error }
+const recordOutcome = (status, { hash = null, ledger = null, error = null } = {}) =>
+  ({ status, transactionHash: hash, ledger, error });
+
+// Records one attack of a ZK round on-chain and links the transaction from the
+// room's attack record (attack.onChain), so the God's hits can be audited
+async function recordAttackOnChain(room, { round, turn, cell, hit, victimId }) {
+  const { code: roomCode, gameId } = room;
+  const link = (onChain) => {
+    const latest = rooms.get(roomCode);
+    const attack = latest?.gameId === gameId && latest.attacks.find(a => a.round === round && a.turn === turn);
+    if (!attack) return;
+    attack.onChain = onChain;
+    rooms.set(latest);
+    if (onChain.status !== 'pending') emitToRoom(io, latest, 'room_updated');
+  };
 
-    io.to(roomCode).emit('game_ended', {
-      winner: ranking[0]?.playerId || null,
-      ranking,
-      room,
-      isFinalRound: true,
-    });
-    return;
+  link(recordOutcome('pending'));
+  try {
+    const sessionId = await registeredSession(roomCode, gameId, round);
+    const victimAddress = victimId ? room.blockchainAddresses[victimId] : null;
+    const result = await recordAttackRelayed(sessionId, { round, turn, cell, hit, victimAddress }, { roomCode, round, turn });
+    link(recordOutcome('recorded', result));
+  } catch (err) {
+    log.error('attack_record_failed', { roomCode, gameId, txHash: err.hash, round, turn, error: err });
+    link(recordOutcome('failed', { hash: err.hash, ledger: err.ledger, error: err.message }));
   }
+}
 
-  // More rounds to play - go to transition
-  room.phase = 'round_transition';
-  room.roundWinner = winner;
+// Closes a ZK round's session with its result (room.blockchainRoundResults)
+async function recordRoundOnChain(room, { round, winner }) {
+  const { code: roomCode, gameId } = room;
+  // Mortals still on the board survived the round
+  const survivors = room.players.filter(p => p.role === 'mortal' && p.position !== null);
+  const save = (onChain) => {
+    const latest = rooms.get(roomCode);
+    if (latest?.gameId !== gameId) return;
+    latest.blockchainRoundResults = [
+      ...latest.blockchainRoundResults.filter(r => r.round !== round),
+      { round, winner, ...onChain },
+    ];
+    rooms.set(latest);
+    if (onChain.status !== 'pending') emitToRoom(io, latest, 'room_updated');
+  };
 
-  if (winner === 'mortals') {
-    // Case A: Mortals survived - wait for all players to ready
-    room.godChoice = null;  // No god choice needed
-    io.to(roomCode).emit('round_ended', {
-      room,
-      winner: 'mortals',
-      needsGodChoice: false,
-    });
+  save(recordOutcome('pending'));
+  try {
+    const sessionId = await registeredSession(roomCode, gameId, round);
+    const result = await recordRoundRelayed(sessionId, {
+      round,
+      godWon: winner === 'god',
+      survivorAddresses: survivors.map(p => room.blockchainAddresses[p.id]),
+    }, { roomCode, round });
+    save(recordOutcome('recorded', result));
+  } catch (err) {
+    log.error('round_result_record_failed', { roomCode, gameId, txHash: err.hash, round, error: err });
+    save(recordOutcome('failed', { hash: err.hash, ledger: err.ledger, error: err.message }));
+  }
+}
 
-  } else {
-    // Case B: God killed everyone - god must choose
-    const god = room.players.find(p => p.role === 'god');
+// What game_ended and game_settled say about a settlement
+const settlementSummary = ({ status, sessionId, transactionHash, ledger, error }) =>
+  ({ status, sessionId, transactionHash, ledger, error });
+
+// Starts settling a finished ZK game on-chain and returns the pending settlement.
+// The room gets 'game_settled' once the transaction is in (or has failed)
+function settleGame(room, { winner, ranking }) {
+  const record = createSettlement({ gameId: room.gameId, roomCode: room.code, winner, ranking, addresses: room.blockchainAddresses });
+  settlements.save(record);
+  submitSettlement(room, record, { winner, ranking });
+  return settlementSummary(record);
+}
 
-    // Check if god CAN stay (limit: 3 consecutive if missed)
-    const canStay = !(
-      room.godHistory.consecutiveRounds >= (MAX_CONSECUTIVE_GOD_ROUNDS - 1) &&
-      room.godHistory.missedAttacks > 0
-    );
+// Settles the game in its final round's session
+async function submitSettlement(room, record, { winner, ranking }) {
+  const { code: roomCode, gameId, currentRound: round } = room;
+
+  try {
+    const sessionId = await registeredSession(roomCode, gameId, round);
+    record = { ...record, sessionId };
+    const address = (playerId) => room.blockchainAddresses[playerId];
+    const result = await settleGameRelayed(sessionId, {
+      winnerAddress: address(winner),
+      playerAddresses: ranking.map(p => address(p.playerId)),
+      scores: ranking.map(p => p.total),
+    }, { roomCode, gameId });
+    record = markSettled(record, { sessionId, ...result });
+  } catch (err) {
+    log.error('game_settlement_failed', { roomCode, gameId, sessionId: record.sessionId, txHash: err.hash, error: err });
+    record = markFailed(record, { hash: err.hash, ledger: err.ledger, error: err.message });
+  }
+  settlements.save(record);
+  releaseGameSessions(gameId);
 
-    io.to(roomCode).emit('round_ended', {
-      room,
-      winner: 'god',
-      needsGodChoice: true,
-      canStay,
-      godPlayerId: god.id,
-    });
+  // The room may have moved on (or closed) while the transaction was confirmed
+  const latest = rooms.get(roomCode) ?? room;
+  emitToRoom(io, latest, 'game_settled', { gameId, settlement: settlementSummary(record) });
+}
+
+// ZK claims are only settled on-chain for a registered game: waits for a
+// registration in flight, up to REGISTRATION_WAIT_MS. Returns an error message or null
+async function requireRegistration(roomCode) {
+  let status = rooms.get(roomCode)?.blockchainRegistration?.status;
+
+  const run = registrationRuns.get(roomCode);
+  if (status === REGISTRATION_STATUS.PENDING && run) {
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, REGISTRATION_WAIT_MS); });
+    await Promise.race([run, timeout]);
+    clearTimeout(timer);
+    status = rooms.get(roomCode)?.blockchainRegistration?.status;
   }
+
+  if (status === REGISTRATION_STATUS.REGISTERED) return null;
+  if (status === REGISTRATION_STATUS.PENDING) return 'Round is still being registered on-chain, try again shortly';
+  return 'Round is not registered on-chain';
 }
 
-// Start the next round
-function startNextRound(room, roomCode, keepGodId, io) {
-  room.currentRound++;
-  room.turn = 1;
-  room.roundWinner = null;
-  room.verificationsRemaining = 2;
+// Let every bot whose move it is act, through the same engine actions as socket events.
+// Every action replaces the room, so it is looked up again before each move
+async function runBots(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+
+  const { phase } = room;
+  const botIds = room.players.filter(p => p.isBot).map(p => p.id);
+  const current = () => {
+    const latest = rooms.get(roomCode);
+    return latest?.phase === phase ? latest : null;
+  };
 
-  // Clear transition state
-  room.readyForNextRound = [];
-  room.godChoice = null;
+  if (phase === 'setup') {
+    for (const botId of botIds) {
+      const latest = current();
+      const bot = latest?.players.find(p => p.id === botId);
+      if (!bot || bot.role !== 'mortal' || bot.position !== null) continue;
 
-  // Clear claims, attacks and god selection from previous round
-  room.claims = [];
-  room.attacks = [];
-  room.godSelectedCell = null;
+      dispatch(roomCode, { type: 'select_position', playerId: botId, position: chooseBotPosition(latest) });
+    }
 
-  if (keepGodId) {
-    // God stays (Case B - chose "stay")
-    // Only reset mortal positions
-    room.players.forEach(p => {
-      if (p.role === 'mortal') {
-        p.position = null; // Need to reselect position
-      }
-    });
-    // missedAttacks already reset in god_choice handler
-  } else {
-    // Change god (Case A or Case B with "cede")
-    const currentGod = room.players.find(p => p.role === 'god');
-    const aliveMortals = room.players.filter(p => p.role === 'mortal' && p.position !== null);
-
-    // Choose new god candidates
-    let newGodCandidates;
-    if (aliveMortals.length > 0) {
-      // Case A: pick from survivors
-      newGodCandidates = aliveMortals;
-    } else {
-      // Case B cede: pick from all except current god
-      newGodCandidates = room.players.filter(p => p.id !== currentGod.id);
-    }
-
-    const newGod = newGodCandidates[Math.floor(Math.random() * newGodCandidates.length)];
-
-    // Swap roles
-    currentGod.role = 'mortal';
-    currentGod.position = null;
-    newGod.role = 'god';
-    newGod.position = null; // God has no position
-
-    // Reset all mortal positions
-    room.players.forEach(p => {
-      if (p.role === 'mortal') {
-        p.position = null;
-      }
-    });
+  } else if (phase === 'claiming') {
+    for (const botId of botIds) {
+      const latest = current();
+      const bot = latest?.players.find(p => p.id === botId);
+      if (!bot || bot.role !== 'mortal' || bot.position === null) continue;
+      if (latest.claims.some(c => c.playerId === botId && c.turn === latest.turn)) continue;
+
+      const claim = chooseBotClaim(latest, bot);
+      if (claim) dispatch(roomCode, { type: 'submit_claim', playerId: botId, ...claim });
+    }
 
-    // Update god history
-    room.godHistory = {
-      playerId: newGod.id,
-      consecutiveRounds: 1,
-      hasPenalty: false,
-      missedAttacks: 0,
-    };
+  } else if (phase === 'deduction') {
+    const godId = botIds.find(id => room.players.find(p => p.id === id).role === 'god');
+    if (!godId) return;
+
+    let claimId;
+    while (current() && (claimId = chooseBotVerification(current(), findPlayer(current(), godId)))) {
+      if (await verifyClaimAsGod(roomCode, godId, claimId)) break;
+    }
+
+    const latest = current();
+    if (latest) {
+      dispatch(roomCode, { type: 'attack', playerId: godId, cell: chooseBotAttack(latest, findPlayer(latest, godId)) });
+    }
+
+  } else if (phase === 'round_transition') {
+    for (const botId of botIds) {
+      const latest = current();
+      const bot = latest?.players.find(p => p.id === botId);
+      if (!bot || latest.readyForNextRound.includes(botId)) continue;
+
+      if (bot.role === 'god' && latest.roundWinner === 'god') {
+        dispatch(roomCode, { type: 'god_choice', playerId: botId, choice: chooseBotGodChoice(latest, bot) });
+      } else {
+        dispatch(roomCode, { type: 'ready_for_next_round', playerId: botId });
+      }
+    }
   }
+}
 
-  room.phase = 'setup';
-  io.to(roomCode).emit('round_started', { room, roundNumber: room.currentRound });
+function findPlayer(room, playerId) {
+  return room.players.find(p => p.id === playerId);
 }
 
-// Verify claim locally (placeholder for ZK)
-function verifyClaim(claimerPosition, targetPosition, claimType, claimValue) {
-  if (targetPosition === null) return false;
+// The current phase ran out of time: the engine acts for the players who didn't
+function handlePhaseTimeout(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
 
-  const targetRow = Math.ceil(targetPosition / 3);
-  const targetCol = ((targetPosition - 1) % 3) + 1;
+  room.phaseDeadline = null;
+  rooms.set(room);
 
-  switch (claimType) {
-    case CLAIM_TYPES.ROW:
-      return targetRow === claimValue;
-    case CLAIM_TYPES.COLUMN:
-      return targetCol === claimValue;
-    case CLAIM_TYPES.ADJACENT:
-      if (claimerPosition === null) return false;
-      return ADJACENCY_MAP[claimerPosition]?.includes(targetPosition) || false;
-    default:
-      return false;
+  const { phase } = room;
+  const error = dispatch(roomCode, { type: 'phase_timeout' });
+  if (error) {
+    log.error('phase_timeout_ignored', { roomCode, gameId: room.gameId, phase, error });
+    return;
   }
+
+  const timeout = rooms.get(roomCode);
+  log.info('phase_timed_out', { roomCode, gameId: timeout.gameId, phase, round: timeout.currentRound, turn: timeout.turn });
 }
 
 const PORT = process.env.PORT || 3001;
 httpServer.listen(PORT, () => {
-  console.log(`Divine Wrath server running on port ${PORT}`);
+  log.info('server_listening', { port: Number(PORT) });
 });
@@ -0,0 +1,87 @@
+/**
+ * Divine Wrath Logger
+ *
+ * Structured logs: one JSON object per line, so one game's whole lifecycle
+ * can be grepped by room code, blockchain session ID or transaction hash.
+ *
+ *   {"level":"info","time":"2026-...","event":"room_created","roomCode":"ABC123","socketId":"..."}
+ *
+ * Correlation fields have fixed names: roomCode, socketId, playerId, gameId,
+ * sessionId (contract session) and txHash. Anything else goes next to them.
+ * Errors are logged under `error` as their message.
+ *
+ * LOG_LEVEL sets the lowest level written (debug, info, warn, error; default
+ * info). warn and error go to stderr, the rest to stdout.
+ *
+ * Proofs, secrets and tokens are redacted before anything is written.
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields never written as they are
+const REDACTED_KEYS = /^(proof|zkProof|pi_a|pi_b|pi_c|salt|secret|.*Secret|sessionToken|token|authorization|password.*)$/i;
+
+// Stellar secret seeds, wherever they turn up in a string
+const SECRET_SEED = /\bS[A-Z2-7]{55}\b/g;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of a log field with every secret replaced
+ */
+export function redact(value, key = '') {
+  if (REDACTED_KEYS.test(key) && value != null) return REDACTED;
+  if (typeof value === 'string') return value.replace(SECRET_SEED, REDACTED);
+  if (value instanceof Error) return redact(value.message);
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(item => redact(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+  }
+  return value;
+}
+
+/**
+ * Creates a logger
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level written, defaults to LOG_LEVEL or info
+ * @param {object} [options.fields] - Written with every line (e.g. { module: 'relayer' })
+ * @param {function} [options.write] - (line, level) => void, replaced in tests
+ * @param {function} [options.now] - () => Date, replaced in tests
+ */
+export function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  fields = {},
+  write = writeLine,
+  now = () => new Date(),
+} = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  const log = (lineLevel) => (event, data = {}) => {
+    if (LOG_LEVELS[lineLevel] < threshold) return;
+
+    const line = redact({ level: lineLevel, time: now().toISOString(), event, ...fields, ...data });
+    write(JSON.stringify(line), lineLevel);
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+
+    /**
+     * Logger that adds `more` to every line (e.g. a module name)
+     */
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, write, now }),
+  };
+}
+
+function writeLine(line, level) {
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+// Shared by every module; modules take a child with their name
+export const logger = createLogger();
@@ -0,0 +1,124 @@
+/**
+ * Divine Wrath Metrics
+ *
+ * Prometheus metrics, served at GET /metrics. Room and socket gauges are
+ * read when scraped; game counters follow the engine events of every
+ * dispatched action; relayer histograms follow the transaction queue's jobs.
+ *
+ * All names start with divine_wrath_. Node process metrics (memory, event
+ * loop lag...) come with them.
+ */
+
+import client from 'prom-client';
+
+// Relayer jobs last from queueing to their outcome: seconds, up to the confirmation deadline
+const RELAYER_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+/**
+ * Creates a registry with every server metric
+ *
+ * @param {object} sources
+ * @param {function} sources.listRooms - () => room[], read on every scrape
+ * @param {function} sources.countSockets - () => number of connected sockets
+ */
+export function createMetrics({ listRooms, countSockets }) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  new client.Gauge({
+    name: 'divine_wrath_rooms',
+    help: 'Active rooms by phase',
+    labelNames: ['phase'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const room of listRooms()) this.inc({ phase: room.phase });
+    },
+  });
+
+  new client.Gauge({
+    name: 'divine_wrath_connected_sockets',
+    help: 'Connected sockets, players and spectators',
+    registers: [registry],
+    collect() {
+      this.set(countSockets());
+    },
+  });
+
+  const gamesStarted = new client.Counter({
+    name: 'divine_wrath_games_started_total',
+    help: 'Games started',
+    labelNames: ['zk'],
+    registers: [registry],
+  });
+
+  const gamesFinished = new client.Counter({
+    name: 'divine_wrath_games_finished_total',
+    help: 'Games that ended, played to the last round (completed) or left mid-game (abandoned)',
+    labelNames: ['result'],
+    registers: [registry],
+  });
+
+  const claimsSubmitted = new client.Counter({
+    name: 'divine_wrath_claims_submitted_total',
+    help: 'Claims submitted, with or without a ZK proof',
+    labelNames: ['zk'],
+    registers: [registry],
+  });
+
+  const claimsVerified = new client.Counter({
+    name: 'divine_wrath_claims_verified_total',
+    help: 'Claims verified by the God, by where they were checked',
+    labelNames: ['method'],
+    registers: [registry],
+  });
+
+  const verificationFallbacks = new client.Counter({
+    name: 'divine_wrath_verification_fallbacks_total',
+    help: 'ZK claims checked locally because on-chain verification failed',
+    registers: [registry],
+  });
+
+  const relayerDuration = new client.Histogram({
+    name: 'divine_wrath_relayer_tx_duration_seconds',
+    help: 'Relayed transactions from queueing to their outcome, by contract method and outcome (SUCCESS, FAILED, TIMEOUT)',
+    labelNames: ['method', 'outcome'],
+    buckets: RELAYER_BUCKETS,
+    registers: [registry],
+  });
+
+  return {
+    registry,
+
+    /**
+     * Counts the engine events of one dispatched action
+     */
+    recordGameEvents(room, events) {
+      for (const { type, ...data } of events) {
+        if (type === 'game_started') gamesStarted.inc({ zk: String(!!room.zkEnabled) });
+        if (type === 'game_ended') gamesFinished.inc({ result: 'completed' });
+        if (type === 'claim_submitted') claimsSubmitted.inc({ zk: String(data.hasZkProof) });
+        if (type === 'claim_verified') {
+          claimsVerified.inc({ method: data.verifiedOnChain ? 'onchain' : 'local' });
+          if (data.blockchainError) verificationFallbacks.inc();
+        }
+      }
+    },
+
+    // A room closed with a game still being played
+    recordGameAbandoned() {
+      gamesFinished.inc({ result: 'abandoned' });
+    },
+
+    /**
+     * Observes a relayer job once it has an outcome (see txqueue.js)
+     */
+    recordRelayerJob(job) {
+      if (!job.outcome) return;
+      relayerDuration.observe(
+        { method: job.method ?? job.label, outcome: job.outcome },
+        (job.updatedAt - job.createdAt) / 1000,
+      );
+    },
+  };
+}
@@ -0,0 +1,269 @@
+/**
+ * Divine Wrath Mock Soroban RPC
+ *
+ * In-process stand-in for the Soroban RPC server and the Divine Wrath
+ * contract, so ZK mode runs without a network. Select it with
+ * STELLAR_RPC_URL=mock: and any admin secret; every account is funded on sight.
+ *
+ * Implements the rpc.Server calls the relayer makes:
+ *   getAccount, getFeeStats, simulateTransaction, sendTransaction, getTransaction
+ *
+ * and emulates the contract functions it invokes:
+ *   start_game_relayed(session_id: u32, god: Address, mortals: Vec<Address>,
+ *                      commitments: Vec<BytesN<32>>)
+ *   submit_claim_relayed(session_id: u32, mortal: Address, claim_type: u32,
+ *                        claim_value: u32, expected_result: bool, proof: Groth16Proof) -> bool
+ *   record_attack(session_id: u32, round: u32, turn: u32, cell: u32, hit: bool, victim: Option<Address>)
+ *   end_round(session_id: u32, round: u32, god_won: bool, survivors: Vec<Address>)
+ *   settle_game(session_id: u32, winner: Address, players: Vec<Address>, scores: Vec<i32>)
+ *
+ * A claim proof is checked against the commitment stored for its mortal, which
+ * is the last public signal. Like the network, sendTransaction checks signatures
+ * and sequence numbers (txBadSeq), fee bumps included, and a transaction that
+ * passed simulation can still fail when the state changed before it was
+ * applied. Every accepted transaction closes a ledger of its own.
+ */
+
+import {
+  Account,
+  Keypair,
+  SorobanDataBuilder,
+  scValToNative,
+  xdr,
+} from '@stellar/stellar-sdk';
+import { verifyCircuitProof } from './zk.js';
+
+// Contract errors, reported like the host does: "HostError: Error(Contract, #n)".
+// The numbering is the mock's own; the server never relies on a specific code
+export const CONTRACT_ERRORS = {
+  GameNotFound: 1,
+  GameAlreadyExists: 2,
+  NotAPlayer: 3,
+  InvalidProof: 4,
+  InvalidClaimType: 5,
+  InvalidPlayerCount: 6,
+  RoundEnded: 7,
+  InvalidAttack: 8,
+  AlreadySettled: 9,
+  InvalidSettlement: 10,
+};
+
+const MORTALS_PER_GAME = 3;
+const CLAIM_TYPE_COUNT = 3;  // row, column, adjacent
+
+class ContractError extends Error {
+  constructor(name) {
+    super(`HostError: Error(Contract, #${CONTRACT_ERRORS[name]}) ${name}`);
+    this.contractError = name;
+  }
+}
+
+/**
+ * Creates a mock RPC server with its own ledger and contract state
+ *
+ * @param {object} [options]
+ * @param {function} [options.verifyProof] - (publicSignals, snarkjsProof) => Promise<boolean>,
+ *   defaults to the server's verification key (see zk.js)
+ * @param {number} [options.pendingPolls] - NOT_FOUND answers before a transaction shows up
+ */
+export function createMockSorobanRpc({ verifyProof = verifyCircuitProof, pendingPolls = 0 } = {}) {
+  let ledger = 1;
+  const accounts = new Map();      // publicKey -> sequence (BigInt)
+  const games = new Map();         // sessionId -> { god, mortals, commitments, claims, attacks, result, settlement }
+  const transactions = new Map();  // hash -> { result, polls }
+
+  const sequenceOf = (publicKey) => {
+    if (!accounts.has(publicKey)) {
+      accounts.set(publicKey, BigInt(ledger) << 32n);
+    }
+    return accounts.get(publicKey);
+  };
+
+  // Runs a contract call against `state` (a copy during simulation).
+  // Returns the ScVal it returns, or throws a ContractError
+  async function invoke(state, functionName, args) {
+    const [sessionId, ...rest] = args.map(arg => scValToNative(arg));
+
+    if (functionName === 'start_game_relayed') {
+      const [god, mortals, commitments] = rest;
+      if (state.has(sessionId)) throw new ContractError('GameAlreadyExists');
+      if (mortals.length !== MORTALS_PER_GAME || commitments?.length !== mortals.length) {
+        throw new ContractError('InvalidPlayerCount');
+      }
+
+      state.set(sessionId, { god, mortals, commitments: commitments.map(fieldFromBytes), claims: [], attacks: [], result: null, settlement: null });
+      return xdr.ScVal.scvVoid();
+    }
+
+    if (functionName === 'submit_claim_relayed') {
+      const [mortal, claimType, claimValue, expectedResult, proof] = rest;
+      const game = state.get(sessionId);
+      if (!game) throw new ContractError('GameNotFound');
+      const seat = game.mortals.indexOf(mortal);
+      if (seat === -1) throw new ContractError('NotAPlayer');
+      if (claimType >= CLAIM_TYPE_COUNT) throw new ContractError('InvalidClaimType');
+
+      const publicSignals = [String(claimType), String(claimValue), expectedResult ? '1' : '0', game.commitments[seat]];
+      if (!(await verifyProof(publicSignals, contractProofToSnarkjs(proof)))) {
+        throw new ContractError('InvalidProof');
+      }
+
+      game.claims.push({ mortal, claimType, claimValue, result: expectedResult });
+      return xdr.ScVal.scvBool(expectedResult);
+    }
+
+    if (functionName === 'record_attack') {
+      const [round, turn, cell, hit, victim] = rest;
+      const game = state.get(sessionId);
+      if (!game) throw new ContractError('GameNotFound');
+      if (game.result) throw new ContractError('RoundEnded');
+      // One attack per turn, and a hit names a mortal of the session
+      if (game.attacks.some(a => a.turn === turn) || hit !== (victim != null)) throw new ContractError('InvalidAttack');
+      if (victim != null && !game.mortals.includes(victim)) throw new ContractError('NotAPlayer');
+
+      game.attacks.push({ round, turn, cell, hit, victim: victim ?? null });
+      return xdr.ScVal.scvVoid();
+    }
+
+    if (functionName === 'end_round') {
+      const [round, godWon, survivors] = rest;
+      const game = state.get(sessionId);
+      if (!game) throw new ContractError('GameNotFound');
+      if (game.result) throw new ContractError('RoundEnded');
+      if (survivors.some(s => !game.mortals.includes(s))) throw new ContractError('NotAPlayer');
+
+      game.result = { round, godWon, survivors };
+      return xdr.ScVal.scvVoid();
+    }
+
+    if (functionName === 'settle_game') {
+      const [winner, players, scores] = rest;
+      const game = state.get(sessionId);
+      if (!game) throw new ContractError('GameNotFound');
+      if (game.settlement) throw new ContractError('AlreadySettled');
+      if (players.some(p => p !== game.god && !game.mortals.includes(p))) throw new ContractError('NotAPlayer');
+      // One score per player, and the winner is one of them
+      if (scores.length !== players.length || !players.includes(winner)) throw new ContractError('InvalidSettlement');
+
+      game.settlement = { winner, players, scores };
+      return xdr.ScVal.scvVoid();
+    }
+
+    throw new Error(`HostError: unknown function ${functionName}`);
+  }
+
+  function contractCall(tx) {
+    const call = tx.operations[0]?.func?.invokeContract?.();
+    if (!call) throw new Error('Only contract invocations are supported');
+    return { functionName: call.functionName().toString(), args: call.args() };
+  }
+
+  // Copy of the contract state for a dry run
+  const snapshot = () => new Map([...games].map(([id, game]) => [id, structuredClone(game)]));
+
+  return {
+    async getAccount(publicKey) {
+      return new Account(publicKey, sequenceOf(publicKey).toString());
+    },
+
+    // No congestion: every recent transaction paid the minimum
+    async getFeeStats() {
+      const fees = Object.fromEntries(
+        ['min', 'mode', 'p10', 'p20', 'p30', 'p40', 'p50', 'p60', 'p70', 'p80', 'p90', 'p95', 'p99', 'max'].map(key => [key, '100']),
+      );
+      return { sorobanInclusionFee: { ...fees, transactionCount: '1', ledgerCount: 1 }, latestLedger: ledger };
+    },
+
+    async simulateTransaction(tx) {
+      const base = { id: String(ledger), latestLedger: ledger, events: [], _parsed: true };
+      try {
+        const { functionName, args } = contractCall(tx);
+        const retval = await invoke(snapshot(), functionName, args);
+        return {
+          ...base,
+          transactionData: new SorobanDataBuilder().setResourceFee(100),
+          minResourceFee: '100',
+          result: { auth: [], retval },
+        };
+      } catch (err) {
+        return { ...base, error: err.message };
+      }
+    },
+
+    async sendTransaction(tx) {
+      const hash = tx.hash().toString('hex');
+      if (transactions.has(hash)) {
+        return { status: 'DUPLICATE', hash, latestLedger: ledger };
+      }
+
+      // A fee bump is signed by its fee source and uses its inner transaction's sequence number
+      const inner = tx.innerTransaction ?? tx;
+      const signer = tx.innerTransaction ? tx.feeSource : tx.source;
+      const source = inner.source;
+      const signed = tx.signatures.some(sig => Keypair.fromPublicKey(signer).verify(tx.hash(), sig.signature()));
+      const expected = sequenceOf(source) + 1n;
+      const code = !signed ? 'txBadAuth' : BigInt(inner.sequence) !== expected ? 'txBadSeq' : null;
+      if (code) {
+        return { status: 'ERROR', hash, latestLedger: ledger, errorResult: transactionResult(code) };
+      }
+
+      // Accepted: the sequence is used even if the call fails when applied
+      accounts.set(source, expected);
+      ledger++;
+
+      let result;
+      try {
+        const { functionName, args } = contractCall(inner);
+        const returnValue = await invoke(games, functionName, args);
+        result = { status: 'SUCCESS', ledger, returnValue, txHash: hash };
+      } catch (err) {
+        result = { status: 'FAILED', ledger, txHash: hash, error: err.message };
+      }
+      transactions.set(hash, { result, polls: 0 });
+
+      return { status: 'PENDING', hash, latestLedger: ledger };
+    },
+
+    async getTransaction(hash) {
+      const tx = transactions.get(hash);
+      if (!tx || tx.polls++ < pendingPolls) {
+        return { status: 'NOT_FOUND', latestLedger: ledger };
+      }
+      return { ...tx.result, latestLedger: ledger };
+    },
+
+    // Contract state, for tests and debugging
+    getGame: (sessionId) => structuredClone(games.get(sessionId) ?? null),
+  };
+}
+
+function transactionResult(code) {
+  return new xdr.TransactionResult({
+    feeCharged: xdr.Int64.fromString('0'),
+    result: xdr.TransactionResultResult[code](),
+    ext: new xdr.TransactionResultExt(0),
+  });
+}
+
+/**
+ * Inverse of convertSnarkjsProofToContract in relayer.js:
+ * { a, b, c } byte buffers back to a snarkjs proof
+ */
+export function contractProofToSnarkjs({ a, b, c }) {
+  const field = (bytes, offset) => fieldFromBytes(Buffer.from(bytes).subarray(offset, offset + 32));
+  const g1 = (bytes) => [field(bytes, 0), field(bytes, 32), '1'];
+
+  return {
+    pi_a: g1(a),
+    // G2 coordinates are stored imag||real
+    pi_b: [[field(b, 32), field(b, 0)], [field(b, 96), field(b, 64)], ['1', '0']],
+    pi_c: g1(c),
+    protocol: 'groth16',
+    curve: 'bn128',
+  };
+}
+
+// 32 big-endian bytes to a decimal field element
+function fieldFromBytes(bytes) {
+  return BigInt(`0x${Buffer.from(bytes).toString('hex')}`).toString();
+}
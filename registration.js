@@ -0,0 +1,113 @@
+/**
+ * Divine Wrath On-chain Registration
+ *
+ * A ZK round has to be registered with the contract (start_game_relayed)
+ * before any of its claims can be settled on-chain. Roles and positions
+ * change every round, so each round is its own contract session, registered
+ * once its mortals have committed to their positions. It gets a registration
+ * record, kept on the room as room.blockchainRegistration:
+ *
+ *   pending --succeeded--> registered
+ *   pending --attempt_failed--> pending (next attempt) | failed (no attempts left)
+ *   pending --session_taken--> same as attempt_failed, and the next attempt uses a new session ID
+ *   pending --interrupted--> failed (the server restarted mid-registration)
+ *
+ * registered and failed are final for that round; the next round opens a
+ * new record. Transitions are pure: the socket layer runs the attempts and
+ * broadcasts every new record as 'blockchain_status'.
+ */
+
+export const REGISTRATION_STATUS = {
+  PENDING: 'pending',
+  REGISTERED: 'registered',
+  FAILED: 'failed',
+};
+
+// Registration attempts per game, and the delay before the second one (doubled after that)
+export const MAX_REGISTRATION_ATTEMPTS = 3;
+export const REGISTRATION_RETRY_MS = parseInt(process.env.REGISTRATION_RETRY_MS || '2000', 10);
+
+/**
+ * Opens the registration of a round that just left setup
+ *
+ * @param {string} gameId - Game the round belongs to (room.gameId)
+ * @param {number} round - Round being registered
+ * @param {number} sessionId - Session ID the contract will know the round by
+ */
+export function startRegistration(gameId, round, sessionId, now = Date.now()) {
+  return {
+    gameId,
+    round,
+    sessionId,
+    status: REGISTRATION_STATUS.PENDING,
+    attempt: 1,
+    maxAttempts: MAX_REGISTRATION_ATTEMPTS,
+    error: null,
+    transactionHash: null,
+    ledger: null,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Applies one event to a registration
+ *
+ * @param {object} registration - Current record (see startRegistration)
+ * @param {object} event - { type: 'succeeded', hash, ledger } | { type: 'attempt_failed', error }
+ *   | { type: 'session_taken', error, sessionId } | { type: 'interrupted' }
+ * @returns {object} New record; the one passed in is not modified
+ * @throws {Error} On an event the current status does not accept
+ */
+export function transition(registration, event, now = Date.now()) {
+  if (registration?.status !== REGISTRATION_STATUS.PENDING) {
+    throw new Error(`Registration is ${registration?.status ?? 'missing'}: cannot apply ${event.type}`);
+  }
+
+  switch (event.type) {
+    case 'succeeded':
+      return {
+        ...registration,
+        status: REGISTRATION_STATUS.REGISTERED,
+        error: null,
+        transactionHash: event.hash,
+        ledger: event.ledger,
+        updatedAt: now,
+      };
+
+    case 'attempt_failed': {
+      const exhausted = registration.attempt >= registration.maxAttempts;
+      return {
+        ...registration,
+        status: exhausted ? REGISTRATION_STATUS.FAILED : REGISTRATION_STATUS.PENDING,
+        attempt: exhausted ? registration.attempt : registration.attempt + 1,
+        error: event.error,
+        updatedAt: now,
+      };
+    }
+
+    // The contract already has a game under this session ID
+    case 'session_taken':
+      return {
+        ...transition(registration, { type: 'attempt_failed', error: event.error }, now),
+        sessionId: event.sessionId,
+      };
+
+    case 'interrupted':
+      return {
+        ...registration,
+        status: REGISTRATION_STATUS.FAILED,
+        error: 'Server restarted during registration',
+        updatedAt: now,
+      };
+
+    default:
+      throw new Error(`Unknown registration event: ${event.type}`);
+  }
+}
+
+/**
+ * How long to wait before the registration's current attempt
+ */
+export function retryDelay(registration) {
+  return REGISTRATION_RETRY_MS * 2 ** Math.max(0, registration.attempt - 2);
+}
@@ -8,26 +8,130 @@
 import {
   Keypair,
   Contract,
-  TransactionBuilder,
   Networks,
   rpc,
   xdr,
   Address,
   nativeToScVal,
 } from '@stellar/stellar-sdk';
+import { hkdfSync, randomInt } from 'crypto';
+import { createTxQueue } from './txqueue.js';
+import { createMockSorobanRpc } from './mockrpc.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'relayer' });
 
 // ============================================================================
 // Configuration
 // ============================================================================
 
-const RPC_URL = process.env.STELLAR_RPC_URL || 'https://soroban-testnet.stellar.org';
-const NETWORK_PASSPHRASE = Networks.TESTNET;
-const CONTRACT_ID = process.env.DIVINE_WRATH_CONTRACT_ID || 'CC3D5AH5B3DOGZPJIX2T52PIT3Q2Y6XT3XIAG2FYCK32SBVENIXJFYQZ';
+// Redes soportadas (STELLAR_NETWORK). Mainnet no tiene RPC público por defecto
+const NETWORKS = {
+  testnet: { passphrase: Networks.TESTNET, rpcUrl: 'https://soroban-testnet.stellar.org' },
+  futurenet: { passphrase: Networks.FUTURENET, rpcUrl: 'https://rpc-futurenet.stellar.org' },
+  mainnet: { passphrase: Networks.PUBLIC, rpcUrl: null },
+  standalone: { passphrase: Networks.STANDALONE, rpcUrl: 'http://localhost:8000/soroban/rpc' },
+};
+
+// Contrato desplegado en testnet; en las demás redes hay que indicar DIVINE_WRATH_CONTRACT_ID
+const TESTNET_CONTRACT_ID = 'CC3D5AH5B3DOGZPJIX2T52PIT3Q2Y6XT3XIAG2FYCK32SBVENIXJFYQZ';
+
+/**
+ * Resuelve la red a partir de las variables de entorno:
+ *   STELLAR_NETWORK (testnet por defecto), STELLAR_RPC_URL y
+ *   STELLAR_NETWORK_PASSPHRASE (para una red local con passphrase propia)
+ *
+ * @returns {{ name: string, passphrase: string, rpcUrl: string, contractId: string|null }}
+ * @throws {Error} Si la red no existe o le falta el RPC
+ */
+export function resolveNetwork(env) {
+  const name = (env.STELLAR_NETWORK || 'testnet').toLowerCase();
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new Error(`Unknown STELLAR_NETWORK "${name}" (expected one of: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+
+  const rpcUrl = env.STELLAR_RPC_URL || network.rpcUrl;
+  if (!rpcUrl) {
+    throw new Error(`STELLAR_RPC_URL is required for ${name}`);
+  }
+
+  return {
+    name,
+    passphrase: env.STELLAR_NETWORK_PASSPHRASE || network.passphrase,
+    rpcUrl,
+    contractId: env.DIVINE_WRATH_CONTRACT_ID || (name === 'testnet' ? TESTNET_CONTRACT_ID : null),
+  };
+}
+
+// La red se resuelve en el primer uso y no al importar: una configuración errónea
+// deja el relayer (y el modo ZK) deshabilitado, pero el servidor arranca igual
+let network;
+let networkError = null;
+
+function getNetwork() {
+  if (network === undefined) {
+    try {
+      network = resolveNetwork(process.env);
+    } catch (err) {
+      network = null;
+      networkError = err;
+      log.error('network_config_invalid', { error: err, effect: 'relayer disabled' });
+    }
+  }
+  return network;
+}
+
+const contractId = () => getNetwork().contractId;
 
 // Admin secret key (from stellar keys show divine-wrath-admin)
 // In production, use environment variable
 const ADMIN_SECRET = process.env.DIVINE_WRATH_ADMIN_SECRET;
 
+// Secreto del que se derivan las claves de los jugadores (por defecto, el del admin).
+// Sin él nadie puede calcular la dirección de un jugador
+const PLAYER_KEY_SECRET = process.env.PLAYER_KEY_SECRET || ADMIN_SECRET;
+
+// Tiempo máximo (ms) esperando que una transacción aceptada entre en un ledger
+const CONFIRM_TIMEOUT_MS = parseInt(process.env.TX_CONFIRM_TIMEOUT_MS || '60000', 10);
+
+// Comisiones (ver txqueue.js): inclusion fee fija en stroops o un percentil de
+// las recientes de la red (p50, p90, max...), tope del total por transacción,
+// y cuánto esperar a una transacción atascada antes de un fee bump
+const INCLUSION_FEE = parseFeePolicy(process.env.TX_INCLUSION_FEE || 'p50');
+const MAX_FEE = parseInt(process.env.TX_MAX_FEE || '10000000', 10);
+const FEE_BUMP_AFTER_MS = parseInt(process.env.TX_FEE_BUMP_AFTER_MS || '10000', 10);
+
+function parseFeePolicy(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+// Cola única para la cuenta admin: es dueña de su número de secuencia (ver txqueue.js)
+let queue = null;
+const jobListeners = new Set();
+
+function getQueue() {
+  if (!queue) {
+    queue = createTxQueue({
+      server: createServer(getNetwork()),
+      keypair: Keypair.fromSecret(ADMIN_SECRET),
+      networkPassphrase: getNetwork().passphrase,
+      inclusionFee: INCLUSION_FEE,
+      maxFee: MAX_FEE,
+      feeBumpAfterMs: FEE_BUMP_AFTER_MS,
+      confirmTimeoutMs: CONFIRM_TIMEOUT_MS,
+    });
+    queue.subscribe(job => jobListeners.forEach(listener => listener(job)));
+  }
+  return queue;
+}
+
+// "mock:" usa el RPC y el contrato simulados en memoria (ver mockrpc.js), para CI sin red
+function createServer({ name, rpcUrl }) {
+  if (rpcUrl.startsWith('mock:')) return createMockSorobanRpc();
+  return new rpc.Server(rpcUrl, { allowHttp: name === 'standalone' });
+}
+
 // ============================================================================
 // Proof Conversion Utilities
 // ============================================================================
@@ -124,7 +228,9 @@ function proofToScVal(proof) {
  * @param {number} claimValue - Valor del claim
  * @param {boolean} expectedResult - true/false
  * @param {object} snarkjsProof - Proof de snarkjs {pi_a, pi_b, pi_c}
- * @returns {Promise<boolean>} - Resultado del claim
+ * @param {object} [meta] - Datos para los eventos de estado del job (roomCode, claimId...)
+ * @returns {Promise<{ result: boolean, hash: string, ledger: number }>} - Resultado del claim
+ *   y la transacción que lo confirmó. Si no se confirma, el error lleva outcome (FAILED | TIMEOUT)
  */
 export async function submitClaimRelayed(
   sessionId,
@@ -132,20 +238,18 @@ export async function submitClaimRelayed(
   claimType,
   claimValue,
   expectedResult,
-  snarkjsProof
+  snarkjsProof,
+  meta = {}
 ) {
   if (!ADMIN_SECRET) {
     throw new Error('DIVINE_WRATH_ADMIN_SECRET not set. Cannot use relayer.');
   }
 
-  const adminKeypair = Keypair.fromSecret(ADMIN_SECRET);
-  const server = new rpc.Server(RPC_URL);
-
   // Convertir proof al formato del contrato
   const proof = convertSnarkjsProofToContract(snarkjsProof);
 
   // Crear contrato y operación
-  const contract = new Contract(CONTRACT_ID);
+  const contract = new Contract(contractId());
   const operation = contract.call(
     'submit_claim_relayed',
     nativeToScVal(sessionId, { type: 'u32' }),
@@ -156,76 +260,73 @@ export async function submitClaimRelayed(
     proofToScVal(proof)
   );
 
-  // Construir transacción
-  const account = await server.getAccount(adminKeypair.publicKey());
-  const transaction = new TransactionBuilder(account, {
-    fee: '100000', // 0.01 XLM
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(operation)
-    .setTimeout(30)
-    .build();
-
-  // Simular
-  const simulated = await server.simulateTransaction(transaction);
-  if (rpc.Api.isSimulationError(simulated)) {
-    console.error('[Relayer] Simulation error:', simulated.error);
-    throw new Error(`Simulation failed: ${simulated.error}`);
-  }
-
-  // Preparar y firmar
-  const prepared = rpc.assembleTransaction(transaction, simulated).build();
-  prepared.sign(adminKeypair);
+  // Enviar por la cola y esperar confirmación
+  const { hash, ledger, txResult } = await getQueue().submit(operation, { ...meta, label: 'submit_claim', sessionId });
+  log.info('claim_relayed', { roomCode: meta.roomCode, sessionId, txHash: hash, ledger });
 
-  // Enviar
-  const result = await server.sendTransaction(prepared);
-  console.log('[Relayer] Transaction sent:', result.hash);
+  return { result: claimResult(txResult.returnValue, expectedResult), hash, ledger };
+}
 
-  // Esperar confirmación
-  if (result.status === 'PENDING') {
-    let txResult = await server.getTransaction(result.hash);
-    while (txResult.status === 'NOT_FOUND') {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      txResult = await server.getTransaction(result.hash);
+/**
+ * Extrae el bool que devuelve el contrato
+ */
+function claimResult(returnValue, expectedResult) {
+  if (returnValue) {
+    // El resultado es Ok(bool) o Err(Error)
+    const resultType = returnValue.switch().name;
+    if (resultType === 'scvVoid') {
+      return expectedResult;
     }
-
-    if (txResult.status === 'SUCCESS') {
-      console.log('[Relayer] Transaction successful');
-      // Extraer resultado
-      const returnValue = txResult.returnValue;
-      if (returnValue) {
-        // El resultado es Ok(bool) o Err(Error)
-        const resultType = returnValue.switch().name;
-        if (resultType === 'scvVoid') {
-          return expectedResult;
-        }
-        // Intentar extraer el valor
-        try {
-          const val = returnValue.value();
-          if (typeof val === 'boolean') return val;
-          if (val && typeof val.value === 'function') {
-            return val.value();
-          }
-        } catch (e) {
-          console.log('[Relayer] Could not extract result, assuming success');
-          return expectedResult;
-        }
+    // Intentar extraer el valor
+    try {
+      const val = returnValue.value();
+      if (typeof val === 'boolean') return val;
+      if (val && typeof val.value === 'function') {
+        return val.value();
       }
+    } catch (e) {
+      log.warn('claim_result_unreadable', { assumed: expectedResult, error: e });
       return expectedResult;
-    } else {
-      console.error('[Relayer] Transaction failed:', txResult);
-      throw new Error(`Transaction failed: ${txResult.status}`);
     }
   }
-
-  throw new Error(`Unexpected transaction status: ${result.status}`);
+  return expectedResult;
 }
 
 /**
- * Verifica si el relayer está configurado correctamente
+ * Verifica si el relayer está configurado correctamente (false también si la
+ * red configurada no es válida)
  */
 export function isRelayerConfigured() {
-  return !!ADMIN_SECRET;
+  return !!ADMIN_SECRET && !!getNetwork()?.contractId;
+}
+
+/**
+ * Red Stellar en uso (testnet, futurenet, mainnet, standalone) y su contrato.
+ * Con una red inválida, todo es null y `error` dice por qué
+ */
+export function getNetworkInfo() {
+  const current = getNetwork();
+  if (!current) {
+    return { network: null, passphrase: null, contractId: null, error: networkError.message };
+  }
+  return { network: current.name, passphrase: current.passphrase, contractId: current.contractId };
+}
+
+/**
+ * Estado de la cola de transacciones: profundidad y últimos jobs
+ * (null si el relayer no se ha usado todavía)
+ */
+export function getRelayerQueueStatus() {
+  return queue ? queue.stats() : null;
+}
+
+/**
+ * Llama a listener(job) en cada cambio de estado de una transacción
+ * (ver txqueue.js para los estados). Devuelve la función para darse de baja
+ */
+export function onRelayerJobUpdate(listener) {
+  jobListeners.add(listener);
+  return () => jobListeners.delete(listener);
 }
 
 /**
@@ -255,74 +356,56 @@ export function claimTypeToNumber(claimType) {
 // ============================================================================
 
 /**
- * Genera una dirección determinística para un jugador basada en room code y player id
- * Esto permite que los jugadores sin wallet tengan una "dirección" única en blockchain
+ * Deriva la dirección Stellar de un jugador en una partida (HKDF-SHA256 sobre
+ * PLAYER_KEY_SECRET). Cada partida da direcciones nuevas, y sin el secreto del
+ * servidor no se pueden predecir
+ *
+ * @param {string} gameId - Partida (room.gameId, único por partida)
+ * @param {string} playerId - Jugador dentro de la partida
  */
-export function generatePlayerAddressSync(roomCode, playerId) {
-  // Para simplificar, usamos el admin como base y creamos direcciones derivadas
-  // Esto es un placeholder - en producción se usaría un esquema más robusto
-  if (!ADMIN_SECRET) {
-    throw new Error('DIVINE_WRATH_ADMIN_SECRET not set');
-  }
-
-  // Usar hash simple para crear seed
-  const seed = `${roomCode}-${playerId}`;
-  let hash = 0;
-  for (let i = 0; i < seed.length; i++) {
-    const char = seed.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
+export function derivePlayerAddress(gameId, playerId) {
+  if (!PLAYER_KEY_SECRET) {
+    throw new Error('PLAYER_KEY_SECRET or DIVINE_WRATH_ADMIN_SECRET not set');
   }
 
-  // Crear seed de 32 bytes
-  const seedBuffer = new Uint8Array(32);
-  const view = new DataView(seedBuffer.buffer);
-  view.setInt32(0, hash);
-  view.setInt32(4, hash ^ 0x12345678);
-  view.setInt32(8, hash ^ 0x87654321);
-  view.setInt32(12, hash ^ 0xDEADBEEF);
-  // Repetir para llenar
-  for (let i = 16; i < 32; i++) {
-    seedBuffer[i] = seedBuffer[i - 16] ^ (i * 17);
-  }
-
-  const keypair = Keypair.fromRawEd25519Seed(seedBuffer);
-  return keypair.publicKey();
+  const seed = hkdfSync('sha256', PLAYER_KEY_SECRET, 'divine-wrath/player-key/v1', `${gameId}\n${playerId}`, 32);
+  return Keypair.fromRawEd25519Seed(Buffer.from(seed)).publicKey();
 }
 
 /**
- * Inicia una partida en blockchain usando el relayer
+ * Registra una sesión en blockchain (una ronda de una partida) usando el relayer
  *
- * @param {number} sessionId - ID de la partida (derivado del room code)
- * @param {string} roomCode - Código de la sala
- * @param {string} godPlayerId - ID del jugador God
- * @param {string[]} mortalPlayerIds - IDs de los jugadores Mortales
- * @returns {Promise<void>}
+ * @param {number} sessionId - ID de la sesión en el contrato (ver allocateSessionId)
+ * @param {string} godAddress - Dirección del God (ver derivePlayerAddress)
+ * @param {string[]} mortalAddresses - Direcciones de los Mortales
+ * @param {string[]} commitments - Compromiso de posición de cada mortal (decimal, mismo orden).
+ *   El contrato los usa como input público al verificar sus claims
+ * @param {object} [meta] - Datos para los eventos de estado del job (roomCode...)
+ * @returns {Promise<{ hash: string, ledger: number }>} - Transacción que registró la partida.
+ *   Si el session ID ya existe en el contrato, el error cumple isSessionTakenError
  */
-export async function startGameRelayed(sessionId, roomCode, godPlayerId, mortalPlayerIds) {
+export async function startGameRelayed(sessionId, godAddress, mortalAddresses, commitments, meta = {}) {
   if (!ADMIN_SECRET) {
     throw new Error('DIVINE_WRATH_ADMIN_SECRET not set. Cannot use relayer.');
   }
 
-  if (mortalPlayerIds.length !== 3) {
+  if (mortalAddresses.length !== 3) {
     throw new Error('Exactly 3 mortals required');
   }
 
-  const adminKeypair = Keypair.fromSecret(ADMIN_SECRET);
-  const server = new rpc.Server(RPC_URL);
-
-  // Generar direcciones para los jugadores
-  const godAddress = generatePlayerAddressSync(roomCode, godPlayerId);
-  const mortalAddresses = mortalPlayerIds.map(id => generatePlayerAddressSync(roomCode, id));
+  if (commitments.length !== mortalAddresses.length) {
+    throw new Error('One position commitment per mortal required');
+  }
 
-  console.log('[Relayer] Starting game:', {
+  log.info('game_start_relaying', {
+    roomCode: meta.roomCode,
     sessionId,
     god: godAddress,
     mortals: mortalAddresses,
   });
 
   // Crear contrato y operación
-  const contract = new Contract(CONTRACT_ID);
+  const contract = new Contract(contractId());
 
   // Crear el vector de mortales
   const mortalsVec = xdr.ScVal.scvVec(
@@ -333,65 +416,160 @@ export async function startGameRelayed(sessionId, roomCode, godPlayerId, mortalP
     'start_game_relayed',
     nativeToScVal(sessionId, { type: 'u32' }),
     new Address(godAddress).toScVal(),
-    mortalsVec
+    mortalsVec,
+    xdr.ScVal.scvVec(commitments.map(c => xdr.ScVal.scvBytes(Buffer.from(decimalToBytes32(c)))))
   );
 
-  // Construir transacción
-  const account = await server.getAccount(adminKeypair.publicKey());
-  const transaction = new TransactionBuilder(account, {
-    fee: '100000',
-    networkPassphrase: NETWORK_PASSPHRASE,
-  })
-    .addOperation(operation)
-    .setTimeout(30)
-    .build();
-
-  // Simular
-  const simulated = await server.simulateTransaction(transaction);
-  if (rpc.Api.isSimulationError(simulated)) {
-    console.error('[Relayer] Start game simulation error:', simulated.error);
-    throw new Error(`Simulation failed: ${simulated.error}`);
+  // Enviar por la cola y esperar confirmación
+  const { hash, ledger } = await getQueue().submit(operation, { ...meta, label: 'start_game', sessionId });
+  log.info('game_start_relayed', { roomCode: meta.roomCode, sessionId, txHash: hash, ledger });
+  return { hash, ledger };
+}
+
+// ============================================================================
+// Attacks and Round Results
+// ============================================================================
+
+/**
+ * Registra un ataque del God en la sesión de la ronda, para que cualquiera
+ * pueda auditar sus aciertos contra los compromisos de posición
+ *
+ * @param {number} sessionId - Sesión de la ronda
+ * @param {object} attack - { round, turn, cell, hit, victimAddress } (victimAddress null si falló)
+ * @param {object} [meta] - Datos para los eventos de estado del job (roomCode, round, turn...)
+ * @returns {Promise<{ hash: string, ledger: number }>} - Transacción que lo registró
+ */
+export async function recordAttackRelayed(sessionId, { round, turn, cell, hit, victimAddress = null }, meta = {}) {
+  if (!ADMIN_SECRET) {
+    throw new Error('DIVINE_WRATH_ADMIN_SECRET not set. Cannot use relayer.');
   }
 
-  // Preparar y firmar
-  const prepared = rpc.assembleTransaction(transaction, simulated).build();
-  prepared.sign(adminKeypair);
+  const contract = new Contract(contractId());
+  const operation = contract.call(
+    'record_attack',
+    nativeToScVal(sessionId, { type: 'u32' }),
+    nativeToScVal(round, { type: 'u32' }),
+    nativeToScVal(turn, { type: 'u32' }),
+    nativeToScVal(cell, { type: 'u32' }),
+    nativeToScVal(hit, { type: 'bool' }),
+    // Option<Address>: void si no hubo víctima
+    victimAddress ? new Address(victimAddress).toScVal() : xdr.ScVal.scvVoid()
+  );
 
-  // Enviar
-  const result = await server.sendTransaction(prepared);
-  console.log('[Relayer] Start game transaction sent:', result.hash);
+  const { hash, ledger } = await getQueue().submit(operation, { ...meta, label: 'record_attack', sessionId });
+  log.info('attack_relayed', { roomCode: meta.roomCode, sessionId, txHash: hash, ledger, round, turn });
+  return { hash, ledger };
+}
 
-  // Esperar confirmación
-  if (result.status === 'PENDING') {
-    let txResult = await server.getTransaction(result.hash);
-    while (txResult.status === 'NOT_FOUND') {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      txResult = await server.getTransaction(result.hash);
-    }
+/**
+ * Cierra la sesión de una ronda con su resultado
+ *
+ * @param {number} sessionId - Sesión de la ronda
+ * @param {object} result - { round, godWon, survivorAddresses } (mortales vivos al final)
+ * @param {object} [meta] - Datos para los eventos de estado del job (roomCode, round...)
+ * @returns {Promise<{ hash: string, ledger: number }>} - Transacción que lo registró
+ */
+export async function recordRoundRelayed(sessionId, { round, godWon, survivorAddresses }, meta = {}) {
+  if (!ADMIN_SECRET) {
+    throw new Error('DIVINE_WRATH_ADMIN_SECRET not set. Cannot use relayer.');
+  }
+
+  const contract = new Contract(contractId());
+  const operation = contract.call(
+    'end_round',
+    nativeToScVal(sessionId, { type: 'u32' }),
+    nativeToScVal(round, { type: 'u32' }),
+    nativeToScVal(godWon, { type: 'bool' }),
+    xdr.ScVal.scvVec(survivorAddresses.map(addr => new Address(addr).toScVal()))
+  );
+
+  const { hash, ledger } = await getQueue().submit(operation, { ...meta, label: 'end_round', sessionId });
+  log.info('round_result_relayed', { roomCode: meta.roomCode, sessionId, txHash: hash, ledger, round });
+  return { hash, ledger };
+}
+
+// ============================================================================
+// Settlement
+// ============================================================================
+
+/**
+ * Liquida la partida: puntajes finales y ganador, en la sesión de la última
+ * ronda (todos los jugadores son God o mortal en ella)
+ *
+ * @param {number} sessionId - Sesión de la última ronda
+ * @param {object} settlement - { winnerAddress, playerAddresses, scores } (scores en el orden de playerAddresses)
+ * @param {object} [meta] - Datos para los eventos de estado del job (roomCode, gameId...)
+ * @returns {Promise<{ hash: string, ledger: number }>} - Transacción que la registró
+ */
+export async function settleGameRelayed(sessionId, { winnerAddress, playerAddresses, scores }, meta = {}) {
+  if (!ADMIN_SECRET) {
+    throw new Error('DIVINE_WRATH_ADMIN_SECRET not set. Cannot use relayer.');
+  }
 
-    if (txResult.status === 'SUCCESS') {
-      console.log('[Relayer] Start game successful');
-      return;
-    } else {
-      console.error('[Relayer] Start game failed:', txResult);
-      throw new Error(`Transaction failed: ${txResult.status}`);
+  const contract = new Contract(contractId());
+  const operation = contract.call(
+    'settle_game',
+    nativeToScVal(sessionId, { type: 'u32' }),
+    new Address(winnerAddress).toScVal(),
+    xdr.ScVal.scvVec(playerAddresses.map(addr => new Address(addr).toScVal())),
+    xdr.ScVal.scvVec(scores.map(score => nativeToScVal(score, { type: 'i32' })))
+  );
+
+  const { hash, ledger } = await getQueue().submit(operation, { ...meta, label: 'settle_game', sessionId });
+  log.info('game_settle_relayed', { roomCode: meta.roomCode, gameId: meta.gameId, sessionId, txHash: hash, ledger });
+  return { hash, ledger };
+}
+
+// ============================================================================
+// Session IDs
+// ============================================================================
+
+// Session IDs (u32 en el contrato) de las partidas en curso de este servidor,
+// con la partida que los usa. Se liberan al terminar la partida
+const usedSessionIds = new Map();
+
+/**
+ * Reserva para una partida un session ID aleatorio que este servidor no tenga en uso.
+ * Otro servidor (o una partida ya terminada) puede tenerlo registrado en el
+ * contrato: startGameRelayed falla entonces con isSessionTakenError y hay que pedir otro
+ *
+ * @param {string} [gameId] - Partida que lo usa, para liberarlo con releaseGameSessions
+ */
+export function allocateSessionId(gameId = null) {
+  for (;;) {
+    const sessionId = randomInt(1, 2 ** 32);
+    if (!usedSessionIds.has(sessionId)) {
+      usedSessionIds.set(sessionId, gameId);
+      return sessionId;
     }
   }
+}
 
-  throw new Error(`Unexpected transaction status: ${result.status}`);
+/**
+ * Marca como usado un session ID asignado antes (p. ej. de una sala restaurada)
+ */
+export function reserveSessionId(sessionId, gameId = null) {
+  usedSessionIds.set(sessionId, gameId);
 }
 
 /**
- * Convierte un room code a session ID numérico
- * Usa un hash simple para generar un número de 32 bits
+ * Libera los session IDs de una partida terminada o abandonada
  */
-export function roomCodeToSessionId(roomCode) {
-  let hash = 0;
-  for (let i = 0; i < roomCode.length; i++) {
-    const char = roomCode.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+export function releaseGameSessions(gameId) {
+  for (const [sessionId, owner] of usedSessionIds) {
+    if (owner === gameId) usedSessionIds.delete(sessionId);
   }
-  // Asegurar que sea positivo
-  return Math.abs(hash);
+}
+
+/**
+ * Si startGameRelayed puede reintentarse con otro session ID.
+ *
+ * No replicamos el enum de errores del contrato desplegado, así que no sabemos
+ * qué código es "la partida ya existe": vale cualquier error del contrato en la
+ * simulación (err.contractError, ver txqueue). La transacción no llegó a
+ * enviarse, así que cambiar de session ID es seguro; si el fallo era otro, el
+ * registro gasta sus intentos igual que con attempt_failed
+ */
+export function isSessionTakenError(err) {
+  return Number.isInteger(err?.contractError);
 }
@@ -0,0 +1,267 @@
+/**
+ * Divine Wrath Replay
+ *
+ * Rebuilds a game from its event log (see gamelog.js) without the room.
+ * Game events come from the engine (engine.js); the player_* seat events and
+ * game_abandoned are added by the server.
+ * Every event carries { seq, type, at, round, turn }; the rest depends on its type:
+ *
+ *   game_started            { roomCode, gridSize, totalRounds, turnsPerRound, zkEnabled, players }
+ *   phase_changed           { phase }
+ *   position_selected       { playerId, position, commitment? }
+ *   claim_submitted         { claimId, playerId, targetPlayerId, claimType, claimValue, hasZkProof }
+ *   claim_passed            { playerId }
+ *   claim_verified          { claimId, isTrue, verifiedOnChain, transactionHash?, ledger?, blockchainError? }
+ *   attack                  { playerId, cell, hit, victimId, victimName }
+ *   score                   { playerId, action, points }
+ *   cell_selected           { cell }
+ *   phase_timeout           { phase, playerIds, cell? }
+ *   round_ended             { winner, needsGodChoice, isFinalRound, canStay?, godPlayerId? }
+ *   god_choice              { playerId, choice }
+ *   player_ready            { playerId }
+ *   round_started           { godId }
+ *   player_resumed          { oldId, newId }
+ *   player_replaced_by_bot  { playerId }
+ *   game_ended              { winner, ranking }
+ *   game_abandoned          {}
+ *
+ * Replaying a prefix of the log gives the game as it was after that event,
+ * which is what a replay viewer steps through.
+ */
+
+/**
+ * Folds a game log into the game state it describes
+ *
+ * @param {object[]} events - Log of one game, in seq order
+ * @returns {object} Final state: players, scores, ranking, the current round's
+ *   claims/passes/attacks, the God's streak (`godHistory`), who is ready for
+ *   the next round, and every finished round in `rounds`
+ */
+export function replayGame(events) {
+  let state = null;
+
+  for (const event of events) {
+    if (event.type === 'game_started') {
+      state = startState(event);
+      continue;
+    }
+    if (!state) {
+      throw new Error(`Log does not start with game_started (got ${event.type})`);
+    }
+
+    state.currentRound = event.round;
+    state.turn = event.turn;
+    applyEvent(state, event);
+  }
+
+  if (!state) {
+    throw new Error('Empty game log');
+  }
+
+  state.ranking = Object.values(state.scores).sort((a, b) => b.total - a.total);
+  return state;
+}
+
+function startState(event) {
+  const god = event.players.find(p => p.role === 'god');
+  return {
+    roomCode: event.roomCode,
+    gridSize: event.gridSize,
+    totalRounds: event.totalRounds,
+    turnsPerRound: event.turnsPerRound,
+    zkEnabled: event.zkEnabled,
+    phase: 'lobby',
+    currentRound: event.round,
+    turn: event.turn,
+    players: event.players.map(p => ({ ...p, position: null, positionCommitment: null })),
+    claims: [],
+    passes: [],
+    attacks: [],
+    rounds: [],
+    godHistory: god ? freshGodHistory(god.id) : null,
+    readyForNextRound: [],
+    scores: Object.fromEntries(event.players.map(p => [p.id, {
+      playerId: p.id,
+      playerName: p.name,
+      total: 0,
+      breakdown: [],
+    }])),
+    roundWinner: null,
+    godChoice: null,
+    winner: null,
+    abandoned: false,
+    startedAt: event.at,
+    endedAt: null,
+  };
+}
+
+function applyEvent(state, event) {
+  const player = (id) => state.players.find(p => p.id === id);
+
+  switch (event.type) {
+    case 'phase_changed':
+      state.phase = event.phase;
+      break;
+
+    case 'position_selected':
+      player(event.playerId).position = event.position;
+      player(event.playerId).positionCommitment = event.commitment ?? null;
+      break;
+
+    case 'claim_submitted':
+      state.claims.push({
+        id: event.claimId,
+        playerId: event.playerId,
+        targetPlayerId: event.targetPlayerId,
+        claimType: event.claimType,
+        claimValue: event.claimValue,
+        hasZkProof: event.hasZkProof,
+        verified: false,
+        isTrue: null,
+        turn: event.turn,
+      });
+      break;
+
+    case 'claim_passed':
+      state.passes.push({ playerId: event.playerId, turn: event.turn, round: event.round });
+      break;
+
+    case 'claim_verified': {
+      const claim = state.claims.find(c => c.id === event.claimId);
+      claim.verified = true;
+      claim.isTrue = event.isTrue;
+      claim.verifiedOnChain = event.verifiedOnChain;
+      if (event.transactionHash) {
+        claim.transactionHash = event.transactionHash;
+        claim.ledger = event.ledger;
+      }
+      break;
+    }
+
+    case 'attack':
+      state.attacks.push({
+        cell: event.cell,
+        turn: event.turn,
+        round: event.round,
+        hit: event.hit,
+        victimId: event.victimId,
+      });
+      if (event.victimId) {
+        player(event.victimId).position = null;
+      } else if (state.godHistory) {
+        state.godHistory.missedAttacks++;
+      }
+      break;
+
+    case 'score': {
+      const score = state.scores[event.playerId];
+      score.total += event.points;
+      score.breakdown.push({ round: event.round, turn: event.turn, action: event.action, points: event.points });
+      break;
+    }
+
+    case 'round_ended':
+      state.roundWinner = event.winner;
+      state.godChoice = null;
+      break;
+
+    case 'god_choice':
+      state.godChoice = { playerId: event.playerId, choice: event.choice };
+      // Staying costs the penalty and starts a clean slate of misses
+      if (event.choice === 'stay' && state.godHistory) {
+        state.godHistory.hasPenalty = true;
+        state.godHistory.consecutiveRounds++;
+        state.godHistory.missedAttacks = 0;
+      }
+      break;
+
+    case 'player_ready':
+      if (!state.readyForNextRound.includes(event.playerId)) state.readyForNextRound.push(event.playerId);
+      break;
+
+    case 'round_started':
+      state.rounds.push({
+        round: event.round - 1,
+        winner: state.roundWinner,
+        godId: state.players.find(p => p.role === 'god')?.id ?? null,
+        godChoice: state.godChoice,
+        claims: state.claims,
+        passes: state.passes,
+        attacks: state.attacks,
+      });
+      state.claims = [];
+      state.passes = [];
+      state.attacks = [];
+      state.roundWinner = null;
+      state.godChoice = null;
+      state.readyForNextRound = [];
+      if (state.godHistory?.playerId !== event.godId) {
+        state.godHistory = freshGodHistory(event.godId);
+      }
+      state.players.forEach(p => {
+        p.role = p.id === event.godId ? 'god' : 'mortal';
+        p.position = null;
+        p.positionCommitment = null;
+      });
+      break;
+
+    case 'player_resumed':
+      rebind(state, event.oldId, event.newId);
+      player(event.newId).isBot = false;  // Back from a bot stand-in, if there was one
+      break;
+
+    case 'player_replaced_by_bot':
+      player(event.playerId).isBot = true;
+      break;
+
+    case 'game_ended':
+      state.phase = 'ended';
+      state.winner = event.winner;
+      state.endedAt = event.at;
+      break;
+
+    case 'game_abandoned':
+      state.abandoned = true;
+      state.endedAt = event.at;
+      break;
+
+    default:
+      // cell_selected, phase_timeout and unknown types carry no state of their own
+      break;
+  }
+}
+
+// Same moves as sessions.js rebindPlayerId, on the replayed state
+function rebind(state, oldId, newId) {
+  const player = state.players.find(p => p.id === oldId);
+  if (player) player.id = newId;
+
+  if (state.scores[oldId]) {
+    state.scores[newId] = { ...state.scores[oldId], playerId: newId };
+    delete state.scores[oldId];
+  }
+
+  state.claims.forEach(c => {
+    if (c.playerId === oldId) c.playerId = newId;
+    if (c.targetPlayerId === oldId) c.targetPlayerId = newId;
+  });
+
+  state.passes.forEach(p => {
+    if (p.playerId === oldId) p.playerId = newId;
+  });
+
+  if (state.godHistory?.playerId === oldId) {
+    state.godHistory.playerId = newId;
+  }
+
+  if (state.godChoice?.playerId === oldId) {
+    state.godChoice.playerId = newId;
+  }
+
+  state.readyForNextRound = state.readyForNextRound.map(id => (id === oldId ? newId : id));
+}
+
+// A God's streak on their first round in a row (see engine.js)
+function freshGodHistory(playerId) {
+  return { playerId, consecutiveRounds: 1, hasPenalty: false, missedAttacks: 0 };
+}
@@ -0,0 +1,322 @@
+/**
+ * Divine Wrath Event Schemas
+ *
+ * Declarative shapes for every event a client can send. The socket middleware
+ * (validatePackets) checks each payload against its schema before any handler
+ * runs, so handlers only ever see well-formed, normalized payloads:
+ * strings trimmed, room codes uppercased and undeclared keys dropped.
+ *
+ * A rejected payload never reaches its handler; the client gets
+ *   'error' { code, event, field, message }
+ * where code is one of ERROR_CODES and field is the path of the first bad value.
+ *
+ * Schemas only check shape. Game rules (whose turn it is, which cells are on
+ * this room's board...) stay in the engine and the handlers.
+ */
+
+import {
+  CLAIM_TYPE_CONFIG,
+  ROUND_OPTIONS,
+  GRID_SIZE_OPTIONS,
+  PLAYER_COUNT,
+  TIMED_PHASES,
+  PHASE_TIMER_LIMITS,
+  SPECTATOR_DELAY_LIMITS,
+  EYEBROW_STYLES,
+} from './shared/constants.js';
+import { BOT_DIFFICULTIES } from './bots.js';
+
+export const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+};
+
+// Largest board any room can have; per-room bounds are checked by the engine
+const MAX_CELL = Math.max(...GRID_SIZE_OPTIONS) ** 2;
+const MAX_GRID_SIZE = Math.max(...GRID_SIZE_OPTIONS);
+
+class SchemaError extends Error {
+  constructor(path, message) {
+    super(message);
+    this.path = path;
+  }
+}
+
+const describe = (path) => path || 'payload';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// ─── Schema builders ──────────────────────────────────────────────────────────
+// A schema is a function (value, path) -> normalized value that throws a
+// SchemaError on the first value it rejects.
+
+function string({ min = 1, max = 64, pattern = null } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') {
+      throw new SchemaError(path, `${describe(path)} must be a string`);
+    }
+    const trimmed = value.trim();
+    if (trimmed.length < min || trimmed.length > max) {
+      throw new SchemaError(path, `${describe(path)} must be ${min}-${max} characters`);
+    }
+    if (pattern && !pattern.test(trimmed)) {
+      throw new SchemaError(path, `${describe(path)} has an invalid format`);
+    }
+    return trimmed;
+  };
+}
+
+function integer({ min, max }) {
+  return (value, path) => {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new SchemaError(path, `${describe(path)} must be an integer from ${min} to ${max}`);
+    }
+    return value;
+  };
+}
+
+function boolean() {
+  return (value, path) => {
+    if (typeof value !== 'boolean') {
+      throw new SchemaError(path, `${describe(path)} must be true or false`);
+    }
+    return value;
+  };
+}
+
+function oneOf(options) {
+  return (value, path) => {
+    if (!options.includes(value)) {
+      throw new SchemaError(path, `${describe(path)} must be one of: ${options.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+// Accepts the first alternative that does not throw
+function anyOf(schemas, message) {
+  return (value, path) => {
+    for (const schema of schemas) {
+      try {
+        return schema(value, path);
+      } catch (err) {
+        if (!(err instanceof SchemaError)) throw err;
+      }
+    }
+    throw new SchemaError(path, `${describe(path)} ${message}`);
+  };
+}
+
+function optional(schema) {
+  return (value, path) => (value === undefined ? undefined : schema(value, path));
+}
+
+function nullable(schema) {
+  return (value, path) => (value === null ? null : schema(value, path));
+}
+
+function array(items, { max }) {
+  return (value, path) => {
+    if (!Array.isArray(value) || value.length > max) {
+      throw new SchemaError(path, `${describe(path)} must be a list of at most ${max} items`);
+    }
+    return value.map((item, i) => items(item, `${path}[${i}]`));
+  };
+}
+
+/**
+ * Object with declared keys. Undeclared keys are dropped, or rejected with
+ * { strict: true }. `refine(value, path)` runs on the normalized object for
+ * rules across fields.
+ */
+function object(shape, { strict = false, refine = null } = {}) {
+  return (value, path) => {
+    if (!isPlainObject(value)) {
+      throw new SchemaError(path, `${describe(path)} must be an object`);
+    }
+
+    if (strict) {
+      const extra = Object.keys(value).find(key => !Object.hasOwn(shape, key));
+      if (extra !== undefined) {
+        throw new SchemaError(join(path, extra), `${join(path, extra)} is not allowed`);
+      }
+    }
+
+    const result = {};
+    for (const [key, schema] of Object.entries(shape)) {
+      const normalized = schema(value[key], join(path, key));
+      if (normalized !== undefined) result[key] = normalized;
+    }
+
+    refine?.(result, path);
+    return result;
+  };
+}
+
+function required(schema) {
+  return (value, path) => {
+    if (value === undefined || value === null) {
+      throw new SchemaError(path, `${describe(path)} is required`);
+    }
+    return schema(value, path);
+  };
+}
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+// ─── Field schemas ────────────────────────────────────────────────────────────
+
+const roomCode = required((value, path) => string({ min: 4, max: 8, pattern: /^[A-Za-z0-9]+$/ })(value, path).toUpperCase());
+const playerName = required(string({ max: 24 }));
+const playerId = required(string({ max: 64, pattern: /^[A-Za-z0-9_-]+$/ }));
+const claimId = required(string({ max: 128, pattern: /^[A-Za-z0-9_-]+$/ }));
+const sessionToken = required(string({ max: 128, pattern: /^[A-Za-z0-9]+$/ }));
+const cell = required(integer({ min: 1, max: MAX_CELL }));
+const avatar = optional(nullable(object({
+  color: required(string({ max: 32 })),
+  eyebrows: required(oneOf(EYEBROW_STYLES)),
+})));
+
+// Field elements are decimal strings; 80 digits is well above the BN254 field size
+const fieldElement = string({ max: 80, pattern: /^[0-9]+$/ });
+const publicSignals = required(array(fieldElement, { max: 16 }));
+const groth16Proof = required(object({
+  pi_a: required(array(fieldElement, { max: 3 })),
+  pi_b: required(array(array(fieldElement, { max: 2 }), { max: 3 })),
+  pi_c: required(array(fieldElement, { max: 3 })),
+  protocol: optional(string({ max: 16 })),
+  curve: optional(string({ max: 16 })),
+}));
+
+// Commitment to a mortal's position (Poseidon hash of position and salt) and
+// the salt it was made with. Kept in canonical form so the commitment compares
+// equal to the proof's public signal
+const SNARK_SCALAR_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const positionCommitment = optional((value, path) => {
+  const commitment = BigInt(fieldElement(value, path));
+  if (commitment === 0n || commitment >= SNARK_SCALAR_FIELD) {
+    throw new SchemaError(path, `${describe(path)} must be a nonzero BN254 field element`);
+  }
+  return commitment.toString();
+});
+const commitmentSalt = optional((value, path) => {
+  const salt = BigInt(fieldElement(value, path));
+  if (salt >= SNARK_SCALAR_FIELD) {
+    throw new SchemaError(path, `${describe(path)} must be a BN254 field element`);
+  }
+  return salt.toString();
+});
+
+const claimValue = optional(nullable(anyOf(
+  [integer({ min: 1, max: MAX_GRID_SIZE }), boolean()],
+  `must be an integer from 1 to ${MAX_GRID_SIZE} or a boolean`,
+)));
+
+// Rows and columns need a number; the engine checks it against the room's board
+function refineClaim(claim, path) {
+  if (CLAIM_TYPE_CONFIG[claim.claimType].needsValue && !Number.isInteger(claim.claimValue)) {
+    throw new SchemaError(join(path, 'claimValue'), `claimValue must be a number for a ${claim.claimType} claim`);
+  }
+}
+
+const phaseTimers = required(object(
+  Object.fromEntries(TIMED_PHASES.map(phase => [phase, optional(integer({ min: 0, max: PHASE_TIMER_LIMITS.MAX }))])),
+  { strict: true },
+));
+
+const roomOnly = object({ roomCode });
+
+// ─── Event schemas ────────────────────────────────────────────────────────────
+
+export const EVENT_SCHEMAS = {
+  create_room: object({ playerName, avatar, zkEnabled: optional(boolean()) }),
+  join_room: object({ roomCode, playerName, avatar }),
+  spectate_room: object({ roomCode, name: optional(nullable(string({ max: 24 }))) }),
+  stop_spectating: roomOnly,
+  resume_session: object({ sessionToken }),
+
+  add_bot: object({ roomCode, difficulty: optional(oneOf(BOT_DIFFICULTIES)) }),
+  remove_bot: object({ roomCode, botId: playerId }),
+  toggle_ready: roomOnly,
+  set_round_config: object({ roomCode, totalRounds: required(oneOf(ROUND_OPTIONS)) }),
+  set_board_config: object({
+    roomCode,
+    gridSize: optional(nullable(oneOf(GRID_SIZE_OPTIONS))),
+    maxPlayers: optional(nullable(integer({ min: PLAYER_COUNT.MIN, max: PLAYER_COUNT.MAX }))),
+  }),
+  set_timer_config: object({ roomCode, phaseTimers }),
+  set_spectator_config: object({
+    roomCode,
+    delaySeconds: required(integer({ min: 0, max: SPECTATOR_DELAY_LIMITS.MAX })),
+  }),
+  start_game: roomOnly,
+
+  select_position: object({ roomCode, position: cell, commitment: positionCommitment, salt: commitmentSalt }),
+  submit_claim: object({
+    roomCode,
+    claimType: required(oneOf(Object.keys(CLAIM_TYPE_CONFIG))),
+    claimValue,
+    targetPlayerId: playerId,
+    zkProof: optional(nullable(object({ proof: groth16Proof, publicSignals }))),
+  }, { refine: refineClaim }),
+  submit_claim_blockchain: object({ roomCode, claimId, proof: groth16Proof, publicSignals }),
+  verify_claim: object({ roomCode, claimId }),
+  god_select_cell: object({ roomCode, cell: optional(nullable(cell)) }),
+  attack_cell: object({ roomCode, cell }),
+  god_choice: object({ roomCode, choice: required(oneOf(['stay', 'cede'])) }),
+  ready_for_next_round: roomOnly,
+  leave_room: roomOnly,
+};
+
+// Events socket.io raises itself; they never come from the client
+const RESERVED_EVENTS = ['disconnect', 'disconnecting'];
+
+/**
+ * Checks one event payload against its schema
+ *
+ * @param {string} event - Event name
+ * @param {*} payload - First argument the client sent
+ * @returns {{ ok: true, value: object } | { ok: false, error: { code, event, field, message } }}
+ */
+export function validatePayload(event, payload) {
+  const schema = Object.hasOwn(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+  if (!schema) {
+    return {
+      ok: false,
+      error: { code: ERROR_CODES.UNKNOWN_EVENT, event: String(event), field: null, message: `Unknown event: ${event}` },
+    };
+  }
+
+  try {
+    return { ok: true, value: schema(payload, '') };
+  } catch (err) {
+    if (!(err instanceof SchemaError)) throw err;
+    return {
+      ok: false,
+      error: { code: ERROR_CODES.INVALID_PAYLOAD, event, field: err.path || null, message: err.message },
+    };
+  }
+}
+
+/**
+ * Socket middleware: replaces each payload with its normalized form, or drops
+ * the packet and tells the client why
+ *
+ * Usage: socket.use(validatePackets(socket))
+ */
+export function validatePackets(socket) {
+  return (packet, next) => {
+    const [event, payload] = packet;
+    if (RESERVED_EVENTS.includes(event)) return next();
+
+    const result = validatePayload(event, payload);
+    if (!result.ok) {
+      socket.emit('error', result.error);
+      return;
+    }
+
+    packet[1] = result.value;
+    next();
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Divine Wrath Sessions
+ *
+ * Resumable player sessions. Every seat gets a secret token when it is created.
+ * A player reconnecting under the same identity (see identity.js) presents it
+ * to take the seat back; presented under another identity, it moves the seat
+ * (and everything keyed on the old player ID) to that player.
+ */
+
+import { randomBytes } from 'crypto';
+
+// How long a disconnected player's seat is held before they are removed
+export const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS || '60000', 10);
+
+/**
+ * Generates an unguessable session token
+ */
+export function generateSessionToken() {
+  return randomBytes(24).toString('hex');
+}
+
+/**
+ * Finds the room and player owning a session token
+ *
+ * @param {object} rooms - Room store (see storage.js)
+ * @param {string} sessionToken - Token handed out on create/join
+ * @returns {{ room: object, player: object } | null}
+ */
+export function findSession(rooms, sessionToken) {
+  if (!sessionToken) return null;
+
+  for (const room of rooms.list()) {
+    const player = room.players.find(p => p.sessionToken === sessionToken);
+    if (player) return { room, player };
+  }
+  return null;
+}
+
+/**
+ * Moves every reference to a player from one ID to another
+ * (seat, scores, claims, passes, god history and round transition state)
+ */
+export function rebindPlayerId(room, oldId, newId) {
+  const player = room.players.find(p => p.id === oldId);
+  if (player) player.id = newId;
+
+  if (room.scores[oldId]) {
+    room.scores[newId] = { ...room.scores[oldId], playerId: newId };
+    delete room.scores[oldId];
+  }
+
+  room.claims.forEach(c => {
+    if (c.playerId === oldId) c.playerId = newId;
+    if (c.targetPlayerId === oldId) c.targetPlayerId = newId;
+  });
+
+  (room.passes || []).forEach(p => {
+    if (p.playerId === oldId) p.playerId = newId;
+  });
+
+  if (room.godHistory?.playerId === oldId) {
+    room.godHistory.playerId = newId;
+  }
+
+  if (room.godChoice?.keepGodId === oldId) {
+    room.godChoice.keepGodId = newId;
+  }
+
+  room.readyForNextRound = (room.readyForNextRound || []).map(id => id === oldId ? newId : id);
+
+  if (room.blockchainAddresses?.[oldId]) {
+    room.blockchainAddresses[newId] = room.blockchainAddresses[oldId];
+    delete room.blockchainAddresses[oldId];
+  }
+}
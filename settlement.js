@@ -0,0 +1,155 @@
+/**
+ * Divine Wrath Settlement
+ *
+ * When a ZK game ends, its final scores and winner are settled on the
+ * contract (settle_game), in the session of the final round and under the
+ * players' derived addresses. The settlement record keeps what was sent and
+ * the transaction that holds it:
+ *
+ *   pending -> settled (transactionHash, ledger) | failed (error)
+ *
+ * Records are kept apart from the room so they outlive it, keyed by
+ * room.gameId. Settlement stores share one interface:
+ *   save(record)
+ *   get(gameId) -> record | undefined
+ *   latestForRoom(roomCode) -> record | undefined
+ */
+
+import { readFileSync, writeFileSync, renameSync, readdirSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'settlement' });
+
+export const SETTLEMENT_STATUS = {
+  PENDING: 'pending',
+  SETTLED: 'settled',
+  FAILED: 'failed',
+};
+
+// Games kept by the memory store before the oldest are dropped
+const MAX_MEMORY_SETTLEMENTS = 500;
+
+/**
+ * Opens the settlement of a game that just ended
+ *
+ * @param {object} game
+ * @param {string} game.gameId
+ * @param {string} game.roomCode
+ * @param {string|null} game.winner - playerId of the winner
+ * @param {object[]} game.ranking - Final ranking ({ playerId, playerName, total }), best first
+ * @param {object} game.addresses - playerId -> derived Stellar address (room.blockchainAddresses)
+ */
+export function createSettlement({ gameId, roomCode, winner, ranking, addresses }, now = Date.now()) {
+  return {
+    gameId,
+    roomCode,
+    sessionId: null,
+    status: SETTLEMENT_STATUS.PENDING,
+    winner: winner ? { playerId: winner, address: addresses[winner] ?? null } : null,
+    ranking: ranking.map(({ playerId, playerName, total }) => ({
+      playerId,
+      playerName,
+      address: addresses[playerId] ?? null,
+      total,
+    })),
+    transactionHash: null,
+    ledger: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * The settlement transaction was confirmed
+ */
+export function markSettled(record, { sessionId, hash, ledger }, now = Date.now()) {
+  return { ...record, sessionId, status: SETTLEMENT_STATUS.SETTLED, transactionHash: hash, ledger, error: null, updatedAt: now };
+}
+
+/**
+ * The game could not be settled. hash and ledger are set if a transaction
+ * was sent but failed or timed out
+ */
+export function markFailed(record, { sessionId = record.sessionId, hash = null, ledger = null, error }, now = Date.now()) {
+  return { ...record, sessionId, status: SETTLEMENT_STATUS.FAILED, transactionHash: hash, ledger, error, updatedAt: now };
+}
+
+// Game IDs are `${roomCode}-${startedAt}` (see start_game), so the latest game of
+// a room is the one started last
+const startedAt = (record) => Number(record.gameId.slice(record.roomCode.length + 1)) || 0;
+
+function latest(records, roomCode) {
+  return records
+    .filter(r => r.roomCode === roomCode)
+    .reduce((best, r) => (!best || startedAt(r) > startedAt(best) ? r : best), undefined);
+}
+
+/**
+ * In-memory store. Keeps the most recent games only and loses them on restart.
+ */
+export function createMemorySettlementStore() {
+  const records = new Map();
+
+  return {
+    save: (record) => {
+      records.set(record.gameId, record);
+      if (records.size > MAX_MEMORY_SETTLEMENTS) {
+        records.delete(records.keys().next().value);
+      }
+    },
+    get: (gameId) => records.get(gameId),
+    latestForRoom: (roomCode) => latest([...records.values()], roomCode),
+  };
+}
+
+/**
+ * JSON store: one file per game, rewritten through a temp file on every change
+ *
+ * @param {string} dir - Directory for the settlement files
+ */
+export function createFileSettlementStore(dir) {
+  mkdirSync(dir, { recursive: true });
+
+  // Game IDs come from the server, but never let one escape the directory
+  const fileFor = (gameId) => join(dir, `${String(gameId).replace(/[^A-Za-z0-9_-]/g, '')}.json`);
+  const read = (filePath) => JSON.parse(readFileSync(filePath, 'utf8'));
+
+  return {
+    save: (record) => {
+      const filePath = fileFor(record.gameId);
+      writeFileSync(`${filePath}.tmp`, JSON.stringify(record));
+      renameSync(`${filePath}.tmp`, filePath);
+    },
+    get: (gameId) => {
+      const filePath = fileFor(gameId);
+      return existsSync(filePath) ? read(filePath) : undefined;
+    },
+    latestForRoom: (roomCode) => {
+      const prefix = `${String(roomCode).replace(/[^A-Za-z0-9]/g, '')}-`;
+      const records = readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+        .map(name => read(join(dir, name)));
+      return latest(records, roomCode);
+    },
+  };
+}
+
+/**
+ * Creates the store selected by SETTLEMENT_STORE ('memory' or 'file')
+ */
+export function createSettlementStore() {
+  const type = process.env.SETTLEMENT_STORE || 'memory';
+
+  if (type === 'file') {
+    const dir = process.env.SETTLEMENT_DIR || './data/settlements';
+    log.info('settlement_store_selected', { store: 'file', path: dir });
+    return createFileSettlementStore(dir);
+  }
+
+  if (type !== 'memory') {
+    log.warn('settlement_store_unknown', { store: type, fallback: 'memory' });
+  }
+  return createMemorySettlementStore();
+}
@@ -62,7 +62,16 @@ export const ADJACENCY_MAP = {
 // Round configuration
 export const ROUND_OPTIONS = [3, 4, 5];
 export const DEFAULT_ROUNDS = 3;
-export const TURNS_PER_ROUND = 3;
+export const TURNS_PER_ROUND = 3;  // On the default 3x3 board (one turn per row)
+
+// Board configuration (host can change in the lobby)
+export const GRID_SIZE_OPTIONS = [3, 4, 5];
+export const DEFAULT_GRID_SIZE = 3;
+export const PLAYER_COUNT = { MIN: 3, MAX: 6 };  // 1 God + 2-5 mortals
+export const DEFAULT_MAX_PLAYERS = 4;
+
+// The circuit and contract only handle the classic layout: 3x3, 1 God + 3 mortals
+export const ZK_LAYOUT = { gridSize: 3, players: 4 };
 
 // Scoring system
 export const POINTS = {
@@ -71,7 +80,25 @@ export const POINTS = {
   GOD_FINDS_MORTAL: 40,
   GOD_PENALTY_MISS: -20,
   GOD_PENALTY_HIT_BONUS: 15,  // Additional to GOD_FINDS_MORTAL (total 55)
+  TIMEOUT_PENALTY: -10,       // Server acted for a player who ran out of time
+};
+
+// Phase timers (seconds, 0 = no limit). Host can change them in the lobby
+export const TIMED_PHASES = ['setup', 'claiming', 'deduction'];
+export const DEFAULT_PHASE_TIMERS = {
+  setup: 0,
+  claiming: 0,
+  deduction: 0,
 };
+export const PHASE_TIMER_LIMITS = { MIN: 15, MAX: 600 };
+
+// Spectators: stream delay in seconds (0 = live). Either way spectators see
+// positions only when buildRoomView would reveal them (see views.js)
+export const SPECTATOR_DELAY_LIMITS = { MIN: 10, MAX: 300 };
+export const MAX_SPECTATORS = 50;
+
+// Avatar options (see AvatarConfig in types.ts)
+export const EYEBROW_STYLES = ['neutral', 'angry', 'happy', 'worried'];
 
 // God consecutive limit
 export const MAX_CONSECUTIVE_GOD_ROUNDS = 2;
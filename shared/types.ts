@@ -14,6 +14,8 @@ export type Phase = 'lobby' | 'setup' | 'claiming' | 'deduction' | 'round_transi
 
 export type Role = 'god' | 'mortal';
 
+export type BotDifficulty = 'easy' | 'normal' | 'hard';
+
 export type EyebrowStyle = 'neutral' | 'angry' | 'happy' | 'worried';
 
 export interface AvatarConfig {
@@ -21,16 +23,39 @@ export interface AvatarConfig {
   eyebrows: EyebrowStyle;
 }
 
+// Sent as 'error' when a payload fails its schema (see schemas.js)
+export interface PayloadError {
+  code: 'INVALID_PAYLOAD' | 'UNKNOWN_EVENT';
+  event: string;
+  field: string | null;  // Path of the first bad value, e.g. 'zkProof.publicSignals[2]'
+  message: string;
+}
+
+// Sent as 'identity' on every connection, and answered by POST /api/auth/register
+// and /api/auth/login. The token goes in the next handshake: io(url, { auth: { token } })
+export interface PlayerIdentity {
+  playerId: string;
+  kind: 'guest' | 'account';
+  name: string | null;  // Account name
+  token: string;
+}
+
 export interface Player {
-  id: string;
+  id: string;  // Stable player ID (PlayerIdentity.playerId), the same across connections and games
   name: string;
   role: Role | null;
   position: number | null;
+  positionCommitment?: string | null;  // ZK games: Poseidon(position, salt) committed during setup
   isHost: boolean;
   isReady: boolean;
   avatar?: AvatarConfig;
+  connected: boolean;       // false while the seat is held for reconnection
+  disconnectedAt?: number;  // Timestamp of the drop, cleared on resume
+  isBot?: boolean;          // Server-controlled seat (added in lobby or took over a dropped player)
+  botDifficulty?: BotDifficulty;
 }
 
+
 export interface Claim {
   id: string;  // Unique claim ID for verification
   playerId: string;
@@ -42,6 +67,49 @@ export interface Claim {
   verified: boolean;       // Has God verified this claim?
   isTrue: boolean | null;  // null until verified
   turn: number;
+  hasZkProof?: boolean;    // Set in redacted views, where the proof itself is withheld
+  verifiedOnChain?: boolean;
+  onChainPending?: boolean;         // A submit_claim_blockchain transaction is in flight
+  transactionHash?: string | null;  // Transaction that verified it on-chain
+  ledger?: number | null;           // Ledger that transaction landed in
+  blockchainError?: string;         // Why on-chain verification failed, when it fell back to local
+}
+
+// On-chain registration of a ZK round, also sent to the room as 'blockchain_status'
+export interface BlockchainRegistration {
+  gameId: string;
+  round: number;         // Each round is its own contract session
+  sessionId: number;     // Changes if the contract already had the one tried
+  status: 'pending' | 'registered' | 'failed';
+  attempt: number;       // Current attempt, or the last one once failed
+  maxAttempts: number;
+  error: string | null;  // Why the last attempt failed
+  transactionHash: string | null;
+  ledger: number | null;
+  updatedAt: number;
+}
+
+// Progress of a relayed transaction, sent to the room as 'blockchain_tx_status'
+export interface BlockchainTxStatus {
+  jobId: number;
+  label: string;  // start_game, submit_claim, record_attack, end_round, settle_game
+  status: 'queued' | 'submitting' | 'retrying' | 'pending' | 'success' | 'failed' | 'timeout';
+  outcome: 'SUCCESS' | 'FAILED' | 'TIMEOUT' | null;  // Set once the job is finished
+  claimId?: string;
+  round?: number;  // record_attack and end_round
+  turn?: number;   // record_attack
+  attempts: number;
+  transactionHash: string | null;
+  ledger: number | null;
+  error: string | null;
+}
+
+// A relayed record of a ZK round (attack or result) and the transaction that holds it
+export interface BlockchainRecord {
+  status: 'pending' | 'recorded' | 'failed';
+  transactionHash: string | null;
+  ledger: number | null;
+  error: string | null;
 }
 
 export interface Attack {
@@ -50,10 +118,16 @@ export interface Attack {
   round: number;
   hit: boolean;
   victimName: string | null;
+  onChain?: BlockchainRecord;  // ZK games only
+}
+
+export interface BlockchainRoundResult extends BlockchainRecord {
+  round: number;
+  winner: 'god' | 'mortals';
 }
 
 // Score tracking
-export type ScoreAction = 'survive_turn' | 'true_self_claim' | 'god_find' | 'god_penalty_miss' | 'god_penalty_hit';
+export type ScoreAction = 'survive_turn' | 'true_self_claim' | 'god_find' | 'god_penalty_miss' | 'god_penalty_hit' | 'timeout_penalty';
 
 export interface ScoreEntry {
   round: number;
@@ -85,6 +159,28 @@ export interface RoundResult {
   godPlayerId?: string;
 }
 
+// Mortal who ran out of time in the claiming phase
+export interface ClaimPass {
+  playerId: string;
+  playerName: string;
+  turn: number;
+  round: number;
+}
+
+// Seconds per phase, 0 = no limit
+export interface PhaseTimers {
+  setup: number;
+  claiming: number;
+  deduction: number;
+}
+
+// Watches a room without a seat; socket ID, like Player.id
+export interface Spectator {
+  id: string;
+  name: string;
+  joinedAt: number;
+}
+
 export interface GodChoice {
   type: 'stay' | 'cede';
   keepGodId: string | null;
@@ -100,6 +196,7 @@ export interface Room {
   zkEnabled: boolean;  // If true, claims require ZK proofs
   currentPlayerIndex: number;
   claims: Claim[];
+  passes: ClaimPass[];
   attacks: Attack[];
   verificationsRemaining: number;  // God's ZK proof verifications available
   scores: Record<string, PlayerScore>;
@@ -108,6 +205,141 @@ export interface Room {
   readyForNextRound?: string[];  // playerIds ready to continue
   godChoice?: GodChoice | null;  // God's stay/cede choice
   godSelectedCell?: number | null;  // Cell God is considering (visible to all)
+  gridSize: number;       // Board is gridSize x gridSize
+  maxPlayers: number;     // Seats, 1 God + the rest mortals
+  turnsPerRound: number;  // Derived from gridSize when the game starts
+  phaseTimers: PhaseTimers;
+  phaseDeadline: number | null;  // Absolute timestamp (ms) when the current phase times out
+  spectators: Spectator[];       // Server only, views carry spectatorCount instead
+  spectatorDelay: number;        // Seconds spectators lag behind, 0 = live
+  gameId: string | null;         // Event log of the current game (see GameEvent)
+  logSeq: number;                // Next event number in that log
+  blockchainSessionId: number | null;                     // ZK games only, allocated per round
+  blockchainAddresses: Record<string, string> | null;     // playerId -> Stellar address, ZK games only
+  blockchainRegistration: BlockchainRegistration | null;  // ZK games only
+  blockchainRoundResults: BlockchainRoundResult[];        // ZK games only
+  spectatorCount?: number;
+}
+
+// Final scores of a ZK game as settled on-chain (GET /api/games/:gameId/settlement)
+export interface GameSettlement {
+  gameId: string;
+  roomCode: string;
+  sessionId: number | null;  // Session of the final round, once registered
+  status: 'pending' | 'settled' | 'failed';
+  winner: { playerId: string; address: string | null } | null;
+  ranking: { playerId: string; playerName: string; address: string | null; total: number }[];
+  transactionHash: string | null;
+  ledger: number | null;
+  error: string | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+// 'game_ended' payload
+export interface GameEndedPayload {
+  winner: string | null;
+  ranking: PlayerScore[];
+  isFinalRound: true;
+  gameId: string;
+  settlement?: SettlementSummary;  // ZK games only, always 'pending' here (see GameSettledPayload)
+  room: Room;
+}
+
+export type SettlementSummary = Pick<GameSettlement, 'status' | 'sessionId' | 'transactionHash' | 'ledger' | 'error'>;
+
+// 'game_settled' payload: a ZK game's settlement transaction went through or failed
+export interface GameSettledPayload {
+  gameId: string;
+  settlement: SettlementSummary;
+  room: Room;
+}
+
+// 'room_closed' payload: the last player left, or an admin closed the room
+export interface RoomClosedPayload {
+  roomCode: string;
+  reason: 'empty' | 'admin';
+}
+
+// 'admin_action' payload, sent to the room an admin acted on
+export interface AdminActionPayload {
+  action: 'close_room' | 'kick_player' | 'advance_phase';
+  playerId?: string;  // kick_player
+  phase?: Phase;      // advance_phase: the phase that was ended
+  reason: string | null;
+  room: Room;
+}
+
+// One line of GET /api/admin/rooms
+export interface AdminRoomSummary {
+  code: string;
+  phase: Phase;
+  playerCount: number;
+  humanCount: number;
+  connectedCount: number;
+  spectatorCount: number;
+  currentRound: number;
+  totalRounds: number;
+  zkEnabled: boolean;
+  blockchainStatus: BlockchainRegistration['status'] | null;
+  gameId: string | null;
+  phaseDeadline: number | null;
+  createdAt: number;
+}
+
+// One entry of the admin audit log (GET /api/admin/audit)
+export interface AuditEntry {
+  at: number;
+  action: AdminActionPayload['action'];
+  roomCode: string;
+  playerId?: string;
+  reason: string | null;
+  ok: boolean;
+  error: string | null;
+  ip: string;
+}
+
+// A player's career (GET /api/players/:playerId, see stats.js)
+export interface PlayerProfile {
+  playerId: string;
+  name: string;
+  rating: number;
+  rank: number;
+  gamesPlayed: number;
+  wins: number;
+  roundsAsGod: number;
+  attacks: number;
+  hits: number;
+  claims: number;
+  claimsVerified: number;
+  claimsTrue: number;
+  survivalTurns: number;
+  totalScore: number;
+  bestScore: number | null;
+  lastGameId: string | null;
+  lastPlayedAt: number | null;
+  winRate: number | null;        // null until there is something to divide
+  hitRate: number | null;
+  trueClaimRate: number | null;
+  averageScore: number | null;
+}
+
+// GET /api/leaderboard
+export interface LeaderboardPage {
+  total: number;
+  limit: number;
+  offset: number;
+  players: (Pick<PlayerProfile, 'rank' | 'playerId' | 'name' | 'rating' | 'gamesPlayed' | 'wins'>)[];
+}
+
+// One entry of a game's append-only log; payload fields depend on type (see replay.js)
+export interface GameEvent {
+  seq: number;
+  type: string;
+  at: number;     // Timestamp (ms)
+  round: number;
+  turn: number;
+  [field: string]: unknown;
 }
 
 // Helper to check if a claim already exists
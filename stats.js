@@ -0,0 +1,242 @@
+/**
+ * Divine Wrath Player Stats
+ *
+ * Career stats and skill ratings of human players, keyed by their stable
+ * playerId (see identity.js). When a game ends, its event log (see replay.js
+ * for the event types) is folded into one line per player and added to their
+ * career; their rating moves with the final ranking.
+ *
+ * Ratings are Elo over every pair of players in the ranking: finishing above
+ * someone is a win against them, level on points a draw. Each game moves a
+ * rating by at most K_FACTOR, however many players it had. Bots count as
+ * opponents rated BOT_RATING but have no career of their own.
+ *
+ * Stats stores share one interface:
+ *   get(playerId) -> record | undefined
+ *   save(record)
+ *   list() -> record[]
+ */
+
+import { createMemoryKeyedStore, createFileKeyedStore, selectStore } from './storage.js';
+
+export const START_RATING = 1500;
+export const BOT_RATING = 1500;
+export const K_FACTOR = 32;
+
+/**
+ * What each human player did in one finished game, from its event log.
+ * Returns [] for a log that didn't end with game_ended (abandoned games count for nobody)
+ *
+ * @param {object[]} events - Log of one game, in seq order
+ * @returns {object[]} { playerId, name, won, total, place, roundsAsGod, attacks, hits,
+ *   claims, claimsVerified, claimsTrue, survivalTurns }, best first
+ */
+export function summarizeGame(events) {
+  const started = events.find(e => e.type === 'game_started');
+  const ended = events.find(e => e.type === 'game_ended');
+  if (!started || !ended) return [];
+
+  const lines = new Map();
+  const line = (id) => {
+    if (!lines.has(id)) {
+      lines.set(id, { roundsAsGod: 0, attacks: 0, hits: 0, claims: 0, claimsVerified: 0, claimsTrue: 0, survivalTurns: 0 });
+    }
+    return lines.get(id);
+  };
+  const claimants = new Map();  // claimId -> playerId
+  const humans = new Set(started.players.filter(p => !p.isBot).map(p => p.id));
+
+  const firstGod = started.players.find(p => p.role === 'god');
+  if (firstGod) line(firstGod.id).roundsAsGod++;
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'round_started':
+        line(event.godId).roundsAsGod++;
+        break;
+
+      case 'attack':
+        line(event.playerId).attacks++;
+        if (event.hit) line(event.playerId).hits++;
+        break;
+
+      case 'claim_submitted':
+        claimants.set(event.claimId, event.playerId);
+        line(event.playerId).claims++;
+        break;
+
+      case 'claim_verified': {
+        const claimant = line(claimants.get(event.claimId));
+        claimant.claimsVerified++;
+        if (event.isTrue) claimant.claimsTrue++;
+        break;
+      }
+
+      case 'score':
+        if (event.action === 'survive_turn') line(event.playerId).survivalTurns++;
+        break;
+
+      case 'player_resumed':
+        // The seat moved to another player, and what it did goes with it
+        if (lines.has(event.oldId)) {
+          lines.set(event.newId, lines.get(event.oldId));
+          lines.delete(event.oldId);
+        }
+        for (const [claimId, id] of claimants) {
+          if (id === event.oldId) claimants.set(claimId, event.newId);
+        }
+        if (humans.delete(event.oldId)) humans.add(event.newId);
+        break;
+    }
+  }
+
+  return ended.ranking
+    .map((entry, index) => ({ ...entry, place: index + 1 }))
+    .filter(entry => humans.has(entry.playerId))
+    .map(({ playerId, playerName, total, place }) => ({
+      playerId,
+      name: playerName,
+      won: ended.winner === playerId,
+      total,
+      place,
+      ...line(playerId),
+    }));
+}
+
+/**
+ * New ratings of the human players of a ranking
+ *
+ * @param {object[]} ranking - Final ranking ({ playerId, total }), best first, bots included
+ * @param {function} ratingOf - playerId -> current rating, or null for a bot
+ * @returns {Map<string, number>} playerId -> new rating, humans only
+ */
+export function rateGame(ranking, ratingOf) {
+  const rated = ranking.map(({ playerId, total }) => {
+    const rating = ratingOf(playerId);
+    return { playerId, total, rating: rating ?? BOT_RATING, human: rating !== null };
+  });
+  const opponents = rated.length - 1;
+  const next = new Map();
+
+  for (const player of rated.filter(p => p.human)) {
+    let delta = 0;
+    for (const other of rated) {
+      if (other === player) continue;
+      const expected = 1 / (1 + 10 ** ((other.rating - player.rating) / 400));
+      const score = player.total > other.total ? 1 : player.total === other.total ? 0.5 : 0;
+      delta += score - expected;
+    }
+    next.set(player.playerId, Math.round(player.rating + (opponents > 0 ? (K_FACTOR * delta) / opponents : 0)));
+  }
+  return next;
+}
+
+/**
+ * A player with no games yet
+ */
+export function emptyRecord(playerId, name) {
+  return {
+    playerId,
+    name,
+    rating: START_RATING,
+    gamesPlayed: 0,
+    wins: 0,
+    roundsAsGod: 0,
+    attacks: 0,
+    hits: 0,
+    claims: 0,
+    claimsVerified: 0,
+    claimsTrue: 0,
+    survivalTurns: 0,
+    totalScore: 0,
+    bestScore: null,
+    lastGameId: null,
+    lastPlayedAt: null,
+  };
+}
+
+/**
+ * Adds a finished game to the careers of its players. Returns the updated
+ * records; a game already recorded for a player is not counted twice
+ *
+ * @param {object} store - Stats store
+ * @param {string} gameId
+ * @param {object[]} events - The game's event log
+ */
+export function recordGame(store, gameId, events, now = Date.now()) {
+  const lines = summarizeGame(events).filter(l => store.get(l.playerId)?.lastGameId !== gameId);
+  if (lines.length === 0) return [];
+
+  const humans = new Set(lines.map(l => l.playerId));
+  const ranking = events.find(e => e.type === 'game_ended').ranking;
+  const ratings = rateGame(ranking, (id) => (humans.has(id) ? store.get(id)?.rating ?? START_RATING : null));
+
+  return lines.map(({ playerId, name, won, total, place, ...counts }) => {
+    const record = store.get(playerId) ?? emptyRecord(playerId, name);
+    const updated = {
+      ...record,
+      name,
+      rating: ratings.get(playerId),
+      gamesPlayed: record.gamesPlayed + 1,
+      wins: record.wins + (won ? 1 : 0),
+      ...Object.fromEntries(Object.entries(counts).map(([key, value]) => [key, record[key] + value])),
+      totalScore: record.totalScore + total,
+      bestScore: Math.max(record.bestScore ?? total, total),
+      lastGameId: gameId,
+      lastPlayedAt: now,
+    };
+    store.save(updated);
+    return updated;
+  });
+}
+
+const rate = (part, whole) => (whole > 0 ? part / whole : null);
+
+/**
+ * A record as served over REST, with its rates (null until there is something to divide)
+ */
+export function playerProfile(record) {
+  return {
+    ...record,
+    winRate: rate(record.wins, record.gamesPlayed),
+    hitRate: rate(record.hits, record.attacks),
+    trueClaimRate: rate(record.claimsTrue, record.claimsVerified),
+    averageScore: rate(record.totalScore, record.gamesPlayed),
+  };
+}
+
+/**
+ * Records ordered for the leaderboard: rating, then games played, then name
+ */
+export function rankPlayers(records) {
+  return [...records].sort((a, b) =>
+    b.rating - a.rating || b.gamesPlayed - a.gamesPlayed || a.name.localeCompare(b.name));
+}
+
+// Records kept by playerId in a keyed store (see storage.js)
+function statsStore(records) {
+  return { get: records.get, save: records.set, list: records.list };
+}
+
+/**
+ * In-memory store. Everything is lost on restart.
+ */
+export function createMemoryStatsStore() {
+  return statsStore(createMemoryKeyedStore(r => r.playerId));
+}
+
+/**
+ * JSON file store (see createFileKeyedStore)
+ *
+ * @param {string} filePath - Where to keep the stats
+ */
+export function createFileStatsStore(filePath) {
+  return statsStore(createFileKeyedStore(filePath, r => r.playerId, 'stats'));
+}
+
+/**
+ * Creates the store selected by STATS_STORE ('memory' or 'file')
+ */
+export function createStatsStore() {
+  return selectStore('stats', './data/stats.json', { memory: createMemoryStatsStore, file: createFileStatsStore });
+}
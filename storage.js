@@ -0,0 +1,124 @@
+/**
+ * Divine Wrath Room Storage
+ *
+ * Room stores share one interface:
+ *   get(code) -> room | undefined
+ *   set(room)            (call after every state change)
+ *   delete(code)
+ *   list() -> room[]
+ *
+ * Rooms are plain JSON-serializable objects, so any store only has to
+ * save and load them. Runtime-only state (timers, sockets) lives outside the room.
+ *
+ * The keyed stores and selectStore underneath are shared with the account
+ * (identity.js) and stats (stats.js) stores.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'storage' });
+
+/**
+ * Records kept in memory by key. Everything is lost on restart.
+ *
+ * @param {function} keyOf - record => its key
+ * @returns {object} { get(key), set(record), delete(key), list() }
+ */
+export function createMemoryKeyedStore(keyOf) {
+  const records = new Map();
+
+  return {
+    get: (key) => records.get(key),
+    set: (record) => { records.set(keyOf(record), record); },
+    delete: (key) => { records.delete(key); },
+    list: () => [...records.values()],
+  };
+}
+
+/**
+ * Records kept in memory by key and in a JSON file, rewritten on every change.
+ * The file is written to a temp path and renamed so a crash never leaves it half-written.
+ *
+ * @param {string} filePath - Where to keep the records
+ * @param {function} keyOf - record => its key
+ * @param {string} name - What is kept, for log events ('room' logs room_store_unreadable)
+ * @returns {object} Same interface as createMemoryKeyedStore
+ */
+export function createFileKeyedStore(filePath, keyOf, name) {
+  const records = new Map();
+
+  if (existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(readFileSync(filePath, 'utf8'));
+      saved.forEach(record => records.set(keyOf(record), record));
+    } catch (err) {
+      log.error(`${name}_store_unreadable`, { path: filePath, error: err });
+    }
+  } else {
+    mkdirSync(dirname(filePath), { recursive: true });
+  }
+
+  function flush() {
+    const tmpPath = `${filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify([...records.values()]));
+    renameSync(tmpPath, filePath);
+  }
+
+  return {
+    get: (key) => records.get(key),
+    set: (record) => { records.set(keyOf(record), record); flush(); },
+    delete: (key) => {
+      if (records.delete(key)) flush();
+    },
+    list: () => [...records.values()],
+  };
+}
+
+/**
+ * Creates the store selected by <NAME>_STORE ('memory' or 'file'). A file
+ * store is kept at <NAME>_STORE_PATH, or defaultPath
+ *
+ * @param {string} name - What is kept: 'room' reads ROOM_STORE and ROOM_STORE_PATH
+ * @param {string} defaultPath - Where a file store goes without <NAME>_STORE_PATH
+ * @param {object} factories - { memory: () => store, file: (filePath) => store }
+ */
+export function selectStore(name, defaultPath, { memory, file }) {
+  const variable = `${name.toUpperCase()}_STORE`;
+  const type = process.env[variable] || 'memory';
+
+  if (type === 'file') {
+    const filePath = process.env[`${variable}_PATH`] || defaultPath;
+    log.info(`${name}_store_selected`, { store: 'file', path: filePath });
+    return file(filePath);
+  }
+
+  if (type !== 'memory') {
+    log.warn(`${name}_store_unknown`, { store: type, fallback: 'memory' });
+  }
+  return memory();
+}
+
+/**
+ * In-memory room store. Everything is lost on restart.
+ */
+export function createMemoryStore() {
+  return createMemoryKeyedStore(room => room.code);
+}
+
+/**
+ * JSON file room store (see createFileKeyedStore)
+ *
+ * @param {string} filePath - Where to keep the rooms
+ */
+export function createJsonFileStore(filePath) {
+  return createFileKeyedStore(filePath, room => room.code, 'room');
+}
+
+/**
+ * Creates the room store selected by ROOM_STORE ('memory' or 'file')
+ */
+export function createRoomStore() {
+  return selectStore('room', './data/rooms.json', { memory: createMemoryStore, file: createJsonFileStore });
+}
@@ -4,6 +4,9 @@
  * Test del relayer - Envía un proof de prueba al contrato.
  *
  * Uso: node test-relayer.js
+ *
+ * CIRCUIT_BUILD_DIR apunta al build del circuito (por defecto ../../divine-wrath-circom/build).
+ * Con STELLAR_RPC_URL=mock: corre contra el contrato simulado, sin red.
  */
 
 import 'dotenv/config';
@@ -11,27 +14,40 @@ import { readFileSync } from 'fs';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 import * as snarkjs from 'snarkjs';
-import { submitClaimRelayed, isRelayerConfigured, getRelayerAddress } from './relayer.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Paths a los artifacts del circuito
-const circomDir = join(__dirname, '../../divine-wrath-circom');
-const wasmPath = join(circomDir, 'build/divine_wrath_js/divine_wrath.wasm');
-const zkeyPath = join(circomDir, 'build/divine_wrath_final.zkey');
-const vkPath = join(circomDir, 'build/verification_key.json');
+const buildDir = process.env.CIRCUIT_BUILD_DIR || join(__dirname, '../../divine-wrath-circom/build');
+const wasmPath = join(buildDir, 'divine_wrath_js/divine_wrath.wasm');
+const zkeyPath = join(buildDir, 'divine_wrath_final.zkey');
+const vkPath = join(buildDir, 'verification_key.json');
+
+// El contrato simulado verifica con la clave de zk.js: usar la del mismo build
+process.env.ZK_VERIFICATION_KEY_PATH ||= vkPath;
+const {
+  submitClaimRelayed,
+  startGameRelayed,
+  derivePlayerAddress,
+  allocateSessionId,
+  isRelayerConfigured,
+  getRelayerAddress,
+  getNetworkInfo,
+} = await import('./relayer.js');
+const { placeholderCommitment, PUBLIC_SIGNAL_INDEX } = await import('./zk.js');
 
 async function main() {
   console.log('=== Divine Wrath Relayer Test ===\n');
 
   // Verificar configuración
   if (!isRelayerConfigured()) {
-    console.error('ERROR: Relayer no configurado. Asegúrate de tener DIVINE_WRATH_ADMIN_SECRET en .env');
+    console.error('ERROR: Relayer no configurado. Asegúrate de tener DIVINE_WRATH_ADMIN_SECRET en .env (y DIVINE_WRATH_CONTRACT_ID fuera de testnet)');
     process.exit(1);
   }
 
   console.log(`Relayer address: ${getRelayerAddress()}`);
-  console.log(`Contract ID: ${process.env.DIVINE_WRATH_CONTRACT_ID || 'CC3D5AH5B3DOGZPJIX2T52PIT3Q2Y6XT3XIAG2FYCK32SBVENIXJFYQZ'}`);
+  console.log(`Network: ${getNetworkInfo().network}`);
+  console.log(`Contract ID: ${getNetworkInfo().contractId}`);
 
   // Input de prueba: posición 5, claim "estoy en fila 1", resultado true
   // Grid 3x3:
@@ -41,6 +57,7 @@ async function main() {
   // Posición 5 → row = 1 (correcto)
   const testInput = {
     position: 5,        // SECRETO
+    salt: '123456789',  // SECRETO, oculta la posición en el compromiso
     claimType: 0,       // 0 = row
     claimValue: 1,      // fila 1 (0-indexed)
     expectedResult: 1   // true
@@ -77,13 +94,25 @@ async function main() {
   // Enviar al contrato
   console.log('\n--- Enviando al Contrato ---');
 
-  // Usar un session_id de prueba (hash de un room code ficticio)
-  const testSessionId = 12345678;
-  // Usar la dirección del relayer como "mortal" para la prueba
-  const mortalAddress = getRelayerAddress();
+  // Partida de prueba con session_id aleatorio, para poder repetir el test
+  const testSessionId = allocateSessionId();
+  const testGameId = `TEST01-${Date.now()}`;
+  const mortalAddresses = ['mortal-1', 'mortal-2', 'mortal-3'].map(id => derivePlayerAddress(testGameId, id));
+  const mortalAddress = mortalAddresses[0];
 
   console.log(`Session ID: ${testSessionId}`);
   console.log(`Mortal address: ${mortalAddress}`);
+
+  try {
+    // El compromiso de posición es el último public signal del proof
+    const commitments = [publicSignals[PUBLIC_SIGNAL_INDEX.COMMITMENT], placeholderCommitment(), placeholderCommitment()];
+    const started = await startGameRelayed(testSessionId, derivePlayerAddress(testGameId, 'god'), mortalAddresses, commitments);
+    console.log(`Partida iniciada: ${started.hash} (ledger ${started.ledger})`);
+  } catch (error) {
+    console.error(`\n✗ Error al iniciar la partida: ${error.message}`);
+    process.exit(1);
+  }
+
   console.log(`Claim: type=${testInput.claimType}, value=${testInput.claimValue}, expected=${testInput.expectedResult}`);
 
   try {
@@ -99,18 +128,14 @@ async function main() {
     const submitTime = Date.now() - startSubmit;
 
     console.log(`\n✓ Claim enviado exitosamente en ${submitTime}ms`);
-    console.log(`Resultado: ${result}`);
+    console.log(`Resultado: ${result.result}`);
+    console.log(`Transacción: ${result.hash} (ledger ${result.ledger})`);
 
   } catch (error) {
     console.error(`\n✗ Error al enviar claim:`);
     console.error(error.message);
 
-    // Si el error es "GameNotFound", es esperado (no hay partida activa)
-    if (error.message.includes('GameNotFound') || error.message.includes('Simulation failed')) {
-      console.log('\nNOTA: Este error es esperado si no hay una partida activa.');
-      console.log('El proof fue generado correctamente y el relayer funciona.');
-      console.log('Para un test completo, primero inicia una partida con start_game().');
-    }
+    process.exitCode = 1;
   }
 
   console.log('\n=== Test completado ===');
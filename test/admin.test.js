@@ -0,0 +1,112 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  requireAdmin,
+  summarizeRoom,
+  adminRoomView,
+  createMemoryAuditLog,
+  createFileAuditLog,
+} from '../admin.js';
+
+const room = () => ({
+  code: 'ROOM01',
+  phase: 'claiming',
+  players: [
+    { id: 'p1', name: 'Ann', isBot: false, connected: true, position: 4, sessionToken: 'secret-1' },
+    { id: 'p2', name: 'Bea', isBot: false, connected: false, position: 7, sessionToken: 'secret-2' },
+    { id: 'bot', name: 'Bot', isBot: true, connected: true, position: 2 },
+  ],
+  spectators: [{ id: 's1', name: 'Sam' }],
+  currentRound: 2,
+  totalRounds: 3,
+  zkEnabled: true,
+  blockchainRegistration: { status: 'registered' },
+  gameId: 'ROOM01-1',
+  phaseDeadline: 5000,
+  createdAt: 1000,
+});
+
+// Runs the middleware against a request with the given Authorization header
+function authorize(token, header) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  requireAdmin(token)({ get: () => header }, res, () => { passed = true; });
+  return { passed, status: res.statusCode };
+}
+
+describe('admin auth', () => {
+  test('lets the right bearer token through', () => {
+    assert.deepEqual(authorize('s3cret', 'Bearer s3cret'), { passed: true, status: 200 });
+  });
+
+  test('refuses a missing or wrong token', () => {
+    assert.deepEqual(authorize('s3cret', undefined), { passed: false, status: 401 });
+    assert.deepEqual(authorize('s3cret', 'Bearer s3cre'), { passed: false, status: 401 });
+    assert.deepEqual(authorize('s3cret', 's3cret'), { passed: false, status: 401 });
+  });
+
+  test('is off without a configured token', () => {
+    assert.deepEqual(authorize(null, 'Bearer anything'), { passed: false, status: 404 });
+  });
+});
+
+describe('admin views', () => {
+  test('summarize a room', () => {
+    assert.deepEqual(summarizeRoom(room()), {
+      code: 'ROOM01',
+      phase: 'claiming',
+      playerCount: 3,
+      humanCount: 2,
+      connectedCount: 1,
+      spectatorCount: 1,
+      currentRound: 2,
+      totalRounds: 3,
+      zkEnabled: true,
+      blockchainStatus: 'registered',
+      gameId: 'ROOM01-1',
+      phaseDeadline: 5000,
+      createdAt: 1000,
+    });
+  });
+
+  test('show every position but no session token', () => {
+    const view = adminRoomView(room());
+
+    assert.deepEqual(view.players.map(p => p.position), [4, 7, 2]);
+    view.players.forEach(p => assert.equal('sessionToken' in p, false));
+  });
+});
+
+describe('audit log', () => {
+  const entry = (action) => ({ at: 1, action, roomCode: 'ROOM01', reason: null, ok: true, error: null, ip: '::1' });
+
+  test('returns the latest entries first', () => {
+    const log = createMemoryAuditLog();
+    ['close_room', 'kick_player', 'advance_phase'].forEach(action => log.append(entry(action)));
+
+    assert.deepEqual(log.recent(2).map(e => e.action), ['advance_phase', 'kick_player']);
+  });
+
+  test('keeps entries in a file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'audit-'));
+    try {
+      const filePath = join(dir, 'nested', 'audit.jsonl');
+      assert.deepEqual(createFileAuditLog(filePath).recent(10), []);
+
+      createFileAuditLog(filePath).append(entry('close_room'));
+      createFileAuditLog(filePath).append(entry('kick_player'));
+
+      assert.deepEqual(createFileAuditLog(filePath).recent(10).map(e => e.action), ['kick_player', 'close_room']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,444 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAction, canGodStay, commitPosition, VERIFICATIONS_PER_TURN } from '../engine.js';
+import { POINTS } from '../shared/constants.js';
+import { FIRST, lobby } from './fixtures.js';
+
+// Applies actions in order, failing on the first one the engine rejects.
+// Returns the final state and every event produced along the way
+function play(state, actions, options = FIRST) {
+  const events = [];
+  for (const action of actions) {
+    const result = applyAction(state, action, options);
+    assert.deepEqual(result.errors, [], `${action.type} by ${action.playerId} was rejected`);
+    state = result.state;
+    events.push(...result.events);
+  }
+  return { state, events };
+}
+
+function rejection(state, action, options = FIRST) {
+  const result = applyAction(state, action, options);
+  assert.equal(result.state, state, 'a rejected action must return the same state');
+  assert.deepEqual(result.events, []);
+  return result.errors[0];
+}
+
+const godOf = (state) => state.players.find(p => p.role === 'god');
+const aliveMortals = (state) => state.players.filter(p => p.role === 'mortal' && p.position !== null);
+const totals = (state) => Object.fromEntries(Object.values(state.scores).map(s => [s.playerId, s.total]));
+
+// Mortals take the given cells, in player order
+function placeMortals(state, cells) {
+  const mortals = state.players.filter(p => p.role === 'mortal');
+  return play(state, mortals.map((m, i) => ({ type: 'select_position', playerId: m.id, position: cells[i] }))).state;
+}
+
+// Every alive mortal claims "I am in row <turn>" (new each turn, true or not)
+function claimAll(state) {
+  return play(state, aliveMortals(state).map(m => ({
+    type: 'submit_claim',
+    playerId: m.id,
+    claimType: 'row',
+    claimValue: state.turn,
+    targetPlayerId: m.id,
+  }))).state;
+}
+
+// Claims, then the God strikes each cell in turn
+function playTurns(state, cells) {
+  for (const cell of cells) {
+    state = claimAll(state);
+    state = play(state, [{ type: 'attack', playerId: godOf(state).id, cell }]).state;
+  }
+  return state;
+}
+
+function readyAll(state) {
+  const waiting = state.players.filter(p => !state.readyForNextRound.includes(p.id));
+  return play(state, waiting.map(p => ({ type: 'ready_for_next_round', playerId: p.id }))).state;
+}
+
+function started(options) {
+  return play(lobby(options), [{ type: 'start_game', playerId: 'p1' }]).state;
+}
+
+describe('applyAction', () => {
+  test('never mutates the state it is given', () => {
+    const state = lobby();
+    const snapshot = structuredClone(state);
+
+    const result = applyAction(state, { type: 'start_game', playerId: 'p1' }, FIRST);
+
+    assert.deepEqual(state, snapshot);
+    assert.notEqual(result.state, state);
+    assert.equal(result.state.phase, 'setup');
+  });
+
+  test('rejects unknown actions', () => {
+    assert.match(rejection(lobby(), { type: 'fly', playerId: 'p1' }), /Unknown action/);
+  });
+
+  test('tags every event with the round and turn it happened in', () => {
+    const { events } = play(lobby(), [{ type: 'start_game', playerId: 'p1' }]);
+
+    assert.deepEqual(events.map(e => e.type), ['game_started', 'phase_changed']);
+    events.forEach(e => {
+      assert.equal(e.round, 1);
+      assert.equal(e.turn, 1);
+    });
+  });
+});
+
+describe('start_game', () => {
+  test('deals one God and makes everyone else a mortal', () => {
+    for (let i = 0; i < 20; i++) {
+      const { state } = play(lobby({ players: 5 }), [{ type: 'start_game', playerId: 'p1' }], { random: Math.random });
+      assert.equal(state.players.filter(p => p.role === 'god').length, 1);
+      assert.equal(state.players.filter(p => p.role === 'mortal').length, 4);
+      assert.equal(state.godHistory.playerId, godOf(state).id);
+    }
+  });
+
+  test('starts round 1 in setup with empty scores', () => {
+    const state = started({ gridSize: 4 });
+
+    assert.equal(state.phase, 'setup');
+    assert.equal(state.currentRound, 1);
+    assert.equal(state.turn, 1);
+    assert.equal(state.turnsPerRound, 4);
+    assert.deepEqual(totals(state), { p1: 0, p2: 0, p3: 0, p4: 0 });
+  });
+
+  test('only the host can start, with enough players', () => {
+    assert.equal(rejection(lobby(), { type: 'start_game', playerId: 'p2' }), 'Only host can start the game');
+    assert.equal(rejection(lobby({ players: 2 }), { type: 'start_game', playerId: 'p1' }), 'Need at least 3 players to start');
+  });
+
+  test('ZK rooms need the layout the circuit was built for', () => {
+    assert.equal(
+      rejection(lobby({ players: 3, zkEnabled: true }), { type: 'start_game', playerId: 'p1' }),
+      'ZK mode needs exactly 4 players'
+    );
+  });
+
+  test('cannot restart a game in progress', () => {
+    assert.equal(rejection(started(), { type: 'start_game', playerId: 'p1' }), 'Game already started');
+  });
+});
+
+describe('setup', () => {
+  test('moves to claiming once every mortal has a cell', () => {
+    const state = started();
+    let next = play(state, [{ type: 'select_position', playerId: 'p2', position: 2 }]).state;
+    assert.equal(next.phase, 'setup');
+
+    // p2 may still change their mind while others pick
+    next = placeMortals(next, [1, 5, 9]);
+    assert.equal(next.phase, 'claiming');
+    assert.deepEqual(next.players.map(p => p.position), [null, 1, 5, 9]);
+  });
+
+  test('rejects taken, invalid and God positions', () => {
+    const state = play(started(), [{ type: 'select_position', playerId: 'p2', position: 5 }]).state;
+
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p3', position: 5 }), 'Position already taken');
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p3', position: 10 }), 'Invalid position');
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p1', position: 1 }), 'Only mortals choose a position');
+  });
+
+  test('ZK mortals commit to their cell; bots do not have to', () => {
+    const state = started({ zkEnabled: true });
+    state.players[3].isBot = true;
+
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p2', position: 1 }), 'ZK games need a commitment to your position');
+
+    const first = commitPosition(1, '111');
+    const second = commitPosition(5, '222');
+    const { state: next, events } = play(state, [
+      { type: 'select_position', playerId: 'p2', position: 1, commitment: first, salt: '111' },
+      { type: 'select_position', playerId: 'p3', position: 5, commitment: second, salt: '222' },
+      { type: 'select_position', playerId: 'p4', position: 9 },
+    ]);
+    assert.deepEqual(next.players.map(p => p.positionCommitment), [null, first, second, null]);
+    assert.equal(events.find(e => e.type === 'position_selected').commitment, first);
+    assert.ok(!events.some(e => 'salt' in e));
+
+    // A new round needs new commitments
+    const nextRound = readyAll(playTurns(next, [2, 3, 4]));
+    assert.equal(nextRound.phase, 'setup');
+    assert.ok(nextRound.players.every(p => p.positionCommitment === null));
+  });
+
+  test('a commitment must open to the chosen cell', () => {
+    const state = started({ zkEnabled: true });
+    const commitment = commitPosition(1, '42');
+
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p2', position: 1, commitment }), 'Commitment does not match your position');
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p2', position: 2, commitment, salt: '42' }), 'Commitment does not match your position');
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p2', position: 1, commitment, salt: '43' }), 'Commitment does not match your position');
+    assert.equal(rejection(state, { type: 'select_position', playerId: 'p2', position: 1, commitment: '111', salt: '42' }), 'Commitment does not match your position');
+  });
+});
+
+describe('claims', () => {
+  const claiming = () => placeMortals(started(), [1, 5, 9]);
+  const claim = (playerId, claimType, claimValue, targetPlayerId = playerId) =>
+    ({ type: 'submit_claim', playerId, claimType, claimValue, targetPlayerId });
+
+  test('moves to deduction once every alive mortal has claimed', () => {
+    const state = claimAll(claiming());
+    assert.equal(state.phase, 'deduction');
+    assert.equal(state.claims.length, 3);
+  });
+
+  test('claim IDs do not repeat from one round to the next', () => {
+    const first = claimAll(claiming()).claims[0];
+    // The God misses every cell, so round 2 starts with p2 as God
+    const round2 = placeMortals(readyAll(playTurns(claiming(), [2, 3, 4])), [1, 5, 9]);
+    const second = claimAll(round2).claims[0];
+
+    assert.equal(first.id, 'TEST01-1-1-p2');
+    assert.equal(second.id, 'TEST01-2-1-p1');
+  });
+
+  test('enforces one new claim per mortal per turn', () => {
+    const state = play(claiming(), [claim('p2', 'row', 1)]).state;
+
+    assert.equal(rejection(state, claim('p2', 'column', 1)), 'You already made a claim this turn');
+    assert.equal(rejection(state, claim('p3', 'row', 1, 'p2')), 'This claim was already made');
+  });
+
+  test('rejects claims the board or rules do not allow', () => {
+    const state = claiming();
+
+    assert.equal(rejection(state, claim('p2', 'row', 4)), 'Invalid claim value');
+    assert.equal(rejection(state, claim('p2', 'diagonal', 1)), 'Invalid claim type');
+    assert.equal(rejection(state, claim('p2', 'adjacent', true)), 'Cannot claim to be adjacent to yourself');
+    assert.equal(rejection(state, claim('p2', 'row', 1, 'p1')), 'Invalid target player');
+    assert.equal(rejection(state, claim('p1', 'row', 1, 'p2')), 'Only mortals can make claims');
+    assert.equal(
+      rejection(state, { ...claim('p2', 'row', 1, 'p3'), zkProof: { isTrue: true } }),
+      'Claim rejected: ZK proofs can only back claims about yourself'
+    );
+  });
+
+  test('dead mortals stay silent and are not waited for', () => {
+    let state = claimAll(claiming());
+    state = play(state, [{ type: 'attack', playerId: 'p1', cell: 1 }]).state;  // p2 dies
+
+    assert.equal(rejection(state, claim('p2', 'column', 1)), 'Dead players cannot make claims');
+    state = claimAll(state);
+    assert.equal(state.phase, 'deduction');
+  });
+});
+
+describe('verification', () => {
+  const deduction = () => claimAll(placeMortals(started(), [1, 5, 9]));
+
+  test('checks claims against positions and rewards true self claims', () => {
+    // Turn 1 claims are "row 1": true for p2 (cell 1), false for p3 (cell 5)
+    const state = deduction();
+    const [p2Claim, p3Claim] = state.claims;
+
+    const { state: next, events } = play(state, [
+      { type: 'verify_claim', playerId: 'p1', claimId: p2Claim.id },
+      { type: 'verify_claim', playerId: 'p1', claimId: p3Claim.id },
+    ]);
+
+    assert.deepEqual(next.claims.slice(0, 2).map(c => [c.verified, c.isTrue]), [[true, true], [true, false]]);
+    assert.deepEqual(totals(next), { p1: 0, p2: POINTS.TRUE_SELF_CLAIM, p3: 0, p4: 0 });
+    assert.deepEqual(events.filter(e => e.type === 'score').map(e => e.playerId), ['p2']);
+    assert.equal(next.verificationsRemaining, 0);
+  });
+
+  test('takes the on-chain result when there is one', () => {
+    const state = deduction();
+    const onChain = { isTrue: true, hash: 'ab'.repeat(32), ledger: 5001 };
+    const { state: next, events } = play(state, [
+      { type: 'verify_claim', playerId: 'p1', claimId: state.claims[1].id, onChain },
+    ]);
+
+    assert.equal(next.claims[1].isTrue, true);
+    assert.equal(next.claims[1].verifiedOnChain, true);
+    assert.deepEqual(
+      events.find(e => e.type === 'claim_verified'),
+      { type: 'claim_verified', round: 1, turn: 1, claimId: state.claims[1].id, isTrue: true, verifiedOnChain: true, transactionHash: onChain.hash, ledger: 5001 },
+    );
+  });
+
+  test('only the God verifies, within the allowance, each claim once', () => {
+    const state = deduction();
+    const [a, b, c] = state.claims.map(claim => claim.id);
+
+    assert.equal(rejection(state, { type: 'verify_claim', playerId: 'p2', claimId: a }), 'Only God can verify claims');
+    assert.equal(rejection(state, { type: 'verify_claim', playerId: 'p1', claimId: 'nope' }), 'Claim not found');
+
+    const next = play(state, [
+      { type: 'verify_claim', playerId: 'p1', claimId: a },
+      { type: 'verify_claim', playerId: 'p1', claimId: b },
+    ]).state;
+    assert.equal(rejection(next, { type: 'verify_claim', playerId: 'p1', claimId: c }), 'No verifications remaining this turn');
+  });
+
+  test('unused verifications carry over to the next turn', () => {
+    const state = play(deduction(), [{ type: 'attack', playerId: 'p1', cell: 2 }]).state;
+    assert.equal(state.verificationsRemaining, 2 * VERIFICATIONS_PER_TURN);
+  });
+});
+
+describe('full games', () => {
+  test('mortals survive a round, then the God wins one, stays with a penalty and the game ends', () => {
+    let state = started();
+    assert.equal(godOf(state).id, 'p1');
+
+    // Round 1: p1 never finds anyone; p2 proves a true claim
+    state = placeMortals(state, [1, 5, 9]);
+    state = claimAll(state);
+    state = play(state, [
+      { type: 'verify_claim', playerId: 'p1', claimId: state.claims[0].id },
+      { type: 'attack', playerId: 'p1', cell: 2 },
+    ]).state;
+    state = playTurns(state, [3, 4]);
+
+    assert.equal(state.phase, 'round_transition');
+    assert.equal(state.roundWinner, 'mortals');
+    assert.deepEqual(totals(state), { p1: 0, p2: 80, p3: 60, p4: 60 });
+
+    // A survivor becomes God
+    state = readyAll(state);
+    assert.equal(state.currentRound, 2);
+    assert.equal(state.phase, 'setup');
+    assert.equal(godOf(state).id, 'p2');
+    assert.equal(state.claims.length, 0);
+
+    // Round 2: p2 finds all three mortals
+    state = placeMortals(state, [1, 5, 9]);  // p1, p3, p4
+    state = playTurns(state, [1, 5, 9]);
+
+    assert.equal(state.roundWinner, 'god');
+    assert.equal(canGodStay(state), true);
+    assert.deepEqual(totals(state), { p1: 0, p2: 200, p3: 80, p4: 100 });
+    assert.equal(
+      rejection(state, { type: 'ready_for_next_round', playerId: 'p2' }),
+      'God must choose stay or cede first'
+    );
+
+    state = play(state, [{ type: 'god_choice', playerId: 'p2', choice: 'stay' }]).state;
+    state = readyAll(state);
+    assert.equal(godOf(state).id, 'p2');
+    assert.equal(state.godHistory.hasPenalty, true);
+    assert.equal(state.godHistory.consecutiveRounds, 2);
+
+    // Round 3 (last): a penalised miss costs 20, hits pay 55; p4 survives
+    state = placeMortals(state, [1, 5, 9]);
+    state = playTurns(state, [2, 1, 5]);
+
+    assert.equal(state.phase, 'ended');
+    assert.deepEqual(totals(state), { p1: 20, p2: 290, p3: 120, p4: 160 });
+  });
+
+  test('the last round ends the game with a ranking', () => {
+    let state = started({ totalRounds: 1 });
+    state = placeMortals(state, [1, 5, 9]);
+
+    let events = [];
+    for (const cell of [2, 3, 4]) {
+      state = claimAll(state);
+      const result = play(state, [{ type: 'attack', playerId: 'p1', cell }]);
+      state = result.state;
+      events = result.events;
+    }
+
+    assert.equal(state.phase, 'ended');
+    const roundEnded = events.find(e => e.type === 'round_ended');
+    assert.equal(roundEnded.isFinalRound, true);
+    const gameEnded = events.find(e => e.type === 'game_ended');
+    assert.deepEqual(gameEnded.ranking.map(r => r.total), [60, 60, 60, 0]);
+    assert.equal(gameEnded.winner, 'p2');
+  });
+
+  test('a God who missed cannot stay again and must cede', () => {
+    let state = started({ players: 3 });
+    state = placeMortals(state, [1, 5]);   // p2, p3
+    state = playTurns(state, [2, 1, 5]);   // miss, then find both
+
+    assert.equal(state.roundWinner, 'god');
+    assert.equal(state.godHistory.missedAttacks, 1);
+    assert.equal(canGodStay(state), false);
+    assert.equal(
+      rejection(state, { type: 'god_choice', playerId: 'p1', choice: 'stay' }),
+      'Cannot stay as God for 3 consecutive rounds after missing'
+    );
+
+    state = play(state, [{ type: 'god_choice', playerId: 'p1', choice: 'cede' }]).state;
+    state = readyAll(state);
+
+    // Nobody survived, so anyone but the old God can take over
+    assert.equal(godOf(state).id, 'p2');
+    assert.deepEqual(state.godHistory, { playerId: 'p2', consecutiveRounds: 1, hasPenalty: false, missedAttacks: 0 });
+  });
+
+  test('only a God who won the round gets a choice', () => {
+    let state = placeMortals(started(), [1, 5, 9]);
+    state = playTurns(state, [2, 3, 4]);
+
+    assert.equal(
+      rejection(state, { type: 'god_choice', playerId: 'p1', choice: 'stay' }),
+      'Only a God who won the round can choose'
+    );
+  });
+});
+
+describe('phase_timeout', () => {
+  test('places unplaced mortals on free cells', () => {
+    const state = play(started(), [{ type: 'select_position', playerId: 'p2', position: 1 }]).state;
+    const { state: next, events } = play(state, [{ type: 'phase_timeout' }], { random: () => 0.5 });
+
+    assert.equal(next.phase, 'claiming');
+    const cells = next.players.filter(p => p.role === 'mortal').map(p => p.position);
+    assert.equal(new Set(cells).size, 3);
+    assert.deepEqual(events[0], { type: 'phase_timeout', round: 1, turn: 1, phase: 'setup', playerIds: ['p3', 'p4'] });
+  });
+
+  test('silent mortals pass with a penalty', () => {
+    let state = placeMortals(started(), [1, 5, 9]);
+    state = play(state, [{ type: 'submit_claim', playerId: 'p2', claimType: 'row', claimValue: 1, targetPlayerId: 'p2' }]).state;
+    state = play(state, [{ type: 'phase_timeout' }]).state;
+
+    assert.equal(state.phase, 'deduction');
+    assert.deepEqual(state.passes.map(p => p.playerId), ['p3', 'p4']);
+    assert.deepEqual(totals(state), { p1: 0, p2: 0, p3: POINTS.TIMEOUT_PENALTY, p4: POINTS.TIMEOUT_PENALTY });
+  });
+
+  test('an idle God strikes a cell not attacked yet, with a penalty', () => {
+    let state = claimAll(placeMortals(started(), [1, 5, 9]));
+    state = play(state, [{ type: 'phase_timeout' }]).state;
+
+    assert.equal(state.attacks[0].cell, 1);  // random 0: first unattacked cell, where p2 stands
+    assert.equal(state.scores.p1.total, POINTS.TIMEOUT_PENALTY + POINTS.GOD_FINDS_MORTAL);
+  });
+
+  test('a deduction with no God left is refused, not thrown', () => {
+    const state = claimAll(placeMortals(started(), [1, 5, 9]));
+    const godless = { ...state, players: state.players.filter(p => p.role !== 'god') };
+
+    assert.equal(rejection(godless, { type: 'phase_timeout' }), 'No God in this round');
+  });
+
+  test('the next round deals a new God when the last one is gone', () => {
+    // Round 1: p1 is God and finds every mortal, then chooses to stay
+    let state = playTurns(placeMortals(started(), [1, 5, 9]), [1, 5, 9]);
+    state = play(state, [{ type: 'god_choice', playerId: 'p1', choice: 'stay' }]).state;
+    state = { ...state, players: state.players.filter(p => p.id !== 'p1') };
+
+    state = readyAll(state);
+    assert.equal(state.phase, 'setup');
+    assert.equal(state.currentRound, 2);
+    assert.equal(state.players.filter(p => p.role === 'god').length, 1);
+  });
+
+  test('phases without a time limit cannot time out', () => {
+    assert.equal(rejection(lobby(), { type: 'phase_timeout' }), 'The lobby phase has no time limit');
+  });
+});
@@ -0,0 +1,38 @@
+// Game fixtures shared by the engine and replay tests
+import { VERIFICATIONS_PER_TURN } from '../engine.js';
+
+// random() always 0: the first player is dealt God and the first candidate takes over
+export const FIRST = { random: () => 0 };
+
+// A lobby the engine can start: host p1 plus p2..pN
+export function lobby({ players = 4, gridSize = 3, totalRounds = 3, zkEnabled = false } = {}) {
+  return {
+    code: 'TEST01',
+    players: Array.from({ length: players }, (_, i) => ({
+      id: `p${i + 1}`,
+      name: `Player ${i + 1}`,
+      role: null,
+      position: null,
+      isHost: i === 0,
+      isReady: true,
+    })),
+    phase: 'lobby',
+    turn: 0,
+    currentRound: 1,
+    totalRounds,
+    gridSize,
+    maxPlayers: players,
+    turnsPerRound: gridSize,
+    zkEnabled,
+    currentPlayerIndex: 0,
+    claims: [],
+    passes: [],
+    attacks: [],
+    verificationsRemaining: VERIFICATIONS_PER_TURN,
+    scores: {},
+    godHistory: null,
+    roundWinner: null,
+    readyForNextRound: [],
+    godSelectedCell: null,
+  };
+}
@@ -0,0 +1,160 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  IDENTITY_KINDS,
+  TOKEN_TTL_MS,
+  createGuest,
+  issueToken,
+  verifyToken,
+  authenticateSocket,
+  registerAccount,
+  authenticateAccount,
+  createMemoryAccountStore,
+  createFileAccountStore,
+  accountIdentity,
+} from '../identity.js';
+
+const SECRET = 'test-secret';
+
+// Runs the handshake middleware on a fake socket
+function handshake(accounts, token) {
+  const socket = { handshake: { auth: token ? { token } : {} }, data: {} };
+  let called = false;
+  authenticateSocket(SECRET, accounts)(socket, () => { called = true; });
+  assert.ok(called);
+  return socket.data;
+}
+
+describe('identity tokens', () => {
+  test('round-trip the identity they were issued for', () => {
+    const guest = createGuest();
+    assert.match(guest.playerId, /^g_[A-Za-z0-9_-]+$/);
+
+    assert.deepEqual(verifyToken(issueToken(guest, SECRET), SECRET), guest);
+  });
+
+  test('are refused when forged, tampered with or expired', () => {
+    const now = 1_000_000;
+    const token = issueToken({ playerId: 'g_a', kind: IDENTITY_KINDS.GUEST }, SECRET, now);
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'g_b', kind: 'guest', name: null, exp: now + 1000 })).toString('base64url');
+
+    assert.equal(verifyToken(token, 'other-secret', now), null);
+    assert.equal(verifyToken(`${forged}.${signature}`, SECRET, now), null);
+    assert.equal(verifyToken(`${payload}.`, SECRET, now), null);
+    assert.equal(verifyToken('garbage', SECRET, now), null);
+    assert.equal(verifyToken(undefined, SECRET, now), null);
+    assert.equal(verifyToken(token, SECRET, now + TOKEN_TTL_MS), null);
+    assert.equal(verifyToken(token, SECRET, now + TOKEN_TTL_MS - 1)?.playerId, 'g_a');
+  });
+});
+
+describe('socket handshake', () => {
+  test('gives sockets without a valid token a new guest identity', () => {
+    const accounts = createMemoryAccountStore();
+    const first = handshake(accounts);
+    const second = handshake(accounts, 'not-a-token');
+
+    assert.equal(first.identity.kind, IDENTITY_KINDS.GUEST);
+    assert.equal(first.playerId, first.identity.playerId);
+    assert.notEqual(first.playerId, second.playerId);
+  });
+
+  test('keeps the player ID of a valid token', () => {
+    const guest = createGuest();
+    const data = handshake(createMemoryAccountStore(), issueToken(guest, SECRET));
+
+    assert.equal(data.playerId, guest.playerId);
+  });
+
+  test('refuses a guest token once its player has registered', async () => {
+    const accounts = createMemoryAccountStore();
+    const guest = createGuest();
+    const { account } = await registerAccount(accounts, { name: 'Zeus', password: 'thunderbolt' }, guest);
+
+    const { identity } = handshake(accounts, issueToken(guest, SECRET));
+    assert.equal(identity.kind, IDENTITY_KINDS.GUEST);
+    assert.notEqual(identity.playerId, guest.playerId);
+
+    const signedIn = handshake(accounts, issueToken(accountIdentity(account), SECRET));
+    assert.deepEqual(signedIn.identity, { playerId: guest.playerId, kind: IDENTITY_KINDS.ACCOUNT, name: 'Zeus' });
+  });
+});
+
+describe('accounts', () => {
+  test('a guest registering keeps its player ID', async () => {
+    const accounts = createMemoryAccountStore();
+    const guest = createGuest();
+    const { account } = await registerAccount(accounts, { name: 'Zeus', password: 'thunderbolt' }, guest);
+
+    assert.equal(account.playerId, guest.playerId);
+    assert.notEqual(account.passwordHash, 'thunderbolt');
+    assert.equal(accounts.get(guest.playerId), account);
+  });
+
+  test('registering without a token creates a new player', async () => {
+    const { account } = await registerAccount(createMemoryAccountStore(), { name: 'Hera', password: 'peacocks!' });
+    assert.match(account.playerId, /^g_/);
+  });
+
+  test('refuses bad credentials, taken names and registered players', async () => {
+    const accounts = createMemoryAccountStore();
+    const guest = createGuest();
+    await registerAccount(accounts, { name: 'Zeus', password: 'thunderbolt' }, guest);
+
+    assert.equal((await registerAccount(accounts, { name: 'Z', password: 'thunderbolt' })).status, 400);
+    assert.equal((await registerAccount(accounts, { name: 'Ares', password: 'short' })).status, 400);
+    assert.equal((await registerAccount(accounts, { name: 'zeus', password: 'thunderbolt' })).error, 'Name already taken');
+    assert.equal((await registerAccount(accounts, { name: 'Ares', password: 'warmonger' }, guest)).status, 409);
+  });
+
+  test('of two registrations racing for a name, only one wins', async () => {
+    const accounts = createMemoryAccountStore();
+    const results = await Promise.all([
+      registerAccount(accounts, { name: 'Zeus', password: 'thunderbolt' }),
+      registerAccount(accounts, { name: 'ZEUS', password: 'lightning' }),
+    ]);
+
+    assert.equal(results.filter(r => r.account).length, 1);
+    assert.equal(results.find(r => r.error).error, 'Name already taken');
+  });
+
+  test('a guest registering twice at once gets one account', async () => {
+    const accounts = createMemoryAccountStore();
+    const guest = createGuest();
+    const results = await Promise.all([
+      registerAccount(accounts, { name: 'Zeus', password: 'thunderbolt' }, guest),
+      registerAccount(accounts, { name: 'Hera', password: 'peacocks!' }, guest),
+    ]);
+
+    assert.equal(results.filter(r => r.account).length, 1);
+    assert.equal(results.find(r => r.error).status, 409);
+  });
+
+  test('sign in with the right password only', async () => {
+    const accounts = createMemoryAccountStore();
+    const { account } = await registerAccount(accounts, { name: 'Zeus', password: 'thunderbolt' });
+
+    assert.equal(await authenticateAccount(accounts, { name: 'ZEUS', password: 'thunderbolt' }), account);
+    assert.equal(await authenticateAccount(accounts, { name: 'Zeus', password: 'lightning' }), null);
+    assert.equal(await authenticateAccount(accounts, { name: 'Hades', password: 'thunderbolt' }), null);
+    assert.equal(await authenticateAccount(accounts, {}), null);
+  });
+
+  test('keeps accounts in a file', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'accounts-'));
+    try {
+      const filePath = join(dir, 'nested', 'accounts.json');
+      const { account } = await registerAccount(createFileAccountStore(filePath), { name: 'Zeus', password: 'thunderbolt' });
+
+      const reopened = createFileAccountStore(filePath);
+      assert.deepEqual(reopened.get(account.playerId), account);
+      assert.ok(await authenticateAccount(reopened, { name: 'zeus', password: 'thunderbolt' }));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, redact } from '../logger.js';
+
+const SEED = 'SBZVMB74Z76QZ3ZOY7UTDFYKMEGKW5XFJEB6PFKBF4UYSSWHG4EDH7PY';
+
+// Logger writing into an array of parsed lines
+function setup(options = {}) {
+  const lines = [];
+  const log = createLogger({
+    now: () => new Date('2026-01-01T00:00:00Z'),
+    write: (line, level) => lines.push({ ...JSON.parse(line), stream: level }),
+    ...options,
+  });
+  return { log, lines };
+}
+
+describe('logger', () => {
+  test('writes one JSON object per line with level, time and event', () => {
+    const { log, lines } = setup();
+    log.info('room_created', { roomCode: 'ABC123', socketId: 's1' });
+
+    assert.deepEqual(lines, [{
+      level: 'info',
+      time: '2026-01-01T00:00:00.000Z',
+      event: 'room_created',
+      roomCode: 'ABC123',
+      socketId: 's1',
+      stream: 'info',
+    }]);
+  });
+
+  test('drops lines below the configured level', () => {
+    const { log, lines } = setup({ level: 'warn' });
+    log.debug('a');
+    log.info('b');
+    log.warn('c');
+    log.error('d');
+
+    assert.deepEqual(lines.map(l => l.event), ['c', 'd']);
+  });
+
+  test('an unknown level falls back to info', () => {
+    const { log, lines } = setup({ level: 'verbose' });
+    log.debug('a');
+    log.info('b');
+
+    assert.deepEqual(lines.map(l => l.event), ['b']);
+  });
+
+  test('children add their fields to every line', () => {
+    const { log, lines } = setup();
+    const child = log.child({ module: 'relayer' }).child({ roomCode: 'ABC123' });
+    child.info('attack_relayed', { sessionId: 7, txHash: 'abc' });
+
+    assert.equal(lines[0].module, 'relayer');
+    assert.equal(lines[0].roomCode, 'ABC123');
+    assert.equal(lines[0].sessionId, 7);
+    assert.equal(lines[0].txHash, 'abc');
+  });
+
+  test('logs errors as their message', () => {
+    const { log, lines } = setup();
+    log.error('claim_submit_failed', { error: new Error('tx failed') });
+
+    assert.equal(lines[0].error, 'tx failed');
+  });
+});
+
+describe('redact', () => {
+  test('hides proofs, salts, tokens and secrets', () => {
+    const redacted = redact({
+      claimId: 'c1',
+      zkProof: { proof: { pi_a: ['1'] }, publicSignals: ['1'] },
+      salt: '123',
+      sessionToken: 'abc',
+      adminSecret: 'x',
+      nested: [{ proof: {} }],
+    });
+
+    assert.deepEqual(redacted, {
+      claimId: 'c1',
+      zkProof: '[REDACTED]',
+      salt: '[REDACTED]',
+      sessionToken: '[REDACTED]',
+      adminSecret: '[REDACTED]',
+      nested: [{ proof: '[REDACTED]' }],
+    });
+  });
+
+  test('hides Stellar secret seeds inside any string', () => {
+    assert.equal(redact(`bad key ${SEED} given`), 'bad key [REDACTED] given');
+    assert.equal(redact(new Error(`Invalid ${SEED}`)), 'Invalid [REDACTED]');
+  });
+
+  test('keeps public keys and null fields', () => {
+    const address = 'GBZVMB74Z76QZ3ZOY7UTDFYKMEGKW5XFJEB6PFKBF4UYSSWHG4EDH7PY';
+    assert.deepEqual(redact({ address, proof: null }), { address, proof: null });
+  });
+
+  test('a seed never reaches the written line', () => {
+    const { log, lines } = setup();
+    log.warn('relayer_failed', { error: new Error(`Bad secret ${SEED}`) });
+
+    assert.ok(!JSON.stringify(lines).includes(SEED));
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from '../metrics.js';
+
+const setup = (rooms = []) => createMetrics({ listRooms: () => rooms, countSockets: () => 7 });
+
+// Value of one series in the registry, e.g. value(m, 'divine_wrath_rooms', { phase: 'lobby' })
+async function value(metrics, name, labels = {}) {
+  const { values } = await metrics.registry.getSingleMetric(name).get();
+  const series = values.find(v => Object.entries(labels).every(([k, l]) => v.labels[k] === l));
+  return series?.value;
+}
+
+describe('metrics', () => {
+  test('counts rooms by phase and sockets when scraped', async () => {
+    const rooms = [{ phase: 'lobby' }, { phase: 'claiming' }, { phase: 'lobby' }];
+    const metrics = setup(rooms);
+
+    assert.equal(await value(metrics, 'divine_wrath_rooms', { phase: 'lobby' }), 2);
+    assert.equal(await value(metrics, 'divine_wrath_connected_sockets'), 7);
+
+    rooms.splice(0, 2);
+    assert.equal(await value(metrics, 'divine_wrath_rooms', { phase: 'lobby' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_rooms', { phase: 'claiming' }), undefined, 'phases with no rooms drop out');
+  });
+
+  test('counts games and claims from engine events', async () => {
+    const metrics = setup();
+    metrics.recordGameEvents({ zkEnabled: true }, [
+      { type: 'game_started' },
+      { type: 'claim_submitted', hasZkProof: true },
+      { type: 'claim_submitted', hasZkProof: false },
+      { type: 'claim_verified', verifiedOnChain: true },
+      { type: 'claim_verified', verifiedOnChain: false, blockchainError: 'Transaction failed: FAILED' },
+      { type: 'game_ended' },
+    ]);
+    metrics.recordGameAbandoned();
+
+    assert.equal(await value(metrics, 'divine_wrath_games_started_total', { zk: 'true' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_games_finished_total', { result: 'completed' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_games_finished_total', { result: 'abandoned' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_claims_submitted_total', { zk: 'false' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_claims_verified_total', { method: 'onchain' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_claims_verified_total', { method: 'local' }), 1);
+    assert.equal(await value(metrics, 'divine_wrath_verification_fallbacks_total'), 1);
+  });
+
+  test('observes finished relayer jobs by contract method', async () => {
+    const metrics = setup();
+    const job = { label: 'submit_claim', method: 'submit_claim_relayed', createdAt: 0, updatedAt: 1500 };
+
+    metrics.recordRelayerJob({ ...job, outcome: null });
+    metrics.recordRelayerJob({ ...job, outcome: 'SUCCESS' });
+    metrics.recordRelayerJob({ ...job, method: 'start_game_relayed', outcome: 'TIMEOUT', updatedAt: 60000 });
+
+    const text = await metrics.registry.metrics();
+    assert.match(text, /divine_wrath_relayer_tx_duration_seconds_count\{method="submit_claim_relayed",outcome="SUCCESS"\} 1/);
+    assert.match(text, /divine_wrath_relayer_tx_duration_seconds_bucket\{le="2",method="submit_claim_relayed",outcome="SUCCESS"\} 1/);
+    assert.match(text, /divine_wrath_relayer_tx_duration_seconds_sum\{method="start_game_relayed",outcome="TIMEOUT"\} 60/);
+  });
+});
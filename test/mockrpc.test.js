@@ -0,0 +1,296 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Address, Contract, Keypair, Networks, nativeToScVal, xdr } from '@stellar/stellar-sdk';
+import { createTxQueue, TX_OUTCOMES } from '../txqueue.js';
+
+// The relayer reads its configuration on import (mockrpc.js imports it through zk.js)
+process.env.STELLAR_RPC_URL = 'mock:';
+process.env.DIVINE_WRATH_ADMIN_SECRET = Keypair.random().secret();
+const relayer = await import('../relayer.js');
+const { createMockSorobanRpc, contractProofToSnarkjs } = await import('../mockrpc.js');
+
+const CONTRACT = new Contract('CC3D5AH5B3DOGZPJIX2T52PIT3Q2Y6XT3XIAG2FYCK32SBVENIXJFYQZ');
+const GOD = Keypair.random().publicKey();
+const MORTALS = [Keypair.random().publicKey(), Keypair.random().publicKey(), Keypair.random().publicKey()];
+
+const SNARKJS_PROOF = {
+  pi_a: ['11', '12', '1'],
+  pi_b: [['21', '22'], ['23', '24'], ['1', '0']],
+  pi_c: ['31', '32', '1'],
+  protocol: 'groth16',
+  curve: 'bn128',
+};
+
+// Position commitments of MORTALS, in order
+const COMMITMENTS = ['1001', '1002', '1003'];
+
+const u32 = (value) => nativeToScVal(value, { type: 'u32' });
+const bytes32 = (decimal) => xdr.ScVal.scvBytes(Buffer.from(BigInt(decimal).toString(16).padStart(64, '0'), 'hex'));
+
+const startGame = (sessionId, mortals = MORTALS, commitments = COMMITMENTS) => CONTRACT.call(
+  'start_game_relayed',
+  u32(sessionId),
+  new Address(GOD).toScVal(),
+  xdr.ScVal.scvVec(mortals.map(m => new Address(m).toScVal())),
+  xdr.ScVal.scvVec(commitments.map(bytes32)),
+);
+
+const submitClaim = (sessionId, { mortal = MORTALS[0], claimType = 0, claimValue = 1, expected = true } = {}) => {
+  const proof = relayer.convertSnarkjsProofToContract(SNARKJS_PROOF);
+  return CONTRACT.call(
+    'submit_claim_relayed',
+    u32(sessionId),
+    new Address(mortal).toScVal(),
+    u32(claimType),
+    u32(claimValue),
+    nativeToScVal(expected, { type: 'bool' }),
+    xdr.ScVal.scvMap(['a', 'b', 'c'].map(key => new xdr.ScMapEntry({
+      key: xdr.ScVal.scvSymbol(key),
+      val: xdr.ScVal.scvBytes(proof[key]),
+    }))),
+  );
+};
+
+const recordAttack = (sessionId, { turn = 1, cell = 5, hit = false, victim = null } = {}) => CONTRACT.call(
+  'record_attack',
+  u32(sessionId),
+  u32(1),
+  u32(turn),
+  u32(cell),
+  nativeToScVal(hit, { type: 'bool' }),
+  victim ? new Address(victim).toScVal() : xdr.ScVal.scvVoid(),
+);
+
+const endRound = (sessionId, survivors = MORTALS) => CONTRACT.call(
+  'end_round',
+  u32(sessionId),
+  u32(1),
+  nativeToScVal(survivors.length === 0, { type: 'bool' }),
+  xdr.ScVal.scvVec(survivors.map(m => new Address(m).toScVal())),
+);
+
+const settleGame = (sessionId, { winner = MORTALS[0], players = [GOD, ...MORTALS], scores = [4, 9, -2, 0] } = {}) => CONTRACT.call(
+  'settle_game',
+  u32(sessionId),
+  new Address(winner).toScVal(),
+  xdr.ScVal.scvVec(players.map(p => new Address(p).toScVal())),
+  xdr.ScVal.scvVec(scores.map(score => nativeToScVal(score, { type: 'i32' }))),
+);
+
+function setup({ validProof = true, ...rpcOptions } = {}) {
+  const verified = [];
+  const rpc = createMockSorobanRpc({
+    ...rpcOptions,
+    verifyProof: async (publicSignals, proof) => {
+      verified.push({ publicSignals, proof });
+      return validProof;
+    },
+  });
+  const queue = createTxQueue({
+    server: rpc,
+    keypair: Keypair.random(),
+    networkPassphrase: Networks.TESTNET,
+    pollIntervalMs: 1,
+    sleep: async () => {},
+  });
+  return { rpc, queue, verified };
+}
+
+describe('mock contract', () => {
+  test('registers a game and settles a claim', async () => {
+    const { rpc, queue, verified } = setup();
+
+    const started = await queue.submit(startGame(7));
+    const claimed = await queue.submit(submitClaim(7, { mortal: MORTALS[1], claimType: 2, claimValue: 5, expected: false }));
+
+    assert.equal(started.outcome, TX_OUTCOMES.SUCCESS);
+    assert.equal(claimed.ledger, started.ledger + 1);
+    assert.equal(claimed.txResult.returnValue.value(), false);
+    assert.deepEqual(verified[0].publicSignals, ['2', '5', '0', '1002'], 'bound to the commitment of the claimer');
+    assert.deepEqual(rpc.getGame(7).claims, [{ mortal: MORTALS[1], claimType: 2, claimValue: 5, result: false }]);
+  });
+
+  test('hands the verifier the proof the relayer encoded', async () => {
+    const { queue, verified } = setup();
+
+    await queue.submit(startGame(1));
+    await queue.submit(submitClaim(1));
+
+    // Once in simulation, once when applied
+    assert.equal(verified.length, 2);
+    assert.deepEqual(verified[1].proof, SNARKJS_PROOF);
+  });
+
+  test('rejects calls the contract would reject', async () => {
+    const { queue } = setup();
+    await queue.submit(startGame(1));
+
+    const cases = [
+      [startGame(1), 'GameAlreadyExists'],
+      [startGame(2, MORTALS.slice(0, 2)), 'InvalidPlayerCount'],
+      [startGame(2, MORTALS, COMMITMENTS.slice(0, 2)), 'InvalidPlayerCount'],
+      [submitClaim(99), 'GameNotFound'],
+      [submitClaim(1, { mortal: GOD }), 'NotAPlayer'],
+      [submitClaim(1, { claimType: 3 }), 'InvalidClaimType'],
+    ];
+    for (const [operation, error] of cases) {
+      await assert.rejects(queue.submit(operation), new RegExp(`Simulation failed: HostError: Error\\(Contract, #\\d\\) ${error}`));
+    }
+  });
+
+  test('records attacks and the round result', async () => {
+    const { rpc, queue } = setup();
+    await queue.submit(startGame(1));
+
+    await queue.submit(recordAttack(1, { turn: 1, cell: 4 }));
+    await queue.submit(recordAttack(1, { turn: 2, cell: 9, hit: true, victim: MORTALS[2] }));
+    await queue.submit(endRound(1, MORTALS.slice(0, 2)));
+
+    const game = rpc.getGame(1);
+    assert.deepEqual(game.attacks, [
+      { round: 1, turn: 1, cell: 4, hit: false, victim: null },
+      { round: 1, turn: 2, cell: 9, hit: true, victim: MORTALS[2] },
+    ]);
+    assert.deepEqual(game.result, { round: 1, godWon: false, survivors: MORTALS.slice(0, 2) });
+  });
+
+  test('rejects records that do not fit the round', async () => {
+    const { queue } = setup();
+    await queue.submit(startGame(1));
+    await queue.submit(recordAttack(1, { turn: 1 }));
+
+    const cases = [
+      [recordAttack(99), 'GameNotFound'],
+      [recordAttack(1, { turn: 1 }), 'InvalidAttack'],
+      [recordAttack(1, { turn: 2, hit: true }), 'InvalidAttack'],
+      [recordAttack(1, { turn: 2, hit: true, victim: GOD }), 'NotAPlayer'],
+      [endRound(1, [GOD]), 'NotAPlayer'],
+    ];
+    for (const [operation, error] of cases) {
+      await assert.rejects(queue.submit(operation), new RegExp(error));
+    }
+
+    await queue.submit(endRound(1));
+    await assert.rejects(queue.submit(recordAttack(1, { turn: 2 })), /RoundEnded/);
+    await assert.rejects(queue.submit(endRound(1)), /RoundEnded/);
+  });
+
+  test('settles the game once', async () => {
+    const { rpc, queue } = setup();
+    await queue.submit(startGame(1));
+
+    const cases = [
+      [settleGame(99), 'GameNotFound'],
+      [settleGame(1, { players: [Keypair.random().publicKey(), ...MORTALS] }), 'NotAPlayer'],
+      [settleGame(1, { scores: [1, 2] }), 'InvalidSettlement'],
+      [settleGame(1, { winner: GOD, players: MORTALS, scores: [1, 2, 3] }), 'InvalidSettlement'],
+    ];
+    for (const [operation, error] of cases) {
+      await assert.rejects(queue.submit(operation), new RegExp(error));
+    }
+
+    await queue.submit(settleGame(1));
+    assert.deepEqual(rpc.getGame(1).settlement, { winner: MORTALS[0], players: [GOD, ...MORTALS], scores: [4, 9, -2, 0] });
+    await assert.rejects(queue.submit(settleGame(1)), /AlreadySettled/);
+  });
+
+  test('rejects proofs that do not verify', async () => {
+    const { queue } = setup({ validProof: false });
+    await queue.submit(startGame(1));
+
+    await assert.rejects(queue.submit(submitClaim(1)), /InvalidProof/);
+  });
+
+  test('answers NOT_FOUND until the transaction lands', async () => {
+    const { rpc, queue } = setup({ pendingPolls: 2 });
+    let polls = 0;
+    const getTransaction = rpc.getTransaction;
+    rpc.getTransaction = (hash) => { polls++; return getTransaction(hash); };
+
+    await queue.submit(startGame(1));
+
+    assert.equal(polls, 3);
+  });
+
+  test('rejects a stale sequence number', async () => {
+    const { rpc } = setup();
+    const keypair = Keypair.random();
+    const [first, second] = [1, 2].map(() => createTxQueue({
+      server: rpc, keypair, networkPassphrase: Networks.TESTNET, pollIntervalMs: 1, sleep: async () => {},
+    }));
+
+    await second.submit(startGame(1));
+    await first.submit(startGame(2));
+    const { jobId } = await second.submit(startGame(3));
+
+    assert.equal(second.getJob(jobId).attempts, 2, 'reloads the account after txBadSeq');
+  });
+
+  test('decodes proofs back to snarkjs format', () => {
+    assert.deepEqual(contractProofToSnarkjs(relayer.convertSnarkjsProofToContract(SNARKJS_PROOF)), SNARKJS_PROOF);
+  });
+});
+
+describe('relayer with STELLAR_RPC_URL=mock:', () => {
+  const addresses = (gameId) => ({
+    god: relayer.derivePlayerAddress(gameId, 'god'),
+    mortals: ['m1', 'm2', 'm3'].map(id => relayer.derivePlayerAddress(gameId, id)),
+  });
+
+  test('registers games without a network', async () => {
+    const sessionId = relayer.allocateSessionId();
+    const { god, mortals } = addresses('ROOM01-1');
+    const started = await relayer.startGameRelayed(sessionId, god, mortals, COMMITMENTS);
+
+    assert.match(started.hash, /^[0-9a-f]{64}$/);
+    assert.ok(started.ledger > 0);
+
+    const err = await relayer.startGameRelayed(sessionId, god, mortals, COMMITMENTS).catch(e => e);
+    assert.ok(relayer.isSessionTakenError(err), err.message);
+  });
+
+  test('records attacks and round results', async () => {
+    const sessionId = relayer.allocateSessionId();
+    const { god, mortals } = addresses('ROOM03-1');
+    await relayer.startGameRelayed(sessionId, god, mortals, COMMITMENTS);
+
+    const attack = await relayer.recordAttackRelayed(sessionId, { round: 1, turn: 1, cell: 5, hit: true, victimAddress: mortals[0] });
+    const round = await relayer.recordRoundRelayed(sessionId, { round: 1, godWon: false, survivorAddresses: mortals.slice(1) });
+
+    assert.equal(round.ledger, attack.ledger + 1);
+    await assert.rejects(
+      relayer.recordAttackRelayed(sessionId, { round: 1, turn: 2, cell: 6, hit: false }),
+      { outcome: TX_OUTCOMES.FAILED, message: /RoundEnded/ },
+    );
+  });
+
+  test('settles final scores', async () => {
+    const sessionId = relayer.allocateSessionId();
+    const { god, mortals } = addresses('ROOM04-1');
+    await relayer.startGameRelayed(sessionId, god, mortals, COMMITMENTS);
+
+    const settled = await relayer.settleGameRelayed(sessionId, {
+      winnerAddress: mortals[1],
+      playerAddresses: [mortals[1], god, mortals[0], mortals[2]],
+      scores: [11, 6, 0, -4],
+    });
+
+    assert.match(settled.hash, /^[0-9a-f]{64}$/);
+    await assert.rejects(
+      relayer.settleGameRelayed(sessionId, { winnerAddress: god, playerAddresses: [god], scores: [1] }),
+      { outcome: TX_OUTCOMES.FAILED, message: /AlreadySettled/ },
+    );
+  });
+
+  test('settles claims against the server verification key', async () => {
+    const sessionId = relayer.allocateSessionId();
+    const { god, mortals } = addresses('ROOM02-1');
+    await relayer.startGameRelayed(sessionId, god, mortals, COMMITMENTS);
+
+    // No key is loaded in tests, so no proof verifies
+    await assert.rejects(
+      relayer.submitClaimRelayed(sessionId, mortals[0], 0, 1, true, SNARKJS_PROOF),
+      { outcome: TX_OUTCOMES.FAILED, message: /InvalidProof/ },
+    );
+  });
+});
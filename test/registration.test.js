@@ -0,0 +1,94 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REGISTRATION_STATUS,
+  MAX_REGISTRATION_ATTEMPTS,
+  REGISTRATION_RETRY_MS,
+  startRegistration,
+  transition,
+  retryDelay,
+} from '../registration.js';
+
+const fresh = () => startRegistration('ROOM01-1', 2, 42, 1000);
+const fail = (registration, error = 'boom') => transition(registration, { type: 'attempt_failed', error }, 2000);
+
+describe('registration', () => {
+  test('starts pending on the first attempt', () => {
+    assert.deepEqual(fresh(), {
+      gameId: 'ROOM01-1',
+      round: 2,
+      sessionId: 42,
+      status: REGISTRATION_STATUS.PENDING,
+      attempt: 1,
+      maxAttempts: MAX_REGISTRATION_ATTEMPTS,
+      error: null,
+      transactionHash: null,
+      ledger: null,
+      updatedAt: 1000,
+    });
+  });
+
+  test('success records the transaction', () => {
+    const registration = fresh();
+    const next = transition(registration, { type: 'succeeded', hash: 'ab12', ledger: 777 }, 3000);
+
+    assert.equal(next.status, REGISTRATION_STATUS.REGISTERED);
+    assert.equal(next.transactionHash, 'ab12');
+    assert.equal(next.ledger, 777);
+    assert.equal(next.updatedAt, 3000);
+    assert.equal(registration.status, REGISTRATION_STATUS.PENDING, 'the old record is left alone');
+  });
+
+  test('a failed attempt moves on to the next one until none are left', () => {
+    let registration = fresh();
+    for (let attempt = 2; attempt <= MAX_REGISTRATION_ATTEMPTS; attempt++) {
+      registration = fail(registration, `failure ${attempt - 1}`);
+      assert.equal(registration.status, REGISTRATION_STATUS.PENDING);
+      assert.equal(registration.attempt, attempt);
+    }
+
+    registration = fail(registration, 'last failure');
+    assert.equal(registration.status, REGISTRATION_STATUS.FAILED);
+    assert.equal(registration.attempt, MAX_REGISTRATION_ATTEMPTS);
+    assert.equal(registration.error, 'last failure');
+  });
+
+  test('a success after a failed attempt clears the error', () => {
+    const next = transition(fail(fresh()), { type: 'succeeded', hash: 'cd34', ledger: 9 });
+    assert.equal(next.status, REGISTRATION_STATUS.REGISTERED);
+    assert.equal(next.error, null);
+  });
+
+  test('a taken session ID uses up an attempt and switches to a new one', () => {
+    const next = transition(fresh(), { type: 'session_taken', error: 'GameAlreadyExists', sessionId: 77 });
+
+    assert.equal(next.status, REGISTRATION_STATUS.PENDING);
+    assert.equal(next.attempt, 2);
+    assert.equal(next.sessionId, 77);
+    assert.equal(next.error, 'GameAlreadyExists');
+  });
+
+  test('a restart interrupts a pending registration', () => {
+    const next = transition(fresh(), { type: 'interrupted' });
+    assert.equal(next.status, REGISTRATION_STATUS.FAILED);
+    assert.match(next.error, /restarted/);
+  });
+
+  test('registered and failed are final', () => {
+    const registered = transition(fresh(), { type: 'succeeded', hash: 'ab', ledger: 1 });
+    const failed = transition(fresh(), { type: 'interrupted' });
+
+    assert.throws(() => fail(registered), /Registration is registered/);
+    assert.throws(() => transition(failed, { type: 'succeeded', hash: 'ab', ledger: 1 }), /Registration is failed/);
+    assert.throws(() => transition(null, { type: 'interrupted' }), /Registration is missing/);
+    assert.throws(() => transition(fresh(), { type: 'nope' }), /Unknown registration event/);
+  });
+
+  test('retries back off exponentially', () => {
+    const second = fail(fresh());
+    const third = fail(second);
+
+    assert.equal(retryDelay(second), REGISTRATION_RETRY_MS);
+    assert.equal(retryDelay(third), REGISTRATION_RETRY_MS * 2);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Networks, StrKey } from '@stellar/stellar-sdk';
+
+// The relayer reads its configuration on import
+process.env.PLAYER_KEY_SECRET = 'test-player-key-secret';
+const {
+  allocateSessionId,
+  derivePlayerAddress,
+  isSessionTakenError,
+  isRelayerConfigured,
+  getNetworkInfo,
+  resolveNetwork,
+} = await import('../relayer.js');
+
+describe('player addresses', () => {
+  test('are stable for a player within a game', () => {
+    const address = derivePlayerAddress('ROOM01-1', 'socket-a');
+
+    assert.ok(StrKey.isValidEd25519PublicKey(address));
+    assert.equal(derivePlayerAddress('ROOM01-1', 'socket-a'), address);
+  });
+
+  test('differ across players and games', () => {
+    const addresses = new Set([
+      derivePlayerAddress('ROOM01-1', 'socket-a'),
+      derivePlayerAddress('ROOM01-1', 'socket-b'),
+      derivePlayerAddress('ROOM01-2', 'socket-a'),
+      // The separator keeps ("ab", "c") and ("a", "bc") apart
+      derivePlayerAddress('ROOM01-1a', 'b'),
+      derivePlayerAddress('ROOM01-1', 'ab'),
+    ]);
+    assert.equal(addresses.size, 5);
+  });
+
+  test('depend on the server secret', async () => {
+    process.env.PLAYER_KEY_SECRET = 'another-secret';
+    const other = await import('../relayer.js?another-secret');
+
+    assert.notEqual(other.derivePlayerAddress('ROOM01-1', 'socket-a'), derivePlayerAddress('ROOM01-1', 'socket-a'));
+  });
+});
+
+describe('session IDs', () => {
+  test('are unique u32 values', () => {
+    const ids = Array.from({ length: 1000 }, allocateSessionId);
+
+    assert.equal(new Set(ids).size, ids.length);
+    ids.forEach(id => assert.ok(Number.isInteger(id) && id > 0 && id < 2 ** 32));
+  });
+
+  test('a contract error in simulation can be retried under a new session ID', () => {
+    const rejected = (code) => Object.assign(new Error(`Simulation failed: HostError: Error(Contract, #${code})`), { contractError: code });
+    assert.equal(isSessionTakenError(rejected(2)), true);
+    assert.equal(isSessionTakenError(rejected(4)), true);
+
+    // Only a code reported by the simulation counts, not the message text
+    assert.equal(isSessionTakenError(new Error('Simulation failed: HostError: Error(Contract, #2)')), false);
+    assert.equal(isSessionTakenError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })), false);
+    assert.equal(isSessionTakenError(null), false);
+  });
+});
+
+describe('network', () => {
+  test('defaults to testnet and its contract', () => {
+    const network = resolveNetwork({});
+
+    assert.equal(network.name, 'testnet');
+    assert.equal(network.passphrase, Networks.TESTNET);
+    assert.equal(network.rpcUrl, 'https://soroban-testnet.stellar.org');
+    assert.ok(network.contractId);
+  });
+
+  test('selects another network, with no default contract', () => {
+    const network = resolveNetwork({ STELLAR_NETWORK: 'futurenet' });
+
+    assert.equal(network.passphrase, Networks.FUTURENET);
+    assert.equal(network.contractId, null);
+  });
+
+  test('takes a custom passphrase for a local network', () => {
+    const network = resolveNetwork({
+      STELLAR_NETWORK: 'standalone',
+      STELLAR_NETWORK_PASSPHRASE: 'Local Network ; 2026',
+      DIVINE_WRATH_CONTRACT_ID: 'CC3D5AH5B3DOGZPJIX2T52PIT3Q2Y6XT3XIAG2FYCK32SBVENIXJFYQZ',
+    });
+
+    assert.equal(network.passphrase, 'Local Network ; 2026');
+    assert.equal(network.rpcUrl, 'http://localhost:8000/soroban/rpc');
+  });
+
+  test('mainnet needs an RPC URL', () => {
+    assert.throws(() => resolveNetwork({ STELLAR_NETWORK: 'mainnet' }), /STELLAR_RPC_URL is required for mainnet/);
+    assert.equal(resolveNetwork({ STELLAR_NETWORK: 'mainnet', STELLAR_RPC_URL: 'https://rpc.example' }).passphrase, Networks.PUBLIC);
+  });
+
+  test('rejects an unknown network', () => {
+    assert.throws(() => resolveNetwork({ STELLAR_NETWORK: 'mainet' }), /Unknown STELLAR_NETWORK "mainet"/);
+  });
+
+  test('a bad network disables the relayer instead of failing the import', () => {
+    // The relayer resolves its own network on first use
+    process.env.STELLAR_NETWORK = 'mainet';
+    try {
+      assert.equal(isRelayerConfigured(), false);
+      assert.equal(getNetworkInfo().network, null);
+      assert.match(getNetworkInfo().error, /Unknown STELLAR_NETWORK/);
+    } finally {
+      delete process.env.STELLAR_NETWORK;
+    }
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAction, canGodStay, freeCells } from '../engine.js';
+import { rebindPlayerId } from '../sessions.js';
+import { replayGame } from '../replay.js';
+import { FIRST, lobby } from './fixtures.js';
+
+// The next move of a scripted game: mortals claim their own row on turn 1 and
+// their column on turn 3, and let the clock run out on turn 2. The God checks
+// one claim a turn, attacks the lowest cell not attacked yet and stays when allowed
+function nextAction(state) {
+  const god = state.players.find(p => p.role === 'god');
+  const mortals = state.players.filter(p => p.role === 'mortal');
+
+  switch (state.phase) {
+    case 'setup': {
+      const mortal = mortals.find(p => p.position === null);
+      return { type: 'select_position', playerId: mortal.id, position: freeCells(state)[0] };
+    }
+    case 'claiming': {
+      if (state.turn === 2) return { type: 'phase_timeout' };
+      const mortal = mortals.find(p => p.position !== null && !state.claims.some(c => c.playerId === p.id && c.turn === state.turn));
+      const claimValue = state.turn === 1
+        ? Math.ceil(mortal.position / state.gridSize)
+        : ((mortal.position - 1) % state.gridSize) + 1;
+      const claimType = state.turn === 1 ? 'row' : 'column';
+      return { type: 'submit_claim', playerId: mortal.id, claimType, claimValue, targetPlayerId: mortal.id };
+    }
+    case 'deduction': {
+      const unverified = state.claims.find(c => c.turn === state.turn && !c.verified);
+      if (unverified && !state.claims.some(c => c.turn === state.turn && c.verified)) {
+        return { type: 'verify_claim', playerId: god.id, claimId: unverified.id };
+      }
+      const cell = [1, 2, 3, 4, 5, 6, 7, 8, 9].find(c => !state.attacks.some(a => a.cell === c));
+      return { type: 'attack', playerId: god.id, cell };
+    }
+    case 'round_transition': {
+      if (state.roundWinner === 'god' && !state.godChoice) {
+        return { type: 'god_choice', playerId: god.id, choice: canGodStay(state) ? 'stay' : 'cede' };
+      }
+      const waiting = state.players.find(p => !state.readyForNextRound.includes(p.id));
+      return { type: 'ready_for_next_round', playerId: waiting.id };
+    }
+    default:
+      throw new Error(`No move for phase ${state.phase}`);
+  }
+}
+
+// Plays the scripted game to the end, logging events the way the server does.
+// `onStep(state, record, log)` may move seats around and returns the new state
+function playGame(onStep = (state) => state) {
+  const log = [];
+  const record = (event) => log.push({ seq: log.length, at: log.length, ...event });
+
+  let state = lobby();
+  const start = applyAction(state, { type: 'start_game', playerId: 'p1' }, FIRST);
+  state = start.state;
+  start.events.forEach(record);
+
+  for (let steps = 0; state.phase !== 'ended'; steps++) {
+    assert.ok(steps < 500, 'game did not end');
+    const action = nextAction(state);
+    const result = applyAction(state, action, FIRST);
+    assert.deepEqual(result.errors, [], `${action.type} by ${action.playerId} was rejected`);
+    state = result.state;
+    result.events.forEach(record);
+    state = onStep(state, record, log);
+  }
+  return { state, log };
+}
+
+// The server's resume: the seat moves in the room and the move is logged
+function resume(state, record, oldId, newId) {
+  const next = structuredClone(state);
+  rebindPlayerId(next, oldId, newId);
+  record({ type: 'player_resumed', round: next.currentRound, turn: next.turn, oldId, newId });
+  return next;
+}
+
+const totals = (scores) => Object.fromEntries(Object.values(scores).map(s => [s.playerId, s.total]));
+
+describe('replayGame', () => {
+  test('a replayed log ends with the live game\'s scores and ranking', () => {
+    const { state, log } = playGame();
+    const replayed = replayGame(log);
+    const ended = log.at(-1);
+
+    assert.equal(ended.type, 'game_ended');
+    assert.equal(replayed.phase, 'ended');
+    assert.deepEqual(totals(replayed.scores), totals(state.scores));
+    assert.deepEqual(replayed.ranking.map(r => [r.playerId, r.total]), ended.ranking.map(r => [r.playerId, r.total]));
+    assert.equal(replayed.winner, ended.winner);
+    assert.ok(replayed.rounds.some(r => r.passes.length > 0), 'the script should make mortals pass');
+  });
+
+  test('seats that move mid-game replay like the live room', () => {
+    const checkpoints = [];
+    const moved = new Set();
+
+    const { state, log } = playGame((live, record, logSoFar) => {
+      let next = live;
+      // The God and a mortal who passed change hands during round 2
+      if (live.currentRound === 2 && live.phase === 'deduction' && live.turn === 2 && !moved.has('round')) {
+        moved.add('round');
+        const god = live.players.find(p => p.role === 'god');
+        const passer = live.passes[0].playerId;
+        next = resume(resume(next, record, god.id, `${god.id}-again`), record, passer, `${passer}-again`);
+      }
+      // A player who is already ready for the next round changes hands
+      if (live.phase === 'round_transition' && live.readyForNextRound.length === 1 && !moved.has('ready')) {
+        moved.add('ready');
+        const ready = live.readyForNextRound[0];
+        next = resume(next, record, ready, `${ready}-ready`);
+      }
+      if (next !== live) {
+        const replayed = replayGame(logSoFar);
+        checkpoints.push({ live: next, replayed });
+      }
+      return next;
+    });
+
+    assert.equal(moved.size, 2);
+    for (const { live, replayed } of checkpoints) {
+      assert.deepEqual(replayed.passes, live.passes.map(({ playerId, turn, round }) => ({ playerId, turn, round })));
+      assert.deepEqual(replayed.godHistory, live.godHistory);
+      assert.deepEqual(replayed.readyForNextRound, live.readyForNextRound);
+      assert.deepEqual(totals(replayed.scores), totals(live.scores));
+    }
+
+    const replayed = replayGame(log);
+    assert.deepEqual(totals(replayed.scores), totals(state.scores));
+    assert.deepEqual(replayed.ranking.map(r => r.playerId), log.at(-1).ranking.map(r => r.playerId));
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { EVENT_SCHEMAS, ERROR_CODES, validatePayload, validatePackets } from '../schemas.js';
+
+const PROOF = {
+  pi_a: ['1', '2', '1'],
+  pi_b: [['1', '2'], ['3', '4'], ['1', '0']],
+  pi_c: ['5', '6', '1'],
+  protocol: 'groth16',
+  curve: 'bn128',
+};
+
+// One well-formed payload per event; the fuzzer mutates these
+const VALID = {
+  create_room: { playerName: 'Ana', avatar: { color: '#ff0000', eyebrows: 'angry' }, zkEnabled: false },
+  join_room: { roomCode: 'ABC234', playerName: 'Bo' },
+  spectate_room: { roomCode: 'ABC234', name: 'Watcher' },
+  stop_spectating: { roomCode: 'ABC234' },
+  resume_session: { sessionToken: 'a1b2c3d4e5f60718293a4b5c6d7e8f900112233445566778' },
+  add_bot: { roomCode: 'ABC234', difficulty: 'hard' },
+  remove_bot: { roomCode: 'ABC234', botId: 'bot-x1y2z3w4' },
+  toggle_ready: { roomCode: 'ABC234' },
+  set_round_config: { roomCode: 'ABC234', totalRounds: 4 },
+  set_board_config: { roomCode: 'ABC234', gridSize: 4, maxPlayers: 5 },
+  set_timer_config: { roomCode: 'ABC234', phaseTimers: { claiming: 60 } },
+  set_spectator_config: { roomCode: 'ABC234', delaySeconds: 30 },
+  start_game: { roomCode: 'ABC234' },
+  select_position: { roomCode: 'ABC234', position: 5, commitment: '1234567890123456789' },
+  submit_claim: { roomCode: 'ABC234', claimType: 'row', claimValue: 2, targetPlayerId: 'Xk3_abc-DEF' },
+  submit_claim_blockchain: { roomCode: 'ABC234', claimId: 'ABC234-1-1-Xk3_abc', proof: PROOF, publicSignals: ['1', '0', '2', '1'] },
+  verify_claim: { roomCode: 'ABC234', claimId: 'ABC234-1-1-Xk3_abc' },
+  god_select_cell: { roomCode: 'ABC234', cell: null },
+  attack_cell: { roomCode: 'ABC234', cell: 9 },
+  god_choice: { roomCode: 'ABC234', choice: 'cede' },
+  ready_for_next_round: { roomCode: 'ABC234' },
+  leave_room: { roomCode: 'ABC234' },
+};
+
+// Small seeded PRNG so a failing fuzz case can be reproduced
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomValue(random, depth = 0) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const kinds = ['undefined', 'null', 'bool', 'int', 'float', 'string', 'hostile'];
+  if (depth < 2) kinds.push('array', 'object');
+
+  switch (pick(kinds)) {
+    case 'undefined': return undefined;
+    case 'null': return null;
+    case 'bool': return random() < 0.5;
+    case 'int': return Math.floor(random() * 40) - 10;
+    case 'float': return pick([0.5, -1.5, NaN, Infinity, -0, 1e308]);
+    case 'string': return pick(['', ' ', 'abc234', 'ABC234', 'x'.repeat(500), '1e3', 'row', 'stay', '__proto__']);
+    case 'hostile': return pick([{ toString: null }, Object.create(null), { __proto__: { claimType: 'row' } }, () => {}]);
+    case 'array': return Array.from({ length: Math.floor(random() * 4) }, () => randomValue(random, depth + 1));
+    default: return Object.fromEntries(
+      Array.from({ length: Math.floor(random() * 4) }, (_, i) => [pick(['roomCode', 'cell', 'x', `k${i}`]), randomValue(random, depth + 1)])
+    );
+  }
+}
+
+// A valid payload with one field dropped, replaced or added
+function mutate(random, payload) {
+  const copy = structuredClone(payload);
+  const keys = Object.keys(copy);
+  const key = keys[Math.floor(random() * keys.length)];
+  const roll = random();
+  if (roll < 0.3) delete copy[key];
+  else if (roll < 0.9) copy[key] = randomValue(random);
+  else copy.extra = randomValue(random);
+  return copy;
+}
+
+function assertWellFormedResult(event, payload) {
+  const result = validatePayload(event, payload);
+  if (result.ok) {
+    // Normalizing is idempotent: the handler's payload passes its own schema unchanged
+    const again = validatePayload(event, result.value);
+    assert.equal(again.ok, true, `${event}: normalized payload was rejected`);
+    assert.deepEqual(again.value, result.value);
+  } else {
+    assert.equal(result.error.code, ERROR_CODES.INVALID_PAYLOAD);
+    assert.equal(result.error.event, event);
+    assert.equal(typeof result.error.message, 'string');
+  }
+  return result;
+}
+
+describe('coverage', () => {
+  test('every event the server handles has a schema', () => {
+    const source = readFileSync(new URL('../index.js', import.meta.url), 'utf8');
+    const handled = [...source.matchAll(/socket\.on\('(\w+)'/g)].map(m => m[1]).filter(e => e !== 'disconnect');
+
+    assert.deepEqual([...handled].sort(), Object.keys(EVENT_SCHEMAS).sort());
+  });
+
+  test('every valid sample passes', () => {
+    for (const [event, payload] of Object.entries(VALID)) {
+      const result = validatePayload(event, payload);
+      assert.equal(result.ok, true, `${event}: ${result.error?.message}`);
+    }
+  });
+});
+
+describe('normalization', () => {
+  test('room codes are trimmed and uppercased', () => {
+    const result = validatePayload('join_room', { roomCode: ' abc234 ', playerName: '  Bo ' });
+    assert.deepEqual(result.value, { roomCode: 'ABC234', playerName: 'Bo' });
+  });
+
+  test('undeclared keys are dropped', () => {
+    const result = validatePayload('attack_cell', { roomCode: 'ABC234', cell: 3, playerId: 'someone-else' });
+    assert.deepEqual(result.value, { roomCode: 'ABC234', cell: 3 });
+  });
+
+  test('position commitments are canonical field elements', () => {
+    const result = validatePayload('select_position', { roomCode: 'ABC234', position: 5, commitment: ' 000123 ', salt: '007' });
+    assert.equal(result.value.commitment, '123');
+    assert.equal(result.value.salt, '7');
+  });
+
+  test('unknown timer phases are rejected rather than dropped', () => {
+    const result = validatePayload('set_timer_config', { roomCode: 'ABC234', phaseTimers: { lobby: 30 } });
+    assert.equal(result.error.field, 'phaseTimers.lobby');
+  });
+});
+
+describe('rejections', () => {
+  const rejects = (event, payload, field) => {
+    const result = validatePayload(event, payload);
+    assert.equal(result.ok, false, `${event} accepted ${JSON.stringify(payload)}`);
+    assert.equal(result.error.code, ERROR_CODES.INVALID_PAYLOAD);
+    assert.equal(result.error.field, field);
+  };
+
+  test('missing payload or room code', () => {
+    rejects('join_room', undefined, null);
+    rejects('join_room', { playerName: 'Bo' }, 'roomCode');
+    rejects('start_game', { roomCode: 42 }, 'roomCode');
+  });
+
+  test('cells must be integers on the largest board', () => {
+    for (const cell of [0, 26, 2.5, '5', null, undefined]) {
+      rejects('attack_cell', { roomCode: 'ABC234', cell }, 'cell');
+    }
+    rejects('select_position', { roomCode: 'ABC234', position: -1 }, 'position');
+  });
+
+  test('commitments must be nonzero and inside the BN254 field', () => {
+    const field = '21888242871839275222246405745257275088548364400416034343698204186575808495617';
+    for (const commitment of ['0', field, '0x12', 12, '']) {
+      rejects('select_position', { roomCode: 'ABC234', position: 5, commitment }, 'commitment');
+    }
+    rejects('select_position', { roomCode: 'ABC234', position: 5, commitment: '1', salt: field }, 'salt');
+  });
+
+  test('claims need a known type and a value of the right kind', () => {
+    const claim = VALID.submit_claim;
+    rejects('submit_claim', { ...claim, claimType: 'diagonal' }, 'claimType');
+    rejects('submit_claim', { ...claim, claimValue: true }, 'claimValue');
+    rejects('submit_claim', { ...claim, claimValue: 6 }, 'claimValue');
+    rejects('submit_claim', { ...claim, targetPlayerId: '' }, 'targetPlayerId');
+    assert.equal(validatePayload('submit_claim', { ...claim, claimType: 'adjacent', claimValue: true }).ok, true);
+  });
+
+  test('proofs must be field elements in groth16 shape', () => {
+    rejects('submit_claim_blockchain', { ...VALID.submit_claim_blockchain, publicSignals: ['1', 'x'] }, 'publicSignals[1]');
+    rejects('submit_claim_blockchain', { ...VALID.submit_claim_blockchain, proof: { ...PROOF, pi_b: 'nope' } }, 'proof.pi_b');
+  });
+
+  test('unknown events', () => {
+    const result = validatePayload('toString', {});
+    assert.equal(result.error.code, ERROR_CODES.UNKNOWN_EVENT);
+  });
+});
+
+describe('fuzz', () => {
+  for (const event of Object.keys(EVENT_SCHEMAS)) {
+    test(event, () => {
+      const random = mulberry32(event.length * 7919);
+
+      for (let i = 0; i < 300; i++) {
+        assertWellFormedResult(event, randomValue(random));
+        assertWellFormedResult(event, mutate(random, VALID[event]));
+      }
+    });
+  }
+});
+
+describe('middleware', () => {
+  function fakeSocket() {
+    const emitted = [];
+    return { emitted, emit: (event, payload) => emitted.push({ event, payload }) };
+  }
+
+  function run(socket, packet) {
+    let passed = false;
+    validatePackets(socket)(packet, () => { passed = true; });
+    return passed;
+  }
+
+  test('normalizes the payload in place and lets it through', () => {
+    const socket = fakeSocket();
+    const packet = ['join_room', { roomCode: 'abc234', playerName: 'Bo', isHost: true }, () => {}];
+
+    assert.equal(run(socket, packet), true);
+    assert.deepEqual(packet[1], { roomCode: 'ABC234', playerName: 'Bo' });
+    assert.equal(typeof packet[2], 'function', 'acknowledgement callbacks are kept');
+    assert.deepEqual(socket.emitted, []);
+  });
+
+  test('drops malformed packets with a structured error', () => {
+    const socket = fakeSocket();
+
+    assert.equal(run(socket, ['join_room', { playerName: 'Bo' }]), false);
+    assert.deepEqual(socket.emitted, [{
+      event: 'error',
+      payload: { code: 'INVALID_PAYLOAD', event: 'join_room', field: 'roomCode', message: 'roomCode is required' },
+    }]);
+  });
+
+  test('drops events without a schema', () => {
+    const socket = fakeSocket();
+
+    assert.equal(run(socket, ['make_me_god', {}]), false);
+    assert.equal(socket.emitted[0].payload.code, 'UNKNOWN_EVENT');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateSessionToken, findSession, rebindPlayerId } from '../sessions.js';
+import { createMemoryStore } from '../storage.js';
+
+// Mid-round room: p1 is God, p2 has claimed and passed
+const room = () => ({
+  code: 'ROOM01',
+  players: [
+    { id: 'p1', role: 'god', sessionToken: 'token-1' },
+    { id: 'p2', role: 'mortal', sessionToken: 'token-2' },
+  ],
+  scores: { p1: { playerId: 'p1', total: 5 }, p2: { playerId: 'p2', total: 10 } },
+  claims: [{ id: 'c1', playerId: 'p2', targetPlayerId: 'p2' }],
+  passes: [{ playerId: 'p2', turn: 2 }],
+  godHistory: { playerId: 'p1', consecutiveRounds: 1 },
+  godChoice: { keepGodId: 'p1' },
+  readyForNextRound: ['p1', 'p2'],
+  blockchainAddresses: { p2: 'GADDR' },
+});
+
+describe('sessions', () => {
+  test('tokens are unguessable and unique', () => {
+    const token = generateSessionToken();
+    assert.match(token, /^[0-9a-f]{48}$/);
+    assert.notEqual(token, generateSessionToken());
+  });
+
+  test('a token finds its room and seat', () => {
+    const rooms = createMemoryStore();
+    rooms.set(room());
+
+    const { room: found, player } = findSession(rooms, 'token-2');
+    assert.equal(found.code, 'ROOM01');
+    assert.equal(player.id, 'p2');
+    assert.equal(findSession(rooms, 'unknown'), null);
+    assert.equal(findSession(rooms, undefined), null);
+  });
+});
+
+describe('rebindPlayerId', () => {
+  test('moves a mortal\'s seat and everything keyed on it', () => {
+    const r = room();
+    rebindPlayerId(r, 'p2', 'p2b');
+
+    assert.deepEqual(r.players.map(p => p.id), ['p1', 'p2b']);
+    assert.deepEqual(r.scores.p2b, { playerId: 'p2b', total: 10 });
+    assert.equal(r.scores.p2, undefined);
+    assert.deepEqual(r.claims[0], { id: 'c1', playerId: 'p2b', targetPlayerId: 'p2b' });
+    assert.deepEqual(r.passes, [{ playerId: 'p2b', turn: 2 }]);
+    assert.deepEqual(r.readyForNextRound, ['p1', 'p2b']);
+    assert.deepEqual(r.blockchainAddresses, { p2b: 'GADDR' });
+  });
+
+  test('moves the God\'s history and choice', () => {
+    const r = room();
+    rebindPlayerId(r, 'p1', 'p1b');
+
+    assert.equal(r.godHistory.playerId, 'p1b');
+    assert.equal(r.godChoice.keepGodId, 'p1b');
+    assert.deepEqual(r.passes, [{ playerId: 'p2', turn: 2 }]);
+  });
+
+  test('leaves a room without round state alone', () => {
+    const r = { players: [{ id: 'p1' }], scores: {}, claims: [] };
+    rebindPlayerId(r, 'p1', 'p1b');
+
+    assert.deepEqual(r.players, [{ id: 'p1b' }]);
+    assert.deepEqual(r.readyForNextRound, []);
+  });
+});
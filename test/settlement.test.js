@@ -0,0 +1,71 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SETTLEMENT_STATUS,
+  createSettlement,
+  markSettled,
+  markFailed,
+  createMemorySettlementStore,
+} from '../settlement.js';
+
+const ADDRESSES = { p1: 'GP1', p2: 'GP2', bot: 'GBOT' };
+const RANKING = [
+  { playerId: 'p2', playerName: 'Bea', total: 12, breakdown: [] },
+  { playerId: 'p1', playerName: 'Ann', total: 7, breakdown: [] },
+  { playerId: 'bot', playerName: 'Bot', total: -3, breakdown: [] },
+];
+
+const fresh = (gameId = 'ROOM01-1000') =>
+  createSettlement({ gameId, roomCode: 'ROOM01', winner: 'p2', ranking: RANKING, addresses: ADDRESSES }, 1000);
+
+describe('settlement', () => {
+  test('starts pending with the ranking under derived addresses', () => {
+    assert.deepEqual(fresh(), {
+      gameId: 'ROOM01-1000',
+      roomCode: 'ROOM01',
+      sessionId: null,
+      status: SETTLEMENT_STATUS.PENDING,
+      winner: { playerId: 'p2', address: 'GP2' },
+      ranking: [
+        { playerId: 'p2', playerName: 'Bea', address: 'GP2', total: 12 },
+        { playerId: 'p1', playerName: 'Ann', address: 'GP1', total: 7 },
+        { playerId: 'bot', playerName: 'Bot', address: 'GBOT', total: -3 },
+      ],
+      transactionHash: null,
+      ledger: null,
+      error: null,
+      createdAt: 1000,
+      updatedAt: 1000,
+    });
+  });
+
+  test('records the transaction that settled it', () => {
+    const record = markSettled(fresh(), { sessionId: 42, hash: 'ab12', ledger: 777 }, 2000);
+
+    assert.equal(record.status, SETTLEMENT_STATUS.SETTLED);
+    assert.equal(record.sessionId, 42);
+    assert.equal(record.transactionHash, 'ab12');
+    assert.equal(record.ledger, 777);
+    assert.equal(record.updatedAt, 2000);
+  });
+
+  test('records why it failed', () => {
+    const record = markFailed({ ...fresh(), sessionId: 42 }, { hash: 'cd34', ledger: 9, error: 'NotAPlayer' });
+
+    assert.equal(record.status, SETTLEMENT_STATUS.FAILED);
+    assert.equal(record.sessionId, 42, 'keeps the session it was sent to');
+    assert.equal(record.transactionHash, 'cd34');
+    assert.equal(record.error, 'NotAPlayer');
+  });
+
+  test('the store finds the latest game of a room', () => {
+    const store = createMemorySettlementStore();
+    store.save(fresh('ROOM01-3000'));
+    store.save(fresh('ROOM01-20000'));
+    store.save({ ...fresh('ROOM02-90000'), roomCode: 'ROOM02' });
+
+    assert.equal(store.latestForRoom('ROOM01').gameId, 'ROOM01-20000');
+    assert.equal(store.get('ROOM01-3000').gameId, 'ROOM01-3000');
+    assert.equal(store.latestForRoom('ROOM03'), undefined);
+  });
+});
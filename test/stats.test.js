@@ -0,0 +1,150 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  START_RATING,
+  K_FACTOR,
+  summarizeGame,
+  rateGame,
+  recordGame,
+  playerProfile,
+  rankPlayers,
+  createMemoryStatsStore,
+  createFileStatsStore,
+} from '../stats.js';
+
+// Two rounds: Zeus is God first and finds Hera, then Hera is God and misses
+function gameLog({ ranking, winner = ranking[0].playerId } = {}) {
+  return [
+    { type: 'game_started', players: [
+      { id: 'zeus', name: 'Zeus', role: 'god', isBot: false },
+      { id: 'hera', name: 'Hera', role: 'mortal', isBot: false },
+      { id: 'bot-1', name: 'Apollo (bot)', role: 'mortal', isBot: true },
+    ] },
+    { type: 'claim_submitted', claimId: 'c1', playerId: 'hera', targetPlayerId: 'hera' },
+    { type: 'claim_submitted', claimId: 'c2', playerId: 'bot-1', targetPlayerId: 'bot-1' },
+    { type: 'claim_verified', claimId: 'c1', isTrue: false },
+    { type: 'attack', playerId: 'zeus', cell: 1, hit: true, victimId: 'hera' },
+    { type: 'score', playerId: 'bot-1', action: 'survive_turn', points: 10 },
+    { type: 'round_started', godId: 'hera' },
+    { type: 'claim_submitted', claimId: 'c3', playerId: 'zeus', targetPlayerId: 'zeus' },
+    { type: 'claim_verified', claimId: 'c3', isTrue: true },
+    { type: 'attack', playerId: 'hera', cell: 2, hit: false, victimId: null },
+    { type: 'score', playerId: 'zeus', action: 'survive_turn', points: 10 },
+    { type: 'game_ended', winner, ranking },
+  ];
+}
+
+const RANKING = [
+  { playerId: 'zeus', playerName: 'Zeus', total: 90 },
+  { playerId: 'bot-1', playerName: 'Apollo (bot)', total: 40 },
+  { playerId: 'hera', playerName: 'Hera', total: 20 },
+];
+
+describe('summarizeGame', () => {
+  test('folds a finished game into one line per human player', () => {
+    const [zeus, hera] = summarizeGame(gameLog({ ranking: RANKING }));
+
+    assert.deepEqual(zeus, {
+      playerId: 'zeus', name: 'Zeus', won: true, total: 90, place: 1,
+      roundsAsGod: 1, attacks: 1, hits: 1, claims: 1, claimsVerified: 1, claimsTrue: 1, survivalTurns: 1,
+    });
+    assert.deepEqual(hera, {
+      playerId: 'hera', name: 'Hera', won: false, total: 20, place: 3,
+      roundsAsGod: 1, attacks: 1, hits: 0, claims: 1, claimsVerified: 1, claimsTrue: 0, survivalTurns: 0,
+    });
+  });
+
+  test('counts nobody in a game that did not end', () => {
+    assert.deepEqual(summarizeGame(gameLog({ ranking: RANKING }).slice(0, -1)), []);
+  });
+
+  test('a seat that moved to another player takes its stats along', () => {
+    const events = gameLog({ ranking: RANKING.map(r => (r.playerId === 'hera' ? { ...r, playerId: 'hera2' } : r)) });
+    events.splice(4, 0, { type: 'player_resumed', oldId: 'hera', newId: 'hera2' });
+
+    const lines = summarizeGame(events);
+    assert.deepEqual(lines.map(l => l.playerId), ['zeus', 'hera2']);
+    assert.equal(lines[1].claimsVerified, 1);
+  });
+});
+
+describe('rateGame', () => {
+  test('moves ratings by the pairs each player beat', () => {
+    const ratings = rateGame(RANKING, (id) => (id.startsWith('bot') ? null : START_RATING));
+
+    // Zeus beat both opponents at equal ratings, Hera lost to both
+    assert.equal(ratings.get('zeus'), START_RATING + K_FACTOR / 2);
+    assert.equal(ratings.get('hera'), START_RATING - K_FACTOR / 2);
+    assert.equal(ratings.has('bot-1'), false);
+  });
+
+  test('beating a stronger player is worth more', () => {
+    const ranking = [{ playerId: 'a', total: 10 }, { playerId: 'b', total: 5 }];
+    const upset = rateGame(ranking, (id) => (id === 'a' ? 1400 : 1600)).get('a') - 1400;
+    const expected = rateGame(ranking, (id) => (id === 'a' ? 1600 : 1400)).get('a') - 1600;
+
+    assert.ok(upset > expected);
+  });
+
+  test('a draw between equals changes nothing', () => {
+    const ratings = rateGame([{ playerId: 'a', total: 5 }, { playerId: 'b', total: 5 }], () => START_RATING);
+    assert.equal(ratings.get('a'), START_RATING);
+  });
+});
+
+describe('recordGame', () => {
+  test('adds a game to each player\'s career once', () => {
+    const store = createMemoryStatsStore();
+    recordGame(store, 'G-1', gameLog({ ranking: RANKING }), 1000);
+    recordGame(store, 'G-1', gameLog({ ranking: RANKING }), 1000);
+    recordGame(store, 'G-2', gameLog({ ranking: [...RANKING].reverse(), winner: 'hera' }), 2000);
+
+    const zeus = store.get('zeus');
+    assert.equal(zeus.gamesPlayed, 2);
+    assert.equal(zeus.wins, 1);
+    assert.equal(zeus.hits, 2);
+    assert.equal(zeus.totalScore, 180);
+    assert.equal(zeus.bestScore, 90);
+    assert.equal(zeus.lastGameId, 'G-2');
+    assert.equal(zeus.lastPlayedAt, 2000);
+    assert.equal(store.get('bot-1'), undefined);
+  });
+
+  test('profiles have rates, null until there is data', () => {
+    const store = createMemoryStatsStore();
+    recordGame(store, 'G-1', gameLog({ ranking: RANKING }));
+
+    const hera = playerProfile(store.get('hera'));
+    assert.equal(hera.winRate, 0);
+    assert.equal(hera.hitRate, 0);
+    assert.equal(hera.trueClaimRate, 0);
+    assert.equal(hera.averageScore, 20);
+    assert.equal(playerProfile({ ...hera, attacks: 0 }).hitRate, null);
+  });
+
+  test('the leaderboard orders by rating, then games played', () => {
+    const ranked = rankPlayers([
+      { name: 'b', rating: 1500, gamesPlayed: 1 },
+      { name: 'a', rating: 1500, gamesPlayed: 3 },
+      { name: 'c', rating: 1600, gamesPlayed: 1 },
+    ]);
+    assert.deepEqual(ranked.map(r => r.name), ['c', 'a', 'b']);
+  });
+
+  test('keeps careers in a file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'stats-'));
+    try {
+      const filePath = join(dir, 'nested', 'stats.json');
+      recordGame(createFileStatsStore(filePath), 'G-1', gameLog({ ranking: RANKING }));
+
+      const reopened = createFileStatsStore(filePath);
+      assert.equal(reopened.list().length, 2);
+      assert.equal(reopened.get('zeus').rating, START_RATING + K_FACTOR / 2);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,392 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Account, Contract, Keypair, Networks, SorobanDataBuilder, xdr } from '@stellar/stellar-sdk';
+import { createTxQueue, isTransientError, TX_OUTCOMES } from '../txqueue.js';
+
+const CONTRACT = new Contract('CC3D5AH5B3DOGZPJIX2T52PIT3Q2Y6XT3XIAG2FYCK32SBVENIXJFYQZ');
+const POLL_MS = 7;  // Polls stay under 100ms and retries start at 500ms, so recorded sleeps tell them apart
+const FIRST_LEDGER = 5000;
+
+const badSeqResult = () => new xdr.TransactionResult({
+  feeCharged: xdr.Int64.fromString('0'),
+  result: xdr.TransactionResultResult.txBadSeq(),
+  ext: new xdr.TransactionResultExt(0),
+});
+
+/**
+ * In-memory stand-in for a Soroban RPC server with one account.
+ *
+ * Like the real network, a transaction is accepted only with the sequence
+ * after the last accepted one, and getAccount reports the ledger, which lags
+ * behind accepted transactions until they are confirmed. Transactions paying
+ * less than `minInclusionFee` are accepted but never included, until a fee
+ * bump replaces them.
+ * `failNext.<method>` queues responses or errors for the next calls.
+ */
+function createFakeRpc({ sequence = 100n, confirmAfterPolls = 1, minInclusionFee = 0, feeStats = null } = {}) {
+  let ledger = FIRST_LEDGER;
+  let applied = sequence;   // Sequence in the ledger
+  let accepted = sequence;  // Sequence including transactions waiting for the ledger
+  const txs = new Map();    // hash -> { sequence, polls, stuck }
+  const failNext = { getAccount: [], getFeeStats: [], sendTransaction: [], getTransaction: [] };
+  const calls = { getAccount: 0, getFeeStats: 0, simulateTransaction: 0, sendTransaction: 0, getTransaction: 0 };
+  const sent = [];          // Sequence numbers of accepted transactions, in order
+  const fees = [];          // Fees of accepted transactions and fee bumps, in order
+
+  const scripted = (method) => {
+    const next = failNext[method].shift();
+    if (next instanceof Error || next?.code) throw next;
+    return next;
+  };
+
+  return {
+    calls,
+    sent,
+    fees,
+    failNext,
+
+    // Another client using the same account behind the queue's back
+    useSequenceElsewhere() {
+      accepted += 1n;
+      applied = accepted;
+    },
+
+    async getAccount(publicKey) {
+      calls.getAccount++;
+      scripted('getAccount');
+      return new Account(publicKey, applied.toString());
+    },
+
+    async getFeeStats() {
+      calls.getFeeStats++;
+      scripted('getFeeStats');
+      return { sorobanInclusionFee: feeStats, latestLedger: ledger };
+    },
+
+    async simulateTransaction(tx) {
+      calls.simulateTransaction++;
+      const fn = tx.operations[0].func.invokeContract().functionName().toString();
+      if (fn === 'reject') {
+        return { id: '1', latestLedger: 1, events: [], _parsed: true, error: 'HostError: Error(Contract, #3)' };
+      }
+      return {
+        id: '1',
+        latestLedger: 1,
+        events: [],
+        _parsed: true,
+        transactionData: new SorobanDataBuilder().setResourceFee(50),
+        minResourceFee: '50',
+        result: { auth: [], retval: xdr.ScVal.scvBool(true) },
+      };
+    },
+
+    async sendTransaction(tx) {
+      calls.sendTransaction++;
+      const override = scripted('sendTransaction');
+      if (override) return override;
+
+      const hash = tx.hash().toString('hex');
+      // Resource fee from simulateTransaction, plus the inclusion fee (paid twice by a fee bump)
+      const inclusionFee = (Number(tx.fee) - 50) / (tx.innerTransaction ? 2 : 1);
+      const stuck = inclusionFee < minInclusionFee;
+
+      if (tx.innerTransaction) {
+        const inner = txs.get(tx.innerTransaction.hash().toString('hex'));
+        if (!inner?.stuck) return { status: 'ERROR', hash, errorResult: badSeqResult() };
+        inner.replaced = true;
+        fees.push(tx.fee);
+        txs.set(hash, { sequence: inner.sequence, polls: 0, stuck });
+        return { status: 'PENDING', hash };
+      }
+
+      if (BigInt(tx.sequence) !== accepted + 1n) {
+        return { status: 'ERROR', hash, errorResult: badSeqResult() };
+      }
+      accepted += 1n;
+      sent.push(tx.sequence);
+      fees.push(tx.fee);
+      txs.set(hash, { sequence: BigInt(tx.sequence), polls: 0, stuck });
+      return { status: 'PENDING', hash };
+    },
+
+    async getTransaction(hash) {
+      calls.getTransaction++;
+      const override = scripted('getTransaction');
+      if (override) return override;
+
+      const tx = txs.get(hash);
+      if (!tx || tx.stuck || tx.replaced || tx.polls++ < confirmAfterPolls) return { status: 'NOT_FOUND' };
+      if (tx.sequence > applied) {
+        applied = tx.sequence;
+        tx.ledger = ++ledger;
+      }
+      return { status: 'SUCCESS', ledger: tx.ledger, returnValue: xdr.ScVal.scvBool(true) };
+    },
+  };
+}
+
+// Sleeps are recorded and advance a fake clock instead of waiting
+function setup(rpcOptions, queueOptions = {}) {
+  const rpc = createFakeRpc(rpcOptions);
+  const delays = [];
+  const polls = [];
+  let clock = 0;
+  const queue = createTxQueue({
+    server: rpc,
+    keypair: Keypair.random(),
+    networkPassphrase: Networks.TESTNET,
+    pollIntervalMs: POLL_MS,
+    maxPollIntervalMs: 40,
+    confirmTimeoutMs: 100,
+    sleep: async (ms) => {
+      clock += ms;
+      (ms < 100 ? polls : delays).push(ms);
+    },
+    now: () => clock,
+    ...queueOptions,
+  });
+  return { rpc, queue, delays, polls };
+}
+
+const call = (name = 'ping') => CONTRACT.call(name);
+
+describe('sequence ownership', () => {
+  test('concurrent jobs get consecutive sequence numbers from one account load', async () => {
+    const { rpc, queue } = setup();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => queue.submit(call())));
+
+    assert.deepEqual(rpc.sent, ['101', '102', '103', '104', '105']);
+    assert.equal(rpc.calls.getAccount, 1);
+    assert.equal(new Set(results.map(r => r.hash)).size, 5);
+    results.forEach(r => assert.equal(r.txResult.status, 'SUCCESS'));
+  });
+
+  test('a sequence conflict reloads the account and retries', async () => {
+    const { rpc, queue } = setup();
+    await queue.submit(call());
+
+    rpc.useSequenceElsewhere();
+    const { jobId } = await queue.submit(call());
+
+    assert.deepEqual(rpc.sent, ['101', '103']);
+    assert.equal(rpc.calls.getAccount, 2);
+    assert.equal(queue.getJob(jobId).attempts, 2);
+  });
+
+  test('a transaction that was never accepted does not use up its sequence number', async () => {
+    const { rpc, queue } = setup();
+
+    await assert.rejects(queue.submit(call('reject')), /Simulation failed/);
+    await queue.submit(call());
+
+    assert.deepEqual(rpc.sent, ['101']);
+    assert.equal(rpc.calls.getAccount, 1);
+  });
+});
+
+describe('retries', () => {
+  test('transient errors are retried with exponential backoff', async () => {
+    const { rpc, queue, delays } = setup();
+    rpc.failNext.sendTransaction.push(
+      Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+      { status: 'TRY_AGAIN_LATER', hash: 'x' },
+    );
+    rpc.failNext.getAccount.push(Object.assign(new Error('Bad Gateway'), { response: { status: 502 } }));
+
+    const { jobId } = await queue.submit(call());
+
+    assert.deepEqual(delays, [500, 1000, 2000]);
+    assert.equal(queue.getJob(jobId).attempts, 4);
+    assert.deepEqual(rpc.sent, ['101']);
+  });
+
+  test('a job fails after maxAttempts and the next one still gets the right sequence', async () => {
+    const { rpc, queue, delays } = setup({}, { maxAttempts: 3, maxDelayMs: 600 });
+    const down = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    rpc.failNext.sendTransaction.push(down(), down(), down());
+
+    await assert.rejects(queue.submit(call()), /ECONNREFUSED/);
+    await queue.submit(call());
+
+    assert.deepEqual(delays, [500, 600]);
+    assert.deepEqual(rpc.sent, ['101']);
+    assert.equal(queue.stats().failed, 1);
+  });
+
+  test('rejections and simulation errors are not retried', async () => {
+    const { rpc, queue } = setup();
+
+    await assert.rejects(queue.submit(call('reject')), { message: /Simulation failed: HostError/, contractError: 3 });
+    assert.equal(rpc.calls.simulateTransaction, 1);
+  });
+
+  test('a transaction that fails on-chain fails its job', async () => {
+    const { rpc, queue } = setup();
+    rpc.failNext.getTransaction.push({ status: 'FAILED' });
+
+    await assert.rejects(queue.submit(call()), { outcome: TX_OUTCOMES.FAILED, message: 'Transaction failed: FAILED' });
+  });
+
+  test('classifies transient errors', () => {
+    assert.equal(isTransientError({ response: { status: 429 } }), true);
+    assert.equal(isTransientError({ response: { status: 503 } }), true);
+    assert.equal(isTransientError({ code: 'ETIMEDOUT' }), true);
+    assert.equal(isTransientError({ response: { status: 400 } }), false);
+    assert.equal(isTransientError(new Error('Simulation failed')), false);
+  });
+});
+
+describe('status', () => {
+  test('listeners see every status change of a job', async () => {
+    const { rpc, queue } = setup();
+    rpc.failNext.sendTransaction.push({ status: 'TRY_AGAIN_LATER', hash: 'x' });
+    const seen = [];
+    queue.subscribe(job => seen.push(job.status));
+
+    await queue.submit(call(), { label: 'submit_claim', sessionId: 7 });
+
+    assert.deepEqual(seen, ['queued', 'submitting', 'retrying', 'submitting', 'pending', 'success']);
+    const [job] = queue.stats().jobs;
+    assert.equal(job.label, 'submit_claim');
+    assert.equal(job.method, 'ping', 'the contract function it calls');
+    assert.deepEqual(job.meta, { sessionId: 7 });
+  });
+
+  test('depth counts jobs waiting for the submission lock', async () => {
+    const { queue } = setup();
+    const depths = [];
+    queue.subscribe(job => { if (job.status === 'submitting') depths.push(queue.stats().depth); });
+
+    await Promise.all([queue.submit(call()), queue.submit(call()), queue.submit(call())]);
+
+    assert.deepEqual(depths, [3, 2, 1]);
+    assert.deepEqual(
+      { depth: queue.stats().depth, pending: queue.stats().pending, succeeded: queue.stats().succeeded },
+      { depth: 0, pending: 0, succeeded: 3 },
+    );
+  });
+});
+
+describe('confirmation', () => {
+  test('returns the real hash and ledger', async () => {
+    const { queue } = setup();
+
+    const result = await queue.submit(call());
+
+    assert.equal(result.outcome, TX_OUTCOMES.SUCCESS);
+    assert.match(result.hash, /^[0-9a-f]{64}$/);
+    assert.equal(result.ledger, FIRST_LEDGER + 1);
+    assert.deepEqual(
+      (({ status, outcome, hash, ledger }) => ({ status, outcome, hash, ledger }))(queue.getJob(result.jobId)),
+      { status: 'success', outcome: 'SUCCESS', hash: result.hash, ledger: result.ledger },
+    );
+  });
+
+  test('polls with exponential backoff', async () => {
+    const { queue, polls } = setup({ confirmAfterPolls: 4 });
+
+    await queue.submit(call());
+
+    assert.deepEqual(polls, [7, 14, 28, 40]);
+  });
+
+  test('gives up at the deadline with a TIMEOUT outcome', async () => {
+    const { queue, polls } = setup({ confirmAfterPolls: Infinity });
+
+    const err = await queue.submit(call()).catch(e => e);
+
+    assert.equal(err.outcome, TX_OUTCOMES.TIMEOUT);
+    assert.match(err.hash, /^[0-9a-f]{64}$/);
+    assert.equal(polls.reduce((a, b) => a + b, 0), 100, 'never waits past the deadline');
+    assert.equal(queue.stats().timedOut, 1);
+  });
+
+  test('keeps polling through transient errors', async () => {
+    const { rpc, queue } = setup();
+    rpc.failNext.getTransaction.push(Object.assign(new Error('Service Unavailable'), { response: { status: 503 } }));
+
+    const result = await queue.submit(call());
+
+    assert.equal(result.outcome, TX_OUTCOMES.SUCCESS);
+  });
+
+  test('a dropped transaction times out and the next job recovers its sequence', async () => {
+    const { rpc, queue } = setup();
+    rpc.failNext.sendTransaction.push({ status: 'PENDING', hash: 'dropped' });
+
+    await assert.rejects(queue.submit(call()), { outcome: TX_OUTCOMES.TIMEOUT });
+    const result = await queue.submit(call());
+
+    // 101 never made it, so the next job gets a sequence conflict and reloads
+    assert.equal(result.outcome, TX_OUTCOMES.SUCCESS);
+    assert.deepEqual(rpc.sent, ['101']);
+    assert.equal(queue.getJob(result.jobId).attempts, 2);
+  });
+});
+
+describe('fees', () => {
+  test('pays the resource fee plus a fixed inclusion fee', async () => {
+    const { rpc, queue } = setup({}, { inclusionFee: 300 });
+
+    const { jobId } = await queue.submit(call());
+
+    assert.deepEqual(rpc.fees, ['350']);
+    assert.equal(queue.getJob(jobId).fee, 350);
+    assert.equal(rpc.calls.getFeeStats, 0);
+  });
+
+  test('follows a percentile of recent network fees', async () => {
+    const { rpc, queue } = setup({ feeStats: { p50: '700', p90: '2500' } }, { inclusionFee: 'p90' });
+    rpc.failNext.getFeeStats.push(Object.assign(new Error('Service Unavailable'), { response: { status: 503 } }));
+
+    await queue.submit(call());
+    await queue.submit(call());
+
+    // The minimum while the stats can't be loaded
+    assert.deepEqual(rpc.fees, ['150', '2550']);
+  });
+
+  test('never pays more than maxFee', async () => {
+    const { rpc, queue } = setup({}, { inclusionFee: 5000, maxFee: 1000 });
+    await queue.submit(call());
+    assert.deepEqual(rpc.fees, ['1000']);
+
+    const { queue: tight } = setup({}, { maxFee: 120 });
+    await assert.rejects(tight.submit(call()), /Resource fee 50 leaves no room for an inclusion fee under maxFee 120/);
+  });
+
+  test('rejects an unknown fee policy', () => {
+    assert.throws(() => setup({}, { inclusionFee: 'p42' }), /Unknown inclusion fee policy: p42/);
+  });
+
+  test('fee bumps a transaction stuck below the going fee', async () => {
+    // Room for one bump: a second would pay 10x again
+    const { rpc, queue } = setup({ minInclusionFee: 500 }, { feeBumpAfterMs: 20, maxFee: 5000 });
+    const statuses = [];
+    queue.subscribe(job => statuses.push(job.status));
+
+    const result = await queue.submit(call());
+
+    const job = queue.getJob(result.jobId);
+    assert.deepEqual(rpc.fees, ['150', String(1000 * 2 + 50)]);
+    assert.equal(job.feeBumps, 1);
+    assert.equal(job.fee, 2050);
+    assert.equal(job.hash, result.hash, 'the bump is the transaction that landed');
+    assert.deepEqual(rpc.sent, ['101']);
+    assert.deepEqual(statuses.slice(-3), ['pending', 'pending', 'success']);
+
+    // The next job keeps the sequence after the bumped one
+    await queue.submit(call());
+    assert.deepEqual(rpc.sent, ['101', '102']);
+  });
+
+  test('does not fee bump past maxFee', async () => {
+    const { rpc, queue } = setup({ minInclusionFee: 500 }, { feeBumpAfterMs: 20, maxFee: 2000 });
+
+    const err = await queue.submit(call()).catch(e => e);
+
+    assert.equal(err.outcome, TX_OUTCOMES.TIMEOUT);
+    assert.deepEqual(rpc.fees, ['150']);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isRevealPhase,
+  buildClaimView,
+  buildRoomView,
+  buildSpectatorView,
+  emitToRoom,
+  emitToSpectators,
+  clearSpectatorTimers,
+} from '../views.js';
+
+const room = (overrides = {}) => ({
+  code: 'ROOM01',
+  phase: 'claiming',
+  players: [
+    { id: 'god', role: 'god', position: null, sessionToken: 'secret-1' },
+    { id: 'm1', role: 'mortal', position: 4, sessionToken: 'secret-2' },
+    { id: 'm2', role: 'mortal', position: 7 },
+  ],
+  claims: [{ id: 'c1', playerId: 'm1', claimType: 'row', claimValue: 2, zkProof: { proof: {}, publicSignals: ['1'] } }],
+  spectators: [{ id: 's1', name: 'Sam' }],
+  spectatorDelay: 0,
+  ...overrides,
+});
+
+// socket.io stand-in recording what each recipient was sent
+function fakeIo() {
+  const sent = [];
+  return { sent, to: (id) => ({ emit: (event, data) => sent.push({ id, event, data }) }) };
+}
+
+describe('player views', () => {
+  test('the God sees no positions, a mortal only their own', () => {
+    assert.deepEqual(buildRoomView(room(), 'god').players.map(p => p.position), [null, null, null]);
+    assert.deepEqual(buildRoomView(room(), 'm1').players.map(p => p.position), [null, 4, null]);
+  });
+
+  test('everyone sees every position once the round is revealed', () => {
+    for (const phase of ['round_transition', 'ended']) {
+      assert.ok(isRevealPhase(room({ phase })));
+      assert.deepEqual(buildRoomView(room({ phase }), 'god').players.map(p => p.position), [null, 4, 7]);
+    }
+  });
+
+  test('never carry session tokens or the spectator list', () => {
+    const view = buildRoomView(room({ phase: 'ended' }), 'm1');
+    assert.ok(view.players.every(p => !('sessionToken' in p)));
+    assert.equal('spectators' in view, false);
+    assert.equal(view.spectatorCount, 1);
+  });
+
+  test('proofs stay on the server until the reveal', () => {
+    const [hidden] = buildRoomView(room(), 'm1').claims;
+    assert.equal(hidden.zkProof, null);
+    assert.equal(hidden.hasZkProof, true);
+    assert.equal(buildClaimView({ id: 'c2', zkProof: null }, false).hasZkProof, false);
+
+    const [revealed] = buildRoomView(room({ phase: 'round_transition' }), 'god').claims;
+    assert.deepEqual(revealed.zkProof.publicSignals, ['1']);
+  });
+
+  test('the raw room is left untouched', () => {
+    const raw = room();
+    buildRoomView(raw, 'god');
+    assert.equal(raw.players[1].position, 4);
+    assert.equal(raw.players[1].sessionToken, 'secret-2');
+    assert.ok(raw.claims[0].zkProof);
+  });
+
+  test('a room event reaches each player with their own view', () => {
+    const io = fakeIo();
+    emitToRoom(io, room(), 'room_updated', { note: 'x' });
+
+    const to = (id) => io.sent.find(s => s.id === id).data;
+    assert.equal(to('god').note, 'x');
+    assert.equal(to('god').room.players[1].position, null);
+    assert.equal(to('m1').room.players[1].position, 4);
+    assert.equal(to('s1').room.players[1].position, null);
+    assert.equal(io.sent.length, 4);
+  });
+});
+
+describe('spectator views', () => {
+  test('hide positions until the reveal, delayed or not', () => {
+    for (const spectatorDelay of [0, 30]) {
+      const view = buildSpectatorView(room({ spectatorDelay }));
+      assert.deepEqual(view.players.map(p => p.position), [null, null, null]);
+      assert.equal(view.spectatorCount, 1);
+      assert.equal('spectators' in view, false);
+    }
+
+    const revealed = buildSpectatorView(room({ phase: 'round_transition', spectatorDelay: 30 }));
+    assert.deepEqual(revealed.players.map(p => p.position), [null, 4, 7]);
+  });
+
+  test('a delayed stream sends the room as it was, after the delay', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const io = fakeIo();
+    const live = room({ spectatorDelay: 10 });
+
+    emitToSpectators(io, live, 'room_updated');
+    live.phase = 'deduction';
+    t.mock.timers.tick(9_999);
+    assert.equal(io.sent.length, 0);
+
+    t.mock.timers.tick(1);
+    assert.equal(io.sent.length, 1);
+    assert.equal(io.sent[0].id, 's1');
+    assert.equal(io.sent[0].data.room.phase, 'claiming');
+  });
+
+  test('pending delayed sends are dropped when the room closes', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const io = fakeIo();
+
+    emitToSpectators(io, room({ spectatorDelay: 10 }), 'room_updated');
+    emitToSpectators(io, room({ spectatorDelay: 10 }), 'claim_submitted');
+    clearSpectatorTimers('ROOM01');
+    t.mock.timers.tick(10_000);
+
+    assert.deepEqual(io.sent, []);
+  });
+});
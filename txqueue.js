@@ -0,0 +1,417 @@
+/**
+ * Divine Wrath Transaction Queue
+ *
+ * Every relayed call is signed by the admin account, so every transaction
+ * needs the account's next sequence number. Loading the account for each
+ * transaction lets two calls at the same moment take the same number, and
+ * one of them fails with tx_bad_seq.
+ *
+ * The queue owns that sequence. Jobs are built, simulated and sent one at a
+ * time from a locally tracked account. Confirmation happens outside that
+ * lock, so several transactions can wait for the ledger at once.
+ *
+ * Job status: queued -> submitting (-> retrying -> submitting)* -> pending -> success | failed | timeout
+ *
+ * Sequence conflicts and transient RPC errors (network errors, 5xx, 429,
+ * TRY_AGAIN_LATER) are retried with exponential backoff. Simulation errors
+ * and rejected transactions fail the job at once.
+ *
+ * Confirmation polls with backoff until a deadline. Every job ends with one
+ * of TX_OUTCOMES. A timed-out transaction may still land later. It is bounded
+ * by its own 30s time bounds, so the default deadline outlasts it.
+ *
+ * Fees: each transaction pays the resource fee from its simulation plus an
+ * inclusion fee, either fixed or a percentile of recent network fees
+ * (getFeeStats), never more than maxFee in total. A transaction the network
+ * accepted but hasn't included after feeBumpAfterMs is wrapped in a fee bump
+ * with FEE_BUMP_MULTIPLIER times its inclusion fee, if that still fits under
+ * maxFee. The original and the bump share a sequence number, so only one lands.
+ */
+
+import { Account, BASE_FEE, TransactionBuilder, rpc } from '@stellar/stellar-sdk';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'txqueue' });
+
+export const TX_OUTCOMES = {
+  SUCCESS: 'SUCCESS',   // Applied in a ledger
+  FAILED: 'FAILED',     // Rejected before or by the ledger
+  TIMEOUT: 'TIMEOUT',   // Accepted, but not seen in a ledger before the deadline
+};
+
+// Finished jobs kept for status queries
+const JOB_HISTORY = 50;
+
+// Lowest inclusion fee the network takes, in stroops
+const MIN_INCLUSION_FEE = Number(BASE_FEE);
+
+// A pending transaction is only replaced by a fee bump paying 10x its fee rate
+export const FEE_BUMP_MULTIPLIER = 10;
+
+// Percentiles of getFeeStats().sorobanInclusionFee an inclusion fee policy can name
+const FEE_PERCENTILES = ['min', 'mode', 'p10', 'p20', 'p30', 'p40', 'p50', 'p60', 'p70', 'p80', 'p90', 'p95', 'p99', 'max'];
+
+// Error codes of requests that never reached a working RPC
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED', 'ERR_NETWORK'];
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed RPC call is worth retrying as is
+ */
+export function isTransientError(err) {
+  if (err?.transient) return true;
+
+  const status = err?.response?.status;
+  if (status === 429 || status >= 500) return true;
+
+  return NETWORK_ERROR_CODES.includes(err?.code) || err?.cause?.code === 'ECONNREFUSED';
+}
+
+/**
+ * Creates a queue that submits transactions for one source account
+ *
+ * @param {object} options
+ * @param {object} options.server - rpc.Server, or anything with the same
+ *   getAccount / simulateTransaction / sendTransaction / getTransaction
+ * @param {Keypair} options.keypair - Source account that signs every transaction
+ * @param {string} options.networkPassphrase
+ * @param {number|string} [options.inclusionFee] - Inclusion fee in stroops, or a percentile
+ *   of recent network inclusion fees ('p50', 'p90', 'max'...)
+ * @param {number} [options.maxFee] - Most one transaction may pay in stroops, resource fee included
+ * @param {number} [options.feeBumpAfterMs] - How long an accepted transaction may wait for the ledger before a fee bump
+ * @param {number} [options.maxAttempts] - Submissions per job before it fails
+ * @param {number} [options.baseDelayMs] - First retry delay, doubled on each retry
+ * @param {number} [options.maxDelayMs] - Longest retry delay
+ * @param {number} [options.pollIntervalMs] - First delay between confirmation checks, doubled on each check
+ * @param {number} [options.maxPollIntervalMs] - Longest delay between confirmation checks
+ * @param {number} [options.confirmTimeoutMs] - How long to wait for the ledger once a transaction is accepted
+ * @param {function} [options.sleep] - (ms) => Promise, replaced in tests
+ * @param {function} [options.now] - () => ms, replaced in tests
+ */
+export function createTxQueue({
+  server,
+  keypair,
+  networkPassphrase,
+  inclusionFee = MIN_INCLUSION_FEE,
+  maxFee = 10_000_000,  // 1 XLM
+  feeBumpAfterMs = 10000,
+  maxAttempts = 5,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  pollIntervalMs = 1000,
+  maxPollIntervalMs = 8000,
+  confirmTimeoutMs = 60000,
+  sleep = defaultSleep,
+  now = Date.now,
+}) {
+  if (typeof inclusionFee !== 'number' && !FEE_PERCENTILES.includes(inclusionFee)) {
+    throw new Error(`Unknown inclusion fee policy: ${inclusionFee}`);
+  }
+
+  let account = null;              // Source account at the last sequence number used
+  let lock = Promise.resolve();    // Tail of the submission chain
+  let nextJobId = 1;
+  const jobs = new Map();          // id -> job, oldest first
+  const listeners = new Set();
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: now() });
+    const snapshot = { ...job };
+    for (const listener of listeners) {
+      try {
+        listener(snapshot);
+      } catch (err) {
+        log.error('tx_listener_failed', { jobId: job.id, label: job.label, error: err });
+      }
+    }
+  }
+
+  function remember(job) {
+    jobs.set(job.id, job);
+    const finished = [...jobs.values()].filter(j => j.outcome);
+    for (const old of finished.slice(0, Math.max(0, finished.length - JOB_HISTORY))) {
+      jobs.delete(old.id);
+    }
+  }
+
+  // Runs tasks one after another, whatever happened to the previous one
+  function serialize(task) {
+    const run = lock.then(task);
+    lock = run.catch(() => {});
+    return run;
+  }
+
+  // Inclusion fee the policy asks for right now. A percentile falls back to the
+  // minimum if the fee stats can't be loaded
+  async function policyInclusionFee() {
+    if (typeof inclusionFee === 'number') return inclusionFee;
+    try {
+      const stats = await server.getFeeStats();
+      return Math.max(MIN_INCLUSION_FEE, Number(stats.sorobanInclusionFee[inclusionFee]) || 0);
+    } catch (err) {
+      log.warn('tx_fee_stats_unavailable', { inclusionFee: MIN_INCLUSION_FEE, error: err });
+      return MIN_INCLUSION_FEE;
+    }
+  }
+
+  // Builds, simulates, signs and sends one transaction. Returns it with its
+  // hash and fees once the network has accepted it
+  async function sendOnce(operation) {
+    if (!account) {
+      try {
+        account = await server.getAccount(keypair.publicKey());
+      } catch (err) {
+        // rpc.Server reports every failure here as "Account not found", network errors
+        // included, so the load is always retried
+        throw Object.assign(err instanceof Error ? err : new Error(String(err?.message ?? err)), { transient: true });
+      }
+    }
+    const sequence = account.sequenceNumber();
+
+    try {
+      const wanted = await policyInclusionFee();
+      const transaction = new TransactionBuilder(account, { fee: String(wanted), networkPassphrase })
+        .addOperation(operation)
+        .setTimeout(30)
+        .build();
+
+      const simulated = await server.simulateTransaction(transaction);
+      if (rpc.Api.isSimulationError(simulated)) {
+        // The host reports a contract's own error as Error(Contract, #n)
+        const code = /Error\(Contract, #(\d+)\)/.exec(simulated.error)?.[1];
+        throw Object.assign(new Error(`Simulation failed: ${simulated.error}`), code && { contractError: Number(code) });
+      }
+
+      // assembleTransaction adds the resource fee to the transaction's own fee
+      const resourceFee = Number(simulated.minResourceFee);
+      const fee = Math.min(wanted, maxFee - resourceFee);
+      if (fee < MIN_INCLUSION_FEE) {
+        throw new Error(`Resource fee ${resourceFee} leaves no room for an inclusion fee under maxFee ${maxFee}`);
+      }
+      const raw = fee === wanted ? transaction : TransactionBuilder.cloneFrom(transaction, { fee: String(fee) }).build();
+      const prepared = rpc.assembleTransaction(raw, simulated).build();
+      prepared.sign(keypair);
+
+      const sent = await server.sendTransaction(prepared);
+      if (sent.status === 'PENDING' || sent.status === 'DUPLICATE') {
+        return { hash: sent.hash, transaction: prepared, resourceFee, inclusionFee: fee };
+      }
+      throw sendError(sent);
+    } catch (err) {
+      // Nothing was accepted: hand the sequence number to the next attempt,
+      // unless the network says our idea of it is wrong
+      account = err.badSequence ? null : new Account(keypair.publicKey(), sequence);
+      throw err;
+    }
+  }
+
+  async function sendWithRetry(job, operation) {
+    for (let attempt = 1; ; attempt++) {
+      update(job, { status: 'submitting', attempts: attempt });
+      try {
+        return await sendOnce(operation);
+      } catch (err) {
+        const retryable = err.badSequence || isTransientError(err);
+        if (!retryable || attempt >= maxAttempts) throw err;
+
+        const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+        log.warn('tx_retry', { jobId: job.id, label: job.label, attempt, delayMs: delay, error: err });
+        update(job, { status: 'retrying', error: err.message });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Wraps a transaction stuck below the going fee in a fee bump paying
+  // FEE_BUMP_MULTIPLIER times its inclusion fee. Returns the bump's hash and
+  // fees, or null if it would cost more than maxFee or the network refused it
+  async function sendFeeBump(job, transaction, resourceFee, currentFee) {
+    const bumpedFee = currentFee * FEE_BUMP_MULTIPLIER;
+    // A fee bump pays the inclusion fee for itself and for the inner transaction
+    const total = bumpedFee * 2 + resourceFee;
+    if (total > maxFee) return null;
+
+    try {
+      const bump = TransactionBuilder.buildFeeBumpTransaction(keypair, String(bumpedFee), transaction, networkPassphrase);
+      bump.sign(keypair);
+
+      const sent = await server.sendTransaction(bump);
+      if (sent.status !== 'PENDING' && sent.status !== 'DUPLICATE') throw sendError(sent);
+
+      log.warn('tx_fee_bumped', { jobId: job.id, label: job.label, txHash: sent.hash, fee: total, afterMs: feeBumpAfterMs });
+      return { hash: sent.hash, inclusionFee: bumpedFee, fee: total };
+    } catch (err) {
+      // The original may still land: keep waiting for it
+      log.warn('tx_fee_bump_failed', { jobId: job.id, label: job.label, error: err });
+      return null;
+    }
+  }
+
+  // Polls until the transaction, or a fee bump of it, is in a ledger or the
+  // deadline passes. Returns { outcome, hash, txResult }
+  async function waitForConfirmation(job, { hash, transaction, resourceFee, inclusionFee: fee }) {
+    const deadline = now() + confirmTimeoutMs;
+    const hashes = [hash];  // The original and its fee bumps, newest first
+    let delay = pollIntervalMs;
+    let bumpAt = now() + feeBumpAfterMs;
+
+    for (;;) {
+      for (const candidate of hashes) {
+        let txResult = null;
+        try {
+          txResult = await server.getTransaction(candidate);
+        } catch (err) {
+          if (!isTransientError(err)) throw err;
+          log.warn('tx_status_unavailable', { jobId: job.id, label: job.label, txHash: candidate, error: err });
+        }
+
+        if (txResult?.status === 'SUCCESS') return { outcome: TX_OUTCOMES.SUCCESS, hash: candidate, txResult };
+        if (txResult && txResult.status !== 'NOT_FOUND') return { outcome: TX_OUTCOMES.FAILED, hash: candidate, txResult };
+      }
+
+      const remaining = deadline - now();
+      if (remaining <= 0) return { outcome: TX_OUTCOMES.TIMEOUT, hash: hashes[0], txResult: null };
+
+      if (now() >= bumpAt) {
+        const bumped = await sendFeeBump(job, transaction, resourceFee, fee);
+        if (bumped) {
+          hashes.unshift(bumped.hash);
+          fee = bumped.inclusionFee;
+          bumpAt = now() + feeBumpAfterMs;
+          update(job, { hash: bumped.hash, fee: bumped.fee, feeBumps: job.feeBumps + 1 });
+        } else {
+          bumpAt = Infinity;
+        }
+      }
+
+      await sleep(Math.min(delay, remaining));
+      delay = Math.min(delay * 2, maxPollIntervalMs);
+    }
+  }
+
+  /**
+   * Queues one contract call
+   *
+   * @param {xdr.Operation} operation - Operation to submit (e.g. contract.call(...))
+   * @param {object} [meta] - label plus anything status listeners need to route updates
+   * @returns {Promise<{ jobId: number, outcome: 'SUCCESS', hash: string, ledger: number, txResult: object }>}
+   *   Resolves once the transaction succeeded on-chain. Otherwise rejects with
+   *   an error carrying outcome (FAILED or TIMEOUT), hash and ledger
+   */
+  async function submit(operation, { label = 'transaction', ...meta } = {}) {
+    const createdAt = now();
+    const job = {
+      id: nextJobId++,
+      label,
+      method: contractMethod(operation),
+      meta,
+      status: 'queued',
+      outcome: null,
+      attempts: 0,
+      hash: null,
+      ledger: null,
+      fee: null,  // Most the job's latest transaction can be charged, in stroops
+      feeBumps: 0,
+      error: null,
+      createdAt,
+      updatedAt: createdAt,
+    };
+    remember(job);
+    update(job, {});
+
+    try {
+      const sent = await serialize(() => sendWithRetry(job, operation));
+      update(job, { status: 'pending', hash: sent.hash, fee: Number(sent.transaction.fee), error: null });
+
+      const { outcome, hash, txResult } = await waitForConfirmation(job, sent);
+      const ledger = txResult?.ledger ?? null;
+      if (outcome === TX_OUTCOMES.TIMEOUT) {
+        throw outcomeError(outcome, `Transaction ${hash} not confirmed after ${confirmTimeoutMs}ms`, hash, ledger);
+      }
+      if (outcome === TX_OUTCOMES.FAILED) {
+        throw outcomeError(outcome, `Transaction failed: ${txResult.status}`, hash, ledger);
+      }
+
+      update(job, { status: 'success', outcome, hash, ledger });
+      return { jobId: job.id, outcome, hash, ledger, txResult };
+    } catch (err) {
+      // Submission errors (simulation, rejection, retries used up) are failures too
+      const error = err?.outcome ? err : Object.assign(
+        err instanceof Error ? err : new Error(err?.message ?? String(err)),
+        { outcome: TX_OUTCOMES.FAILED, hash: job.hash, ledger: null },
+      );
+      update(job, {
+        status: error.outcome === TX_OUTCOMES.TIMEOUT ? 'timeout' : 'failed',
+        outcome: error.outcome,
+        hash: error.hash,
+        ledger: error.ledger,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      remember(job);
+    }
+  }
+
+  return {
+    submit,
+
+    /**
+     * Calls listener(job) on every status change of every job
+     * @returns {function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getJob: (id) => {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+
+    /**
+     * depth: jobs not yet accepted by the network (queued, submitting, retrying)
+     * pending: jobs accepted and waiting for the ledger
+     * succeeded / failed / timedOut: finished jobs still in the history
+     */
+    stats() {
+      const list = [...jobs.values()];
+      const count = (...statuses) => list.filter(j => statuses.includes(j.status)).length;
+      return {
+        depth: count('queued', 'submitting', 'retrying'),
+        pending: count('pending'),
+        succeeded: count('success'),
+        failed: count('failed'),
+        timedOut: count('timeout'),
+        jobs: list.map(j => ({ ...j })),
+      };
+    },
+  };
+}
+
+// Contract function an operation invokes, or null for anything else
+function contractMethod(operation) {
+  try {
+    return operation.body().invokeHostFunctionOp().hostFunction().invokeContract().functionName().toString();
+  } catch {
+    return null;
+  }
+}
+
+function outcomeError(outcome, message, hash, ledger) {
+  return Object.assign(new Error(message), { outcome, hash, ledger });
+}
+
+// Turns a sendTransaction response that was not accepted into an error the retry loop understands
+function sendError(sent) {
+  if (sent.status === 'TRY_AGAIN_LATER') {
+    return Object.assign(new Error('RPC asked to try again later'), { transient: true });
+  }
+
+  const code = sent.errorResult?.result().switch().name ?? 'unknown';
+  const err = new Error(`Transaction rejected: ${code}`);
+  err.badSequence = code === 'txBadSeq';
+  return err;
+}
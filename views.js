@@ -0,0 +1,127 @@
+/**
+ * Divine Wrath Room Views
+ *
+ * Builds the per-player projection of a room before it is sent over the socket.
+ * The raw room holds every mortal's position and the claim proofs, so it must
+ * never be emitted as-is.
+ */
+
+// Phases where every secret of the round is revealed to everyone
+const REVEAL_PHASES = ['round_transition', 'ended'];
+
+// Delayed spectator sends still to go out: roomCode -> Set of timeouts
+const spectatorTimers = new Map();
+
+/**
+ * Whether the room is in a phase where positions and proofs are public
+ */
+export function isRevealPhase(room) {
+  return REVEAL_PHASES.includes(room.phase);
+}
+
+/**
+ * Projects a claim for a viewer. Proofs stay on the server until the reveal:
+ * the viewer only learns whether a proof was attached.
+ */
+export function buildClaimView(claim, reveal) {
+  if (reveal) return claim;
+
+  const { zkProof, ...rest } = claim;
+  return { ...rest, zkProof: null, hasZkProof: !!zkProof };
+}
+
+/**
+ * Builds the room as seen by one player
+ *
+ * - God: never sees mortal positions
+ * - Mortal: only sees their own position
+ * - Round/game over: everyone sees everything
+ * - Session tokens are never sent
+ * - Spectators are only counted
+ *
+ * @param {object} room - Raw room state
+ * @param {string|null} viewerId - Player ID of the recipient
+ * @returns {object} Redacted copy of the room
+ */
+export function buildRoomView(room, viewerId) {
+  const reveal = isRevealPhase(room);
+  const { spectators = [], ...rest } = room;
+
+  return {
+    ...rest,
+    spectatorCount: spectators.length,
+    players: room.players.map(({ sessionToken, ...p }) => ({
+      ...p,
+      position: reveal || p.id === viewerId ? p.position : null,
+    })),
+    claims: room.claims.map(c => buildClaimView(c, reveal)),
+  };
+}
+
+/**
+ * Builds the room as seen by spectators: positions stay hidden like in the
+ * God's view until the round's reveal, delayed stream or not. A delay only
+ * holds the stream back; the round it shows may still be in play.
+ */
+export function buildSpectatorView(room) {
+  return buildRoomView(room, null);
+}
+
+/**
+ * Sends an event to every player and spectator of the room, each with their own view.
+ *
+ * @param {object} io - socket.io server
+ * @param {object} room - Raw room state
+ * @param {string} event - Event name
+ * @param {object|function} payload - Extra fields, or (view) => payload
+ *   when the payload itself depends on the viewer (e.g. a redacted claim)
+ */
+export function emitToRoom(io, room, event, payload = {}) {
+  for (const player of room.players) {
+    const view = buildRoomView(room, player.id);
+    const data = typeof payload === 'function'
+      ? payload(view)
+      : { ...payload, room: view };
+    io.to(player.id).emit(event, data);
+  }
+
+  emitToSpectators(io, room, event, payload);
+}
+
+/**
+ * Sends an event to the spectators of a room, after the room's spectator
+ * delay. The view is snapshotted now so the delayed stream shows the game
+ * as it was.
+ */
+export function emitToSpectators(io, room, event, payload = {}) {
+  const ids = (room.spectators || []).map(s => s.id);
+  if (ids.length === 0) return;
+
+  const view = buildSpectatorView(room);
+  const data = typeof payload === 'function'
+    ? payload(view)
+    : { ...payload, room: view };
+  const send = snapshot => ids.forEach(id => io.to(id).emit(event, snapshot));
+
+  const delayMs = (room.spectatorDelay || 0) * 1000;
+  if (delayMs > 0) {
+    const snapshot = structuredClone(data);
+    if (!spectatorTimers.has(room.code)) spectatorTimers.set(room.code, new Set());
+    const pending = spectatorTimers.get(room.code);
+    const timeout = setTimeout(() => {
+      pending.delete(timeout);
+      send(snapshot);
+    }, delayMs);
+    pending.add(timeout);
+  } else {
+    send(data);
+  }
+}
+
+/**
+ * Drops the delayed spectator sends still pending for a room (when it closes)
+ */
+export function clearSpectatorTimers(roomCode) {
+  spectatorTimers.get(roomCode)?.forEach(clearTimeout);
+  spectatorTimers.delete(roomCode);
+}
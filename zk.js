@@ -0,0 +1,140 @@
+/**
+ * Divine Wrath ZK Verification
+ *
+ * Verifies claim proofs on the server before they are accepted.
+ * The verification key comes from the circuit build (verification_key.json)
+ * and is loaded from ZK_VERIFICATION_KEY_PATH.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { randomBytes } from 'crypto';
+import * as snarkjs from 'snarkjs';
+import { claimTypeToNumber } from './relayer.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ module: 'zk' });
+
+const VERIFICATION_KEY_PATH = process.env.ZK_VERIFICATION_KEY_PATH || './circuits/verification_key.json';
+
+// Layout of the circuit's public signals: [claimType, claimValue, result, commitment]
+// result is 1 if the claim holds for the prover's secret position, 0 otherwise.
+// commitment is Poseidon(position, salt), the value the mortal committed to during setup
+export const PUBLIC_SIGNAL_INDEX = {
+  CLAIM_TYPE: 0,
+  CLAIM_VALUE: 1,
+  RESULT: 2,
+  COMMITMENT: 3,
+};
+
+let verificationKey = null;
+
+if (existsSync(VERIFICATION_KEY_PATH)) {
+  try {
+    verificationKey = JSON.parse(readFileSync(VERIFICATION_KEY_PATH, 'utf8'));
+  } catch (err) {
+    log.error('verification_key_unreadable', { path: VERIFICATION_KEY_PATH, error: err });
+  }
+}
+
+/**
+ * Whether a verification key is loaded
+ */
+export function isVerifierConfigured() {
+  return verificationKey !== null;
+}
+
+/**
+ * Converts a claim value to the circuit format
+ * - row/column: UI uses 1-3, circuit uses 0-2
+ * - adjacent: UI and circuit both use cell number 1-9
+ */
+export function claimValueForCircuit(claimType, claimValue) {
+  if (claimType === 'row' || claimType === 'column') {
+    return claimValue - 1;
+  }
+  return claimValue;
+}
+
+/**
+ * Verifies a claim proof against the loaded key and the claim it was submitted with
+ *
+ * @param {string} claimType - 'row' | 'column' | 'adjacent'
+ * @param {number|boolean} claimValue - Claim value as sent by the client
+ * @param {object} zkProof - { proof, publicSignals }
+ * @param {string|null} commitment - The prover's position commitment from setup
+ * @returns {Promise<{ valid: boolean, isTrue?: boolean, error?: string }>}
+ */
+export async function verifyClaimProof(claimType, claimValue, zkProof, commitment) {
+  if (!verificationKey) {
+    return { valid: false, error: 'Server has no verification key configured' };
+  }
+
+  const { proof, publicSignals } = zkProof;
+  if (!Array.isArray(publicSignals) || publicSignals.length <= PUBLIC_SIGNAL_INDEX.COMMITMENT) {
+    return { valid: false, error: 'Malformed public signals' };
+  }
+
+  // The proof must be about this claim, not some other one
+  const signalType = publicSignals[PUBLIC_SIGNAL_INDEX.CLAIM_TYPE];
+  const signalValue = publicSignals[PUBLIC_SIGNAL_INDEX.CLAIM_VALUE];
+  const signalResult = publicSignals[PUBLIC_SIGNAL_INDEX.RESULT];
+
+  if (String(signalType) !== String(claimTypeToNumber(claimType))) {
+    return { valid: false, error: 'Proof claim type does not match the claim' };
+  }
+
+  if (String(signalValue) !== String(Number(claimValueForCircuit(claimType, claimValue)))) {
+    return { valid: false, error: 'Proof claim value does not match the claim' };
+  }
+
+  if (signalResult !== '0' && signalResult !== '1') {
+    return { valid: false, error: 'Proof result signal is not a boolean' };
+  }
+
+  // ...and about the position the mortal committed to during setup
+  if (!commitment) {
+    return { valid: false, error: 'No position commitment to check the proof against' };
+  }
+  if (String(publicSignals[PUBLIC_SIGNAL_INDEX.COMMITMENT]) !== commitment) {
+    return { valid: false, error: 'Proof is not for the committed position' };
+  }
+
+  let valid;
+  try {
+    valid = await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+  } catch (err) {
+    return { valid: false, error: `Proof could not be verified: ${err.message}` };
+  }
+
+  if (!valid) {
+    return { valid: false, error: 'Invalid ZK proof' };
+  }
+
+  return { valid: true, isTrue: signalResult === '1' };
+}
+
+/**
+ * Checks a Groth16 proof against the loaded key, for callers that build the
+ * public signals themselves (e.g. the mock contract in mockrpc.js)
+ *
+ * @param {string[]} publicSignals - [claimType, claimValue, result, commitment] in circuit format
+ * @param {object} proof - snarkjs proof { pi_a, pi_b, pi_c }
+ * @returns {Promise<boolean>}
+ */
+export async function verifyCircuitProof(publicSignals, proof) {
+  if (!verificationKey) return false;
+
+  try {
+    return await snarkjs.groth16.verify(verificationKey, publicSignals, proof);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A random field element standing in for a mortal who never committed (bots,
+ * or a setup timeout). Nobody knows an opening for it, so no proof matches it
+ */
+export function placeholderCommitment() {
+  return BigInt(`0x${randomBytes(31).toString('hex')}`).toString();
+}